@@ -15,16 +15,19 @@ app.whenReady().then(() => {
     width: 1200,
     height: 800,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      // Recommended security settings: renderer only sees window.zdg
+      preload: require.resolve('zdg_skeleton_seq/preload'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
     }
   });
   
   mainWindow.loadFile('index.html');
 });
 
-// In renderer process (renderer.js)
-const { addSequence } = require('zdg_skeleton_seq');
+// In renderer process (renderer.js, bundled for the browser)
+const { saveTrackedSequences, listSessions } = require('zdg_skeleton_seq/renderer');
 
 // Example: Capture poses and save sequence
 class PoseRecorder {
@@ -32,51 +35,46 @@ class PoseRecorder {
     this.isRecording = false;
     this.currentSession = 'training_session_1';
     this.currentTag = null;
-    this.recordedPoses = [];
+    this.recordedFrames = []; // [{ timestamp, poses: [...] }] - one entry per video frame
     this.sequenceCounter = 0;
   }
   
   startRecording(tag) {
     this.isRecording = true;
     this.currentTag = tag;
-    this.recordedPoses = [];
+    this.recordedFrames = [];
     console.log(`Started recording poses for tag: ${tag}`);
   }
   
   stopRecording() {
     this.isRecording = false;
-    console.log(`Stopped recording. Captured ${this.recordedPoses.length} poses`);
+    console.log(`Stopped recording. Captured ${this.recordedFrames.length} frames`);
   }
   
   // Call this in your pose detection loop
   async onPoseDetected(poses, frameData = null) {
     if (!this.isRecording || !this.currentTag) return;
     
-    // Add timestamp to poses
-    const timestampedPoses = poses.map(pose => ({
-      ...pose,
-      timestamp: Date.now()
-    }));
+    // Keep every person detected in this frame together, the tracker
+    // separates them into one sequence per person when saving
+    this.recordedFrames.push({ timestamp: Date.now(), poses });
     
-    // Add to recorded poses
-    this.recordedPoses.push(...timestampedPoses);
-    
-    // Auto-save every 30 poses or when stopped
-    if (this.recordedPoses.length >= 30) {
+    // Auto-save every 30 frames or when stopped
+    if (this.recordedFrames.length >= 30) {
       await this.saveCurrentSequence(frameData);
     }
   }
   
   async saveCurrentSequence(frameData = null) {
-    if (this.recordedPoses.length === 0) return;
+    if (this.recordedFrames.length === 0) return;
     
     try {
       const sequenceId = `${this.currentTag}_${Date.now()}_${this.sequenceCounter++}`;
       
-      const result = await addSequence(
+      const result = await saveTrackedSequences(
         this.currentSession,           // session
-        sequenceId,                   // sequence
-        this.recordedPoses,           // poses
+        sequenceId,                   // sequence (tracks are saved as <id>_person<n>)
+        this.recordedFrames,          // frames
         this.currentTag,              // tag
         frameData,                    // frame (optional)
         { 
@@ -87,14 +85,14 @@ class PoseRecorder {
       );
       
       if (result.success) {
-        console.log('Sequence saved:', {
-          id: result.data.id,
-          poseCount: result.data.poseCount,
+        console.log('Sequences saved:', {
+          groupId: result.data.groupId,
+          people: result.data.sequences.map(saved => ({ track: saved.trackId, poseCount: saved.poseCount })),
           tag: this.currentTag
         });
         
-        // Clear recorded poses for next sequence
-        this.recordedPoses = [];
+        // Clear recorded frames for next sequence
+        this.recordedFrames = [];
         
         return result;
       } else {
@@ -111,7 +109,7 @@ class PoseRecorder {
   // Get current session statistics
   async getSessionStats() {
     try {
-      const sessions = await require('zdg_skeleton_seq').listSessions();
+      const sessions = await listSessions();
       const currentSessionData = sessions.sessions?.find(s => s.name === this.currentSession);
       
       if (currentSessionData && currentSessionData.metadata) {
@@ -0,0 +1,150 @@
+/**
+ * Project configuration - Single source for data root and limits
+ * Set once (configureProject) or loaded from <dataPath>/project.json;
+ * tagger, renderer, session, electron and validation all read it
+ */
+
+const PROJECT_FILE_NAME = 'project.json';
+
+const DEFAULT_PROJECT_CONFIG = Object.freeze({
+  dataPath: './data',
+  confidenceThreshold: 0.3,
+  maxSequenceLength: 1000,
+  maxImageSize: 10 * 1024 * 1024, // 10MB
+  supportedImageTypes: Object.freeze(['jpeg', 'jpg', 'png', 'gif', 'bmp', 'webp'])
+});
+
+let currentConfig = DEFAULT_PROJECT_CONFIG;
+
+/**
+ * Validate project configuration values - Pure function
+ */
+const validateProjectConfig = (config) => {
+  const errors = [];
+
+  if (typeof config.dataPath !== 'string' || config.dataPath.trim().length === 0) {
+    errors.push('dataPath must be a non-empty string');
+  }
+
+  if (typeof config.confidenceThreshold !== 'number' ||
+      config.confidenceThreshold < 0 ||
+      config.confidenceThreshold > 1) {
+    errors.push('confidenceThreshold must be a number between 0 and 1');
+  }
+
+  if (!Number.isInteger(config.maxSequenceLength) || config.maxSequenceLength < 1) {
+    errors.push('maxSequenceLength must be a positive integer');
+  }
+
+  if (typeof config.maxImageSize !== 'number' || config.maxImageSize <= 0) {
+    errors.push('maxImageSize must be a positive number of bytes');
+  }
+
+  if (!Array.isArray(config.supportedImageTypes) || config.supportedImageTypes.length === 0) {
+    errors.push('supportedImageTypes must be a non-empty array');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors.join('; ') : null,
+    errors
+  };
+};
+
+/**
+ * Create project configuration from overrides - Pure function
+ * Throws on invalid values so misconfiguration fails at startup
+ */
+const createProjectConfig = (overrides = {}) => {
+  const config = { ...DEFAULT_PROJECT_CONFIG, ...stripUndefined(overrides) };
+
+  const validation = validateProjectConfig(config);
+  if (!validation.isValid) {
+    throw new Error(`Invalid project configuration: ${validation.error}`);
+  }
+
+  return Object.freeze({
+    ...config,
+    supportedImageTypes: Object.freeze([...config.supportedImageTypes])
+  });
+};
+
+/**
+ * Load project configuration from <dataPath>/project.json (Node.js)
+ * Missing project.json yields defaults; dataPath always points at the folder
+ */
+const loadProjectConfig = (dataPath, overrides = {}) => {
+  const fs = require('fs');
+  const path = require('path');
+
+  const projectFile = path.join(dataPath, PROJECT_FILE_NAME);
+  let fileConfig = {};
+
+  if (fs.existsSync(projectFile)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${PROJECT_FILE_NAME} in ${dataPath}: ${error.message}`);
+    }
+  }
+
+  return createProjectConfig({ ...fileConfig, ...overrides, dataPath });
+};
+
+/**
+ * Set the active project configuration
+ * Accepts a data folder path (reads project.json) or a config object
+ */
+const configureProject = (configOrPath = {}) => {
+  currentConfig = typeof configOrPath === 'string'
+    ? loadProjectConfig(configOrPath)
+    : createProjectConfig(configOrPath);
+
+  return currentConfig;
+};
+
+/**
+ * Get the active project configuration
+ */
+const getProjectConfig = () => currentConfig;
+
+/**
+ * Restore default configuration
+ */
+const resetProjectConfig = () => {
+  currentConfig = DEFAULT_PROJECT_CONFIG;
+  return currentConfig;
+};
+
+/**
+ * Get sessions folder under the data root - Pure function
+ */
+const getSessionsPath = (config = currentConfig) => `${config.dataPath}/sessions`;
+
+/**
+ * Get session folder for a session name - Pure function
+ */
+const getSessionDir = (session, config = currentConfig) => {
+  const sanitizedSession = session.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `${getSessionsPath(config)}/${sanitizedSession}`;
+};
+
+/**
+ * Drop undefined values so they don't override defaults - Pure function
+ */
+const stripUndefined = (obj) => Object.keys(obj)
+  .filter(key => obj[key] !== undefined)
+  .reduce((result, key) => ({ ...result, [key]: obj[key] }), {});
+
+module.exports = {
+  DEFAULT_PROJECT_CONFIG,
+  PROJECT_FILE_NAME,
+  validateProjectConfig,
+  createProjectConfig,
+  loadProjectConfig,
+  configureProject,
+  getProjectConfig,
+  resetProjectConfig,
+  getSessionsPath,
+  getSessionDir
+};
@@ -4,74 +4,24 @@
  */
 
 const { ipcMain } = require('electron');
-const { appendToSessionFile, saveFrameImage, listSessions, loadSessionMetadata } = require('./session');
+const { createSequenceHandlers } = require('./ipc-handlers');
+const { configureProject, getProjectConfig, getSessionsPath } = require('./config');
 
 /**
  * Setup IPC handlers for Electron main process
+ * The main process owns the data root; renderers send only session and
+ * sequence identifiers (see ipc-handlers.js)
+ * @param {Object|string} projectConfig - Optional project config object or data folder
+ *   (e.g. the path from app preferences, reads project.json when present)
  */
-const setupSequenceHandler = () => {
-  // Handle sequence data saving
-  ipcMain.handle('zdg-save-sequence', async (event, sequenceData) => {
-    try {
-      const { sessionPath, data, frameData, frameReference } = sequenceData;
-      
-      // Save sequence data to JSONL file
-      const saveResult = await appendToSessionFile(sessionPath, data);
-      
-      if (!saveResult.success) {
-        return saveResult;
-      }
-      
-      // Save frame image if provided
-      let frameResult = { success: true };
-      if (frameData && frameReference) {
-        frameResult = await saveFrameImage(frameReference, frameData);
-      }
-      
-      return {
-        success: true,
-        data: {
-          sequenceId: data.id,
-          sessionPath,
-          frameReference: frameResult.success ? frameReference : null,
-          timestamp: data.timestamp
-        }
-      };
-      
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        code: 'ELECTRON_SAVE_ERROR'
-      };
-    }
-  });
-  
-  // Handle session listing
-  ipcMain.handle('zdg-list-sessions', async (event, dataDir) => {
-    return await listSessions(dataDir);
-  });
+const setupSequenceHandler = (projectConfig = null) => {
+  if (projectConfig) {
+    configureProject(projectConfig);
+  }
   
-  // Handle session metadata loading
-  ipcMain.handle('zdg-load-session-metadata', async (event, sessionPath) => {
-    return await loadSessionMetadata(sessionPath);
-  });
-  
-  // Handle session validation
-  ipcMain.handle('zdg-validate-session', async (event, sessionName) => {
-    try {
-      const sanitizedName = sessionName.replace(/[^a-zA-Z0-9_-]/g, '_');
-      return {
-        success: true,
-        valid: sanitizedName.length > 0 && sanitizedName.length <= 50,
-        sanitized: sanitizedName
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  const handlers = createSequenceHandlers();
+  Object.keys(handlers).forEach(channel => {
+    ipcMain.handle(channel, handlers[channel]);
   });
   
   console.log('ZDG Skeleton Sequence IPC handlers registered');
@@ -81,28 +31,33 @@ const setupSequenceHandler = () => {
  * Remove IPC handlers (cleanup)
  */
 const removeSequenceHandlers = () => {
-  ipcMain.removeHandler('zdg-save-sequence');
-  ipcMain.removeHandler('zdg-list-sessions');
-  ipcMain.removeHandler('zdg-load-session-metadata');
-  ipcMain.removeHandler('zdg-validate-session');
+  Object.keys(createSequenceHandlers()).forEach(channel => {
+    ipcMain.removeHandler(channel);
+  });
   
   console.log('ZDG Skeleton Sequence IPC handlers removed');
 };
 
 /**
- * Get Electron-specific configuration
+ * Get Electron-specific configuration (derived from the project configuration)
  */
-const getElectronConfig = () => ({
-  dataPath: './data/sessions',
-  maxImageSize: 10 * 1024 * 1024, // 10MB
-  supportedImageTypes: ['jpeg', 'jpg', 'png', 'gif', 'bmp', 'webp'],
-  maxSequenceLength: 1000,
-  defaultOptions: {
-    saveFrame: false,
-    normalizeScale: false,
-    includeMetadata: true
-  }
-});
+const getElectronConfig = () => {
+  const config = getProjectConfig();
+  
+  return {
+    dataPath: config.dataPath,
+    sessionsPath: getSessionsPath(config),
+    maxImageSize: config.maxImageSize,
+    supportedImageTypes: config.supportedImageTypes,
+    maxSequenceLength: config.maxSequenceLength,
+    defaultOptions: {
+      saveFrame: false,
+      normalizeScale: false,
+      includeMetadata: true,
+      confidenceThreshold: config.confidenceThreshold
+    }
+  };
+};
 
 module.exports = {
   setupSequenceHandler,
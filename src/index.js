@@ -8,10 +8,17 @@ const isElectronRenderer = typeof window !== 'undefined' &&
                           typeof window.require !== 'undefined' && 
                           window.require('electron');
 
+// contextIsolation renderer with the preload bridge (window.zdg)
+const isElectronBridge = !isElectronRenderer &&
+                         typeof window !== 'undefined' &&
+                         Boolean(window.zdg) &&
+                         typeof window.zdg.saveSequence === 'function';
+
 const isNode = typeof process !== 'undefined' && 
                process.versions && 
                Boolean(process.versions.node) &&
-               !isElectronRenderer;
+               !isElectronRenderer &&
+               !isElectronBridge;
 
 // Load appropriate implementation
 let coreImplementation;
@@ -19,6 +26,9 @@ let coreImplementation;
 if (isElectronRenderer) {
   // Electron renderer process - use IPC version
   coreImplementation = require('./renderer');
+} else if (isElectronBridge) {
+  // Electron renderer with contextIsolation - use preload bridge version
+  coreImplementation = require('./renderer-bridge');
 } else if (isNode) {
   // Node.js - use direct file operations
   coreImplementation = require('./tagger');
@@ -39,19 +49,45 @@ if (isElectronRenderer) {
   };
 }
 
+// Project configuration (available everywhere, project.json loading is Node.js only)
+const { configureProject, getProjectConfig, loadProjectConfig } = require('./config');
+
+// Skeleton schemas (available everywhere)
+const { registerSkeleton, getSkeleton, listSkeletons } = require('./skeletons');
+
+// Multi-person tracking (available everywhere)
+const { trackPoses, splitTracks } = require('./tracker');
+
 // Common utilities available in all environments
 const { normalizeKeypoints, normalizePoses } = require('./normalizer');
+const { denormalizePose } = require('./utils/body-normalization');
+const { resamplePoses, resampleSequence } = require('./utils/resampling');
+const { augmentPoses } = require('./utils/augmentation');
+const { computeKinematics, computeSequenceKinematics } = require('./utils/kinematics');
+const { detectAnomalies, handleAnomalies } = require('./utils/anomaly-detection');
 const { validateInputs, validatePoses } = require('./utils/validation');
 const { generateSequenceId, generateFrameReference } = require('./utils/encoding');
 
 // Advanced utilities (Node.js only)
 let dataAnalytics = null;
 let snapshotRenderer = null;
+let sessionTools = null;
+let numpyExport = null;
+let csvExport = null;
+let coco = null;
+let poseImport = null;
+let datasetSplit = null;
 
 if (isNode) {
   try {
     dataAnalytics = require('./utils/data-analytics');
     snapshotRenderer = require('./utils/snapshot-renderer');
+    sessionTools = require('./session');
+    numpyExport = require('./utils/numpy-export');
+    csvExport = require('./utils/csv-export');
+    coco = require('./utils/coco');
+    poseImport = require('./utils/pose-import');
+    datasetSplit = require('./utils/dataset-split');
   } catch (error) {
     console.warn('Advanced utilities not available:', error.message);
   }
@@ -61,10 +97,35 @@ if (isNode) {
 module.exports = {
   // Core functionality (environment-dependent)
   addSequence: coreImplementation.addSequence,
+  saveSequence: coreImplementation.saveSequence || null,
+  saveTrackedSequences: coreImplementation.saveTrackedSequences || null,
+  
+  // Project configuration
+  configureProject,
+  getProjectConfig,
+  loadProjectConfig,
+  syncProjectConfig: coreImplementation.syncProjectConfig || null,
+  
+  // Skeleton schemas
+  registerSkeleton,
+  getSkeleton,
+  listSkeletons,
+  
+  // Multi-person tracking
+  trackPoses,
+  splitTracks,
   
   // Utilities for advanced usage (available everywhere)
   normalizeKeypoints,
   normalizePoses,
+  denormalizePose,
+  resamplePoses,
+  resampleSequence,
+  augmentPoses,
+  computeKinematics,
+  computeSequenceKinematics,
+  detectAnomalies,
+  handleAnomalies,
   validateInputs,
   validatePoses,
   generateSequenceId,
@@ -72,18 +133,46 @@ module.exports = {
   
   // Data utilities (Node.js only)
   collectAllTags: dataAnalytics?.collectAllTags || null,
+  iterateSequences: dataAnalytics?.iterateSequences || null,
+  renameTag: dataAnalytics?.renameTag || null,
+  mergeTags: dataAnalytics?.mergeTags || null,
+  augmentSession: dataAnalytics?.augmentSession || null,
+  
+  // Session maintenance utilities (Node.js only)
+  rebuildSessionMetadata: sessionTools?.rebuildSessionMetadata || null,
+  verifySession: sessionTools?.verifySession || null,
+  
+  // Dataset splits (Node.js only)
+  splitProject: datasetSplit?.splitProject || null,
+  loadSplitManifest: datasetSplit?.loadSplitManifest || null,
+  createSplitFilter: datasetSplit?.createSplitFilter || null,
+  
+  // Dataset export (Node.js only)
+  exportNumpy: numpyExport?.exportNumpy || null,
+  exportCsv: csvExport?.exportCsv || null,
+  exportCoco: coco?.exportCoco || null,
+  
+  // Dataset import (Node.js only)
+  importCoco: coco?.importCoco || null,
+  importOpenPose: poseImport?.importOpenPose || null,
+  importMediaPipe: poseImport?.importMediaPipe || null,
   
   // Snapshot rendering utilities (Node.js only)
   renderSnapshotPictures: snapshotRenderer?.renderSnapshotPictures || null,
   
   // Environment utilities (if available)
-  listSessions: coreImplementation.listSessions || null,
-  loadSessionMetadata: coreImplementation.loadSessionMetadata || null,
+  listSessions: coreImplementation.listSessions || sessionTools?.listSessions || null,
+  loadSessionMetadata: coreImplementation.loadSessionMetadata || sessionTools?.loadSessionMetadata || null,
   validateSession: coreImplementation.validateSession || null,
   
+  // Sequence editing (IPC in Electron renderer, direct file access in Node.js)
+  updateSequence: coreImplementation.updateSequence || sessionTools?.updateSequence || null,
+  retagSequence: coreImplementation.retagSequence || sessionTools?.retagSequence || null,
+  deleteSequence: coreImplementation.deleteSequence || sessionTools?.deleteSequence || null,
+  
   // Version and environment info
   version: require('../package.json').version,
-  environment: isElectronRenderer ? 'electron-renderer' : 
+  environment: isElectronRenderer || isElectronBridge ? 'electron-renderer' : 
                isNode ? 'node' : 'browser'
 };
 
@@ -0,0 +1,168 @@
+/**
+ * IPC handler implementations for the Electron main process
+ * The main process owns the data root: the renderer only sends session and
+ * sequence identifiers, every path is resolved here and checked against the root.
+ * Kept free of the electron import so handlers can be tested in plain Node.js.
+ */
+
+const {
+  appendToSessionFile,
+  saveFrameImage,
+  listSessions,
+  loadSessionMetadata,
+  updateSequence,
+  retagSequence,
+  deleteSequence
+} = require('./session');
+const { getProjectConfig } = require('./config');
+const { validateTag, validateFrame } = require('./utils/validation');
+const { generateFrameReference } = require('./utils/encoding');
+const {
+  createCodedError,
+  resolveWithinRoot,
+  assertIdentifier,
+  resolveSessionDir
+} = require('./utils/path-guard');
+
+/**
+ * Wrap handler so thrown errors become result objects
+ */
+const withErrorResult = (handler, fallbackCode) => async (...args) => {
+  try {
+    return await handler(...args);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: error.code || fallbackCode
+    };
+  }
+};
+
+/**
+ * Check sequence entry sent by the renderer - Pure function
+ */
+const assertSequenceData = (data, config) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw createCodedError('Sequence data must be an object', 'VALIDATION_ERROR');
+  }
+
+  if (!Array.isArray(data.poses) || data.poses.length === 0 || data.poses.length > config.maxSequenceLength) {
+    throw createCodedError(`Sequence data must have 1 to ${config.maxSequenceLength} poses`, 'VALIDATION_ERROR');
+  }
+
+  const tagValidation = validateTag(data.tag);
+  if (!tagValidation.isValid) {
+    throw createCodedError(tagValidation.error, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Save sequence sent by the renderer - { session, sequence, data, frameData }
+ */
+const handleSaveSequence = async (event, payload = {}) => {
+  const { session, sequence, data, frameData } = payload;
+  const config = getProjectConfig();
+
+  const sessionDir = resolveSessionDir(session, config.dataPath);
+  assertIdentifier(sequence, 'Sequence');
+  assertSequenceData(data, config);
+
+  // Frame location is decided here, never taken from the renderer
+  let frameReference = null;
+  if (frameData) {
+    const frameValidation = validateFrame(frameData, config);
+    if (!frameValidation.isValid) {
+      throw createCodedError(`Frame validation failed: ${frameValidation.error}`, 'VALIDATION_ERROR');
+    }
+
+    const framePath = resolveWithinRoot(
+      config.dataPath,
+      generateFrameReference(session, sequence, resolveWithinRoot(config.dataPath))
+    );
+    const frameResult = await saveFrameImage(framePath, frameData);
+    frameReference = frameResult.success ? framePath : null;
+  }
+
+  const sessionPath = resolveWithinRoot(config.dataPath, 'sessions', session, 'sequences.jsonl');
+  const sequenceData = { ...data, session, frame_reference: frameReference };
+
+  const saveResult = await appendToSessionFile(sessionPath, sequenceData);
+  if (!saveResult.success) {
+    return saveResult;
+  }
+
+  return {
+    success: true,
+    data: {
+      sequenceId: sequenceData.id,
+      session,
+      sessionPath,
+      sessionDir,
+      frameReference,
+      timestamp: sequenceData.timestamp
+    }
+  };
+};
+
+/**
+ * Validate session name for the renderer - Pure function
+ */
+const handleValidateSession = async (event, sessionName) => {
+  const sanitizedName = sessionName.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return {
+    success: true,
+    valid: sanitizedName.length > 0 && sanitizedName.length <= 50,
+    sanitized: sanitizedName
+  };
+};
+
+/**
+ * Create channel -> handler map for ipcMain.handle
+ */
+const createSequenceHandlers = () => ({
+  'zdg-save-sequence': withErrorResult(handleSaveSequence, 'ELECTRON_SAVE_ERROR'),
+
+  'zdg-get-project-config': withErrorResult(async () => ({
+    success: true,
+    data: getProjectConfig()
+  }), 'CONFIG_ERROR'),
+
+  'zdg-list-sessions': withErrorResult(async () => (
+    await listSessions(resolveWithinRoot(getProjectConfig().dataPath, 'sessions'))
+  ), 'SESSION_LIST_ERROR'),
+
+  'zdg-load-session-metadata': withErrorResult(async (event, session) => (
+    await loadSessionMetadata(resolveSessionDir(session, getProjectConfig().dataPath))
+  ), 'METADATA_LOAD_ERROR'),
+
+  'zdg-update-sequence': withErrorResult(async (event, session, sequenceId, patch) => (
+    await updateSequence(
+      resolveSessionDir(session, getProjectConfig().dataPath),
+      assertIdentifier(sequenceId, 'Sequence id'),
+      patch
+    )
+  ), 'SEQUENCE_UPDATE_ERROR'),
+
+  'zdg-retag-sequence': withErrorResult(async (event, session, sequenceId, tag) => (
+    await retagSequence(
+      resolveSessionDir(session, getProjectConfig().dataPath),
+      assertIdentifier(sequenceId, 'Sequence id'),
+      tag
+    )
+  ), 'SEQUENCE_UPDATE_ERROR'),
+
+  'zdg-delete-sequence': withErrorResult(async (event, session, sequenceId) => (
+    await deleteSequence(
+      resolveSessionDir(session, getProjectConfig().dataPath),
+      assertIdentifier(sequenceId, 'Sequence id')
+    )
+  ), 'SEQUENCE_DELETE_ERROR'),
+
+  'zdg-validate-session': withErrorResult(handleValidateSession, 'VALIDATION_ERROR')
+});
+
+module.exports = {
+  createSequenceHandlers,
+  handleSaveSequence
+};
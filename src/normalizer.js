@@ -3,17 +3,110 @@
  * Prepares skeleton data for training consistency
  */
 
+const { getProjectConfig } = require('./config');
+const { getSkeleton, resolvePartName, getQualityThresholds } = require('./skeletons');
+const { normalizeBodyPoses, describeBodyNormalization } = require('./utils/body-normalization');
+const { smoothPoses, describeSmoothing } = require('./utils/smoothing');
+const { fillGaps, describeGapFilling } = require('./utils/gap-filling');
+const { resamplePoses } = require('./utils/resampling');
+const { handleAnomalies } = require('./utils/anomaly-detection');
+
 /**
  * Normalize multiple poses - Pure function
+ * Dimensionality is decided once for the whole sequence so every frame has
+ * the same coordinate layout (3D as soon as any keypoint carries z).
+ * Sequence passes, in order:
+ * - options.anomalies (true, 'repair', 'drop' or { action, ...thresholds }) handles tracking glitches
+ * - options.fillGaps (true, 'linear', 'cubic' or { method, maxGap }) interpolates occluded keypoints
+ * - options.smoothing ('oneEuro' | 'ema' | 'savitzkyGolay' or { filter, ...params }) filters over time
+ * - options.resample ({ fps } or { frames }) interpolates to a fixed rate or length
+ * - options.normalizeBody (true or { scaleBy, alignShoulders, sequenceScale }) switches to
+ *   hip-centered, torso-scaled coordinates with a per-frame transform
+ */
+const normalizePoses = (rawPoses, options = {}) => normalizeSequence(rawPoses, options).poses;
+
+/**
+ * Normalize multiple poses and keep the anomaly report - Pure function
+ * Same passes as normalizePoses; anomalies is null unless options.anomalies is set
+ *
+ * @returns {{ poses: Array, anomalies: Object|null }}
  */
-const normalizePoses = (rawPoses, options = {}) => {
+const normalizeSequence = (rawPoses, options = {}) => {
   if (!Array.isArray(rawPoses)) {
     throw new Error('Poses must be an array');
   }
   
-  return rawPoses.map((pose, index) => normalizeSinglePose(pose, index, options));
+  const layout = { ...detectDimensions(rawPoses.flatMap(pose => pose?.keypoints || [])), ...stripLayout(options) };
+  const keypointOptions = options.normalizeBody ? { ...options, ...layout, normalizeScale: false } : { ...options, ...layout };
+  let poses = rawPoses.map((pose, index) => normalizeSinglePose(pose, index, keypointOptions));
+  let anomalies = null;
+
+  if (options.anomalies) {
+    ({ poses, report: anomalies } = handleAnomalies(poses, options.anomalies, options.skeleton));
+    if (poses.length === 0) {
+      throw new Error('Every frame was flagged as an anomaly');
+    }
+  }
+
+  if (options.fillGaps) {
+    poses = fillGaps(poses, options.fillGaps).poses;
+  }
+
+  if (options.smoothing) {
+    poses = smoothPoses(poses, options.smoothing);
+  }
+
+  if (options.resample) {
+    poses = resamplePoses(poses, options.resample);
+  }
+
+  if (options.normalizeBody) {
+    poses = normalizeBodyPoses(poses, options.normalizeBody);
+  }
+
+  // Boxes follow the repaired / filled / smoothed / body coordinates
+  const rebox = options.anomalies || options.fillGaps || options.smoothing || options.resample || options.normalizeBody;
+  return {
+    poses: rebox
+      ? poses.map(pose => ({ ...pose, bbox: normalizeBoundingBox(calculateBoundingBox(pose.keypoints)) }))
+      : poses,
+    anomalies
+  };
 };
 
+/**
+ * Describe the normalization applied to a sequence for metadata.normalization - Pure function
+ */
+const describeNormalization = (poses, options = {}) => ({
+  scale_normalized: options.normalizeScale,
+  confidence_threshold: options.confidenceThreshold ?? getProjectConfig().confidenceThreshold,
+  ...(options.fillGaps ? { gap_filling: describeGapFilling(options.fillGaps, poses) } : {}),
+  ...(options.smoothing ? { smoothing: describeSmoothing(options.smoothing) } : {}),
+  ...(options.normalizeBody ? { body: describeBodyNormalization(options.normalizeBody, poses) } : {})
+});
+
+/**
+ * Detect coordinate layout of raw or normalized keypoints - Pure function
+ * @returns {{ dimensions: number, worldCoordinates: boolean }}
+ */
+const detectDimensions = (keypoints) => ({
+  dimensions: keypoints.some(kp => typeof kp?.position?.z === 'number') ? 3 : 2,
+  worldCoordinates: keypoints.some(kp => kp?.worldPosition && typeof kp.worldPosition === 'object')
+});
+
+/**
+ * Coordinate layout of a normalized sequence, as recorded in its metadata - Pure function
+ */
+const getPoseDimensions = (poses) => detectDimensions(poses.flatMap(pose => pose?.keypoints || []));
+
+/**
+ * Keep explicitly set layout options only - Pure function
+ */
+const stripLayout = ({ dimensions, worldCoordinates }) => ({
+  ...(dimensions !== undefined ? { dimensions } : {}),
+  ...(worldCoordinates !== undefined ? { worldCoordinates } : {})
+});
+
 /**
  * Normalize single pose structure - Pure function
  */
@@ -26,37 +119,56 @@ const normalizeSinglePose = (pose, frameIndex = 0, options = {}) => {
   const boundingBox = normalizeBoundingBox(pose.boundingBox || calculateBoundingBox(normalizedKeypoints));
 
   return {
-    timestamp: pose.timestamp || frameIndex * 33, // Assume 30fps if no timestamp
+    timestamp: getFrameTimestamp(pose, frameIndex, options),
     keypoints: normalizedKeypoints,
     confidence: normalizeConfidence(pose.score || pose.confidence || 0),
     bbox: boundingBox
   };
 };
 
+/**
+ * Pose timestamp, derived from frame index when missing - Pure function
+ * options.sourceFps gives the capture rate, otherwise 30fps is assumed
+ */
+const getFrameTimestamp = (pose, frameIndex, options = {}) => {
+  if (pose?.timestamp) return pose.timestamp;
+
+  return options.sourceFps
+    ? Math.round(frameIndex * 100000 / options.sourceFps) / 100
+    : frameIndex * 33;
+};
+
+/**
+ * Timestamps of raw poses as normalizePoses will read them - Pure function
+ */
+const getSourceTimestamps = (rawPoses, options = {}) => rawPoses.map((pose, index) => getFrameTimestamp(pose, index, options));
+
 /**
  * Normalize keypoints with consistent structure - Pure function
+ * Keypoint names and order come from the skeleton schema (options.skeleton,
+ * PoseNet by default); parts outside the schema are dropped.
+ * options.dimensions (2 or 3) keeps position.z, options.worldCoordinates keeps
+ * worldPosition {x, y, z}; both are detected from the input when not given.
  */
 const normalizeKeypoints = (keypoints, options = {}) => {
   if (!Array.isArray(keypoints)) {
     return [];
   }
 
-  const confidenceThreshold = options.confidenceThreshold || 0.3;
+  const confidenceThreshold = options.confidenceThreshold ?? getProjectConfig().confidenceThreshold;
   const normalizeScale = options.normalizeScale || false;
+  const skeleton = getSkeleton(options.skeleton);
+  const { dimensions, worldCoordinates } = { ...detectDimensions(keypoints), ...stripLayout(options) };
   
-  // Ensure we have all 17 PoseNet keypoints in correct order
-  const keypointOrder = [
-    'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
-    'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow',
-    'leftWrist', 'rightWrist', 'leftHip', 'rightHip',
-    'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
-  ];
-
-  // Create keypoint map for easy access
+  // Ensure we have all skeleton keypoints in correct order
+  const keypointOrder = skeleton.keypoints;
+
+  // Create keypoint map for easy access (input names resolved through schema aliases)
   const keypointMap = {};
   keypoints.forEach(kp => {
-    if (kp.part && kp.position) {
-      keypointMap[kp.part] = kp;
+    const part = kp && kp.position ? resolvePartName(skeleton, kp.part) : null;
+    if (part) {
+      keypointMap[part] = kp;
     }
   });
 
@@ -68,7 +180,8 @@ const normalizeKeypoints = (keypoints, options = {}) => {
       // Missing keypoint - create placeholder
       return {
         part,
-        position: { x: 0, y: 0 },
+        position: dimensions === 3 ? { x: 0, y: 0, z: 0 } : { x: 0, y: 0 },
+        ...(worldCoordinates ? { worldPosition: { x: 0, y: 0, z: 0 } } : {}),
         confidence: 0,
         visible: false
       };
@@ -77,18 +190,16 @@ const normalizeKeypoints = (keypoints, options = {}) => {
     const confidence = normalizeConfidence(kp.score || kp.confidence || 0);
     const visible = confidence >= confidenceThreshold;
     
-    let position = {
-      x: Math.round(kp.position.x * 1000) / 1000, // 3 decimal precision
-      y: Math.round(kp.position.y * 1000) / 1000
-    };
+    let position = normalizePosition(kp.position, dimensions);
 
-    // Optional: Scale normalization (0-1 range based on bounding box)
+    // Optional: Scale normalization (0-1 range based on bounding box / volume)
     if (normalizeScale && visible) {
       const bbox = calculateBoundingBoxFromKeypoints(Object.values(keypointMap));
       if (bbox.width > 0 && bbox.height > 0) {
         position = {
           x: (position.x - bbox.minX) / bbox.width,
-          y: (position.y - bbox.minY) / bbox.height
+          y: (position.y - bbox.minY) / bbox.height,
+          ...(dimensions === 3 ? { z: bbox.depth > 0 ? (position.z - bbox.minZ) / bbox.depth : 0 } : {})
         };
       }
     }
@@ -96,6 +207,8 @@ const normalizeKeypoints = (keypoints, options = {}) => {
     return {
       part,
       position,
+      // World coordinates (metric, hip-centred for BlazePose) are never rescaled
+      ...(worldCoordinates ? { worldPosition: normalizePosition(kp.worldPosition || {}, 3) } : {}),
       confidence,
       visible
     };
@@ -104,6 +217,19 @@ const normalizeKeypoints = (keypoints, options = {}) => {
   return normalizedKeypoints;
 };
 
+/**
+ * Round position to 3 decimals, with z for 3D layouts - Pure function
+ */
+const normalizePosition = (position, dimensions = 2) => {
+  const round = value => Math.round((Number.isFinite(value) ? value : 0) * 1000) / 1000;
+
+  return {
+    x: round(position.x),
+    y: round(position.y),
+    ...(dimensions === 3 ? { z: round(position.z) } : {})
+  };
+};
+
 /**
  * Normalize confidence score - Pure function
  */
@@ -120,22 +246,34 @@ const normalizeBoundingBox = (bbox) => {
     return { x: 0, y: 0, width: 0, height: 0 };
   }
 
-  return {
+  const normalized = {
     x: Math.round((bbox.x || bbox.minX || 0) * 1000) / 1000,
     y: Math.round((bbox.y || bbox.minY || 0) * 1000) / 1000,
     width: Math.round((bbox.width || 0) * 1000) / 1000,
     height: Math.round((bbox.height || 0) * 1000) / 1000
   };
+
+  // Bounding volume for 3D poses
+  if (typeof bbox.depth === 'number') {
+    normalized.z = Math.round((bbox.z || bbox.minZ || 0) * 1000) / 1000;
+    normalized.depth = Math.round(bbox.depth * 1000) / 1000;
+  }
+
+  return normalized;
 };
 
 /**
  * Calculate bounding box from keypoints - Pure function
+ * Adds z/depth (bounding volume) when keypoints are 3D
  */
 const calculateBoundingBox = (keypoints) => {
   const visibleKeypoints = keypoints.filter(kp => kp.visible && kp.position);
+  const is3D = keypoints.some(kp => typeof kp?.position?.z === 'number');
   
   if (visibleKeypoints.length === 0) {
-    return { x: 0, y: 0, width: 0, height: 0 };
+    return is3D
+      ? { x: 0, y: 0, width: 0, height: 0, z: 0, depth: 0 }
+      : { x: 0, y: 0, width: 0, height: 0 };
   }
 
   const xs = visibleKeypoints.map(kp => kp.position.x);
@@ -146,12 +284,20 @@ const calculateBoundingBox = (keypoints) => {
   const minY = Math.min(...ys);
   const maxY = Math.max(...ys);
 
-  return {
+  const bbox = {
     x: minX,
     y: minY,
     width: maxX - minX,
     height: maxY - minY
   };
+
+  if (is3D) {
+    const zs = visibleKeypoints.map(kp => kp.position.z || 0);
+    bbox.z = Math.min(...zs);
+    bbox.depth = Math.max(...zs) - bbox.z;
+  }
+
+  return bbox;
 };
 
 /**
@@ -174,7 +320,7 @@ const calculateBoundingBoxFromKeypoints = (keypoints) => {
   const minY = Math.min(...ys);
   const maxY = Math.max(...ys);
 
-  return {
+  const bbox = {
     minX,
     minY,
     maxX,
@@ -182,6 +328,15 @@ const calculateBoundingBoxFromKeypoints = (keypoints) => {
     width: maxX - minX,
     height: maxY - minY
   };
+
+  const zs = validKeypoints.filter(kp => typeof kp.position.z === 'number').map(kp => kp.position.z);
+  if (zs.length > 0) {
+    bbox.minZ = Math.min(...zs);
+    bbox.maxZ = Math.max(...zs);
+    bbox.depth = bbox.maxZ - bbox.minZ;
+  }
+
+  return bbox;
 };
 
 /**
@@ -198,22 +353,25 @@ const validateKeypoint = (keypoint) => {
 
 /**
  * Get keypoint statistics - Pure function
+ * Quality thresholds scale with the skeleton's keypoint count
  */
-const getKeypointStats = (keypoints) => {
+const getKeypointStats = (keypoints, skeleton) => {
   const visible = keypoints.filter(kp => kp.visible).length;
   const avgConfidence = keypoints.reduce((sum, kp) => sum + kp.confidence, 0) / keypoints.length;
+  const thresholds = getQualityThresholds(getSkeleton(skeleton));
   
   return {
     total: keypoints.length,
     visible,
     missing: keypoints.length - visible,
     avgConfidence: Math.round(avgConfidence * 1000) / 1000,
-    quality: visible >= 15 ? 'high' : visible >= 10 ? 'medium' : 'low'
+    quality: visible >= thresholds.high ? 'high' : visible >= thresholds.medium ? 'medium' : 'low'
   };
 };
 
 module.exports = {
   normalizePoses,
+  normalizeSequence,
   normalizeSinglePose,
   normalizeKeypoints,
   normalizeConfidence,
@@ -221,5 +379,8 @@ module.exports = {
   calculateBoundingBox,
   calculateBoundingBoxFromKeypoints,
   validateKeypoint,
-  getKeypointStats
+  getKeypointStats,
+  getPoseDimensions,
+  getSourceTimestamps,
+  describeNormalization
 };
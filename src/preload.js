@@ -0,0 +1,38 @@
+/**
+ * Preload script for Electron renderers with contextIsolation enabled
+ * Exposes a narrow window.zdg API via contextBridge - one method per IPC
+ * channel, no raw ipcRenderer access. Self-contained so it also works as a
+ * sandboxed preload (only 'electron' can be required there).
+ *
+ * Usage in main process:
+ *   new BrowserWindow({ webPreferences: {
+ *     preload: require.resolve('zdg_skeleton_seq/preload'),
+ *     contextIsolation: true, nodeIntegration: false, sandbox: true
+ *   } })
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * Build bridge object on top of ipcRenderer
+ * Arguments are identifiers and plain data only; the main process resolves paths
+ */
+const createIpcBridge = (ipc) => Object.freeze({
+  saveSequence: (payload) => ipc.invoke('zdg-save-sequence', payload),
+  getProjectConfig: () => ipc.invoke('zdg-get-project-config'),
+  listSessions: () => ipc.invoke('zdg-list-sessions'),
+  loadSessionMetadata: (session) => ipc.invoke('zdg-load-session-metadata', session),
+  updateSequence: (session, sequenceId, patch) => ipc.invoke('zdg-update-sequence', session, sequenceId, patch),
+  retagSequence: (session, sequenceId, tag) => ipc.invoke('zdg-retag-sequence', session, sequenceId, tag),
+  deleteSequence: (session, sequenceId) => ipc.invoke('zdg-delete-sequence', session, sequenceId),
+  validateSession: (sessionName) => ipc.invoke('zdg-validate-session', sessionName)
+});
+
+// Only expose when loaded as an isolated preload, plain requires just get the factory
+if (process.contextIsolated) {
+  contextBridge.exposeInMainWorld('zdg', createIpcBridge(ipcRenderer));
+}
+
+module.exports = {
+  createIpcBridge
+};
@@ -0,0 +1,170 @@
+/**
+ * Renderer API factory - addSequence and session functions over a bridge
+ * The bridge is the narrow API exposed by preload.js (window.zdg) or the
+ * same shape built on ipcRenderer; this module never touches Electron itself
+ */
+
+const { validateInputs } = require('./utils/validation');
+const { normalizeSequence, getSourceTimestamps } = require('./normalizer');
+const { computeKinematics } = require('./utils/kinematics');
+const {
+  createSequenceEntry,
+  extractMetadata,
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+} = require('./sequence-entry');
+const { configureProject, getProjectConfig } = require('./config');
+const { saveTracks } = require('./tracker');
+
+/**
+ * Create renderer API bound to a bridge
+ * @param {Object} bridge - { saveSequence, getProjectConfig, listSessions, loadSessionMetadata,
+ *   updateSequence, retagSequence, deleteSequence, validateSession }
+ */
+const createRendererApi = (bridge) => {
+  /**
+   * Read the skeleton recorded in a session's metadata (undefined for new sessions)
+   */
+  const getSessionSkeleton = async (session) => {
+    if (typeof session !== 'string') return undefined;
+
+    const result = await bridge.loadSessionMetadata(session);
+    return result?.success ? result.data.skeleton || undefined : undefined;
+  };
+
+  /**
+   * Main addSequence function for renderer process
+   * This bridges browser-side data processing with Node.js file operations
+   * skeleton defaults to the one already recorded for the session, as in saveSequence
+   */
+  const addSequence = async (session, sequence, poses, tag, frame, options = {}) => {
+    // Default options - data folder and threshold come from the project configuration
+    const config = getProjectConfig();
+    const defaultOptions = {
+      saveFrame: false,
+      normalizeScale: false,
+      includeMetadata: true,
+      confidenceThreshold: config.confidenceThreshold,
+      maxSequenceLength: config.maxSequenceLength
+    };
+  
+    try {
+      const skeleton = options.skeleton ?? await getSessionSkeleton(session);
+      const finalOptions = { ...defaultOptions, ...options, skeleton };
+
+      // Validate inputs in renderer process (fast, no IPC needed)
+      const validationResult = validateInputs({ 
+        session, 
+        sequence, 
+        poses, 
+        tag, 
+        frame, 
+        options: finalOptions 
+      });
+    
+      if (!validationResult.isValid) {
+        return {
+          success: false,
+          error: validationResult.error,
+          code: 'VALIDATION_ERROR'
+        };
+      }
+    
+      // Normalize poses and build the entry in renderer process
+      // Same pure builders as tagger.addSequence, so both storage paths write identical entries
+      const { poses: normalizedPoses, anomalies } = normalizeSequence(poses, finalOptions);
+      const metadata = extractMetadata(normalizedPoses, finalOptions, getSourceTimestamps(poses, finalOptions), anomalies);
+      const sequenceData = createSequenceEntry({
+        session,
+        sequence,
+        poses: normalizedPoses,
+        tag,
+        frame: null,
+        timestamp: Date.now(),
+        metadata
+      });
+
+      if (finalOptions.features) {
+        sequenceData.features = computeKinematics(normalizedPoses);
+      }
+    
+      // Send to main process for file operations via IPC
+      // Main process decides every path from the session/sequence identifiers
+      const saveResult = await bridge.saveSequence({
+        session,
+        sequence,
+        data: sequenceData,
+        frameData: finalOptions.saveFrame ? frame : null
+      });
+    
+      if (saveResult.success) {
+        return {
+          success: true,
+          data: {
+            id: sequenceData.id,
+            session,
+            sequence,
+            tag,
+            timestamp: sequenceData.timestamp,
+            poseCount: normalizedPoses.length,
+            frameReference: saveResult.data.frameReference,
+            sessionPath: saveResult.data.sessionPath
+          }
+        };
+      } else {
+        return saveResult;
+      }
+    
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: 'RENDERER_ERROR'
+      };
+    }
+  };
+
+  /**
+   * Utility functions for renderer
+   * Sessions are addressed by name, the main process resolves their folders
+   */
+  const syncProjectConfig = async () => {
+    const result = await bridge.getProjectConfig();
+    if (result.success) {
+      configureProject(result.data);
+    }
+    return result;
+  };
+
+  /**
+   * Track people in frame based input and save each track as a linked sequence
+   */
+  const saveTrackedSequences = (session, sequence, frames, tag, frame, options = {}) => (
+    saveTracks(addSequence, session, sequence, frames, tag, frame, options)
+  );
+
+  return {
+    addSequence,
+    saveSequence: addSequence, // addSequence already persists via IPC
+    saveTrackedSequences,
+    syncProjectConfig,
+    listSessions: () => bridge.listSessions(),
+    loadSessionMetadata: (session) => bridge.loadSessionMetadata(session),
+    validateSession: (sessionName) => bridge.validateSession(sessionName),
+    updateSequence: (session, sequenceId, patch) => bridge.updateSequence(session, sequenceId, patch),
+    retagSequence: (session, sequenceId, tag) => bridge.retagSequence(session, sequenceId, tag),
+    deleteSequence: (session, sequenceId) => bridge.deleteSequence(session, sequenceId)
+  };
+};
+
+module.exports = {
+  createRendererApi,
+
+  // Utility functions
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+};
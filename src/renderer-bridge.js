@@ -0,0 +1,59 @@
+/**
+ * Renderer build for contextIsolation apps
+ * Talks to the window.zdg API exposed by preload.js, needs no Node.js access
+ */
+
+const {
+  createRendererApi,
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+} = require('./renderer-api');
+
+const BRIDGE_METHODS = [
+  'saveSequence',
+  'getProjectConfig',
+  'listSessions',
+  'loadSessionMetadata',
+  'updateSequence',
+  'retagSequence',
+  'deleteSequence',
+  'validateSession'
+];
+
+/**
+ * Check whether the preload bridge is available
+ */
+const hasBridge = () => typeof window !== 'undefined' &&
+  Boolean(window.zdg) &&
+  typeof window.zdg.saveSequence === 'function';
+
+/**
+ * Resolve window.zdg lazily so the module can load before the preload runs
+ * Calls without a bridge resolve to an error result instead of throwing
+ */
+const lazyBridge = BRIDGE_METHODS.reduce((bridge, method) => ({
+  ...bridge,
+  [method]: async (...args) => {
+    if (!hasBridge()) {
+      return {
+        success: false,
+        error: 'window.zdg bridge not found, load zdg_skeleton_seq/preload as the window preload script',
+        code: 'BRIDGE_UNAVAILABLE'
+      };
+    }
+    return await window.zdg[method](...args);
+  }
+}), {});
+
+module.exports = {
+  ...createRendererApi(lazyBridge),
+  hasBridge,
+
+  // Utility functions
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+};
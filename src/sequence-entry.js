@@ -0,0 +1,122 @@
+/**
+ * Sequence entry builders - Pure functions without Node.js dependencies
+ * Shared by tagger.js (Node) and renderer-api.js (browser) so both write identical entries
+ */
+
+const { getPoseDimensions, describeNormalization } = require('./normalizer');
+const { describeResampling } = require('./utils/resampling');
+const { describeAnomalies } = require('./utils/anomaly-detection');
+const { generateSequenceId } = require('./utils/encoding');
+const { getSkeleton, getQualityThresholds } = require('./skeletons');
+
+/**
+ * Create sequence entry data structure - Pure function
+ */
+const createSequenceEntry = ({ session, sequence, poses, tag, frame, timestamp, metadata }) => ({
+  id: generateSequenceId(session, sequence),
+  session,
+  sequence, 
+  tag,
+  timestamp,
+  duration: calculateSequenceDuration(poses),
+  poses,
+  metadata: {
+    pose_count: poses.length,
+    avg_confidence: calculateAverageConfidence(poses),
+    keypoint_quality: assessKeypointQuality(poses, metadata?.skeleton),
+    frame_rate: calculateFrameRate(poses),
+    ...metadata
+  }
+});
+
+/**
+ * Extract metadata from poses - Pure function
+ * sourceTimestamps (capture timing) is kept in metadata.resampling when poses were resampled,
+ * the anomaly report of normalizeSequence is summarized in metadata.anomalies
+ */
+const extractMetadata = (poses, options, sourceTimestamps = [], anomalies = null) => {
+  const firstPose = poses[0] || {};
+  const lastPose = poses[poses.length - 1] || {};
+  const skeleton = getSkeleton(options.skeleton);
+  const { dimensions, worldCoordinates } = getPoseDimensions(poses);
+  
+  return {
+    source: options.source || skeleton.name,
+    version: '1.0.0',
+    skeleton: skeleton.name,
+    keypoint_count: skeleton.keypoints.length,
+    dimensions,
+    world_coordinates: worldCoordinates,
+    normalization: describeNormalization(poses, options),
+    sequence_info: {
+      start_timestamp: firstPose.timestamp || 0,
+      end_timestamp: lastPose.timestamp || 0,
+      frame_count: poses.length
+    },
+    ...(options.resample ? { resampling: describeResampling(sourceTimestamps, options.resample) } : {}),
+    ...(anomalies ? { anomalies: describeAnomalies(options.anomalies, anomalies) } : {}),
+    ...(options.tracking ? { tracking: options.tracking } : {})
+  };
+};
+
+/**
+ * Calculate sequence duration - Pure function
+ */
+const calculateSequenceDuration = (poses) => {
+  if (poses.length < 2) return 0;
+  
+  const firstTimestamp = poses[0]?.timestamp || 0;
+  const lastTimestamp = poses[poses.length - 1]?.timestamp || 0;
+  
+  return lastTimestamp - firstTimestamp;
+};
+
+/**
+ * Calculate average confidence across all poses - Pure function
+ */
+const calculateAverageConfidence = (poses) => {
+  if (poses.length === 0) return 0;
+  
+  const totalConfidence = poses.reduce((sum, pose) => sum + (pose.confidence || 0), 0);
+  return Math.round((totalConfidence / poses.length) * 1000) / 1000;
+};
+
+/**
+ * Assess keypoint quality - Pure function
+ * Thresholds scale with the skeleton's keypoint count (15/10/5 for 17 points)
+ */
+const assessKeypointQuality = (poses, skeleton) => {
+  if (poses.length === 0) return 'none';
+  
+  const thresholds = getQualityThresholds(getSkeleton(skeleton));
+  const avgVisibleKeypoints = poses.reduce((sum, pose) => {
+    const visibleCount = pose.keypoints?.filter(kp => kp.visible).length || 0;
+    return sum + visibleCount;
+  }, 0) / poses.length;
+  
+  if (avgVisibleKeypoints >= thresholds.high) return 'high';
+  if (avgVisibleKeypoints >= thresholds.medium) return 'medium';
+  if (avgVisibleKeypoints >= thresholds.low) return 'low';
+  return 'poor';
+};
+
+/**
+ * Calculate frame rate - Pure function
+ */
+const calculateFrameRate = (poses) => {
+  if (poses.length < 2) return 0;
+  
+  const duration = calculateSequenceDuration(poses);
+  if (duration === 0) return 0;
+  
+  return Math.round((poses.length / (duration / 1000)) * 10) / 10; // FPS with 1 decimal
+};
+
+module.exports = {
+  createSequenceEntry,
+  extractMetadata,
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+};
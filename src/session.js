@@ -4,24 +4,37 @@
  */
 
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { withSessionLock, writeFileAtomic, createLineWriter } = require('./utils/file-lock');
+const { createBackupFileName, generateRandomString } = require('./utils/encoding');
+const { validateTag } = require('./utils/validation');
+const { getSessionsPath } = require('./config');
+const { DEFAULT_SKELETON } = require('./skeletons');
 
 /**
  * Append sequence data to session file - Pure with side effects
+ * Writes to the same session are queued and guarded by a lock file
  */
-const appendToSessionFile = async (sessionPath, sequenceData) => {
+const appendToSessionFile = async (sessionPath, sequenceData, lockOptions = {}) => {
   try {
     const sessionDir = path.dirname(sessionPath);
     
     // Ensure directory structure exists
     await ensureDirectoryStructure(sessionDir);
     
-    // Append to JSONL file (one sequence per line)
-    const jsonLine = JSON.stringify(sequenceData) + '\n';
-    await fs.appendFile(sessionPath, jsonLine);
-    
-    // Update session metadata
-    await updateSessionMetadata(sessionDir, sequenceData);
+    await withSessionLock(sessionDir, async () => {
+      // Every sequence of a session uses the session's skeleton
+      await assertSessionSkeleton(sessionDir, sequenceData);
+
+      // Append to JSONL file (one sequence per line)
+      const jsonLine = JSON.stringify(sequenceData) + '\n';
+      await fs.appendFile(sessionPath, jsonLine);
+      
+      // Update session metadata
+      await updateSessionMetadata(sessionDir, sequenceData);
+    }, lockOptions);
     
     return { success: true };
     
@@ -29,18 +42,39 @@ const appendToSessionFile = async (sessionPath, sequenceData) => {
     return { 
       success: false, 
       error: error.message,
-      code: 'FILE_WRITE_ERROR'
+      code: ['SESSION_LOCKED', 'SKELETON_MISMATCH'].includes(error.code) ? error.code : 'FILE_WRITE_ERROR'
     };
   }
 };
 
+/**
+ * Reject a sequence whose skeleton differs from the session's - Pure with side effects
+ * Sessions and sequences written before skeletons were recorded count as PoseNet
+ */
+const assertSessionSkeleton = async (sessionDir, sequenceData) => {
+  const metadata = await readMetadataFile(sessionDir);
+  if (!metadata || metadata.sequence_count === 0) return;
+
+  const sessionSkeleton = metadata.skeleton || DEFAULT_SKELETON;
+  const sequenceSkeleton = sequenceData.metadata?.skeleton || DEFAULT_SKELETON;
+
+  if (sessionSkeleton !== sequenceSkeleton) {
+    const error = new Error(
+      `Skeleton mismatch: session ${metadata.session_id} uses ${sessionSkeleton}, sequence uses ${sequenceSkeleton}`
+    );
+    error.code = 'SKELETON_MISMATCH';
+    throw error;
+  }
+};
+
 /**
  * Save frame image to disk - Pure with side effects
+ * frameReference is the full file path produced by generateFrameReference
  */
 const saveFrameImage = async (frameReference, frameData) => {
   try {
     // Parse base64 data
-    const matches = frameData.match(/^data:image\/([a-zA-Z]*);base64,(.*)$/);
+    const matches = frameData.match(/^data:image\/([a-zA-Z0-9.+-]*);base64,(.*)$/);
     if (!matches || matches.length !== 3) {
       throw new Error('Invalid image data format');
     }
@@ -48,8 +82,8 @@ const saveFrameImage = async (frameReference, frameData) => {
     const imageType = matches[1];
     const imageBuffer = Buffer.from(matches[2], 'base64');
     
-    // Construct full path
-    const framePath = path.join('./data/sessions', frameReference);
+    // Frame reference already contains the data path
+    const framePath = path.normalize(frameReference);
     const frameDir = path.dirname(framePath);
     
     // Ensure directory exists
@@ -90,6 +124,7 @@ const ensureDirectoryStructure = async (sessionDir) => {
 
 /**
  * Update session metadata - Pure with side effects
+ * Read-modify-write: call while holding the session lock
  */
 const updateSessionMetadata = async (sessionDir, sequenceData) => {
   const metadataPath = path.join(sessionDir, 'metadata.json');
@@ -104,6 +139,7 @@ const updateSessionMetadata = async (sessionDir, sequenceData) => {
   }
   
   // Update statistics
+  metadata.skeleton = metadata.skeleton || sequenceData.metadata?.skeleton || DEFAULT_SKELETON;
   metadata.updated_at = Date.now();
   metadata.sequence_count++;
   metadata.statistics.total_frames += sequenceData.poses.length;
@@ -122,8 +158,8 @@ const updateSessionMetadata = async (sessionDir, sequenceData) => {
   }
   metadata.statistics.pose_distribution[sequenceData.tag]++;
   
-  // Save updated metadata
-  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+  // Save updated metadata (atomic replace)
+  await writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
   
   return metadata;
 };
@@ -136,6 +172,7 @@ const createSessionMetadata = (sessionId) => ({
   created_at: Date.now(),
   updated_at: Date.now(),
   sequence_count: 0,
+  skeleton: null,
   tags: [],
   statistics: {
     total_frames: 0,
@@ -164,8 +201,9 @@ const loadSessionMetadata = async (sessionDir) => {
 
 /**
  * List all sessions - Pure with side effects
+ * Defaults to the sessions folder of the configured data root
  */
-const listSessions = async (dataDir = './data/sessions') => {
+const listSessions = async (dataDir = getSessionsPath()) => {
   try {
     const sessions = await fs.readdir(dataDir);
     const sessionInfo = [];
@@ -197,21 +235,62 @@ const listSessions = async (dataDir = './data/sessions') => {
   }
 };
 
+/**
+ * Stream sequences from a session file line by line - Async generator
+ * Malformed lines are skipped and passed to options.onError;
+ * breaking out of the loop closes the underlying file
+ * 
+ * @param {string} sessionPath - Session directory
+ * @param {Object} options - { onError: ({ file, line, error }) => void }
+ * @yields {{ line: number, data: Object }} Parsed sequence with its line number
+ */
+const iterateSessionFile = async function* (sessionPath, options = {}) {
+  const sequencesFile = path.join(sessionPath, 'sequences.jsonl');
+  
+  // Fail early on missing file, readline doesn't surface stream errors reliably
+  await fs.access(sequencesFile);
+  
+  const stream = fsSync.createReadStream(sequencesFile, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (error) {
+        if (options.onError) {
+          options.onError({ file: sequencesFile, line: lineNumber, error: error.message });
+        }
+        continue;
+      }
+      
+      yield { line: lineNumber, data };
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+};
+
 /**
  * Load sequences from session file - Pure with side effects
+ * Built on iterateSessionFile; malformed lines are skipped and reported
  */
 const loadSessionSequences = async (sessionPath) => {
   try {
-    const sequencesFile = path.join(sessionPath, 'sequences.jsonl');
-    const fileContent = await fs.readFile(sequencesFile, 'utf8');
+    const sequences = [];
+    const malformedLines = [];
     
-    const sequences = fileContent
-      .trim()
-      .split('\n')
-      .filter(line => line.trim())
-      .map(line => JSON.parse(line));
+    for await (const entry of iterateSessionFile(sessionPath, { onError: issue => malformedLines.push(issue) })) {
+      sequences.push(entry.data);
+    }
     
-    return { success: true, sequences };
+    return { success: true, sequences, malformedLines };
     
   } catch (error) {
     return { 
@@ -222,6 +301,503 @@ const loadSessionSequences = async (sessionPath) => {
   }
 };
 
+/**
+ * Calculate session metadata from stored sequences - Pure function
+ * Keeps identity fields (session_id, created_at) from existing metadata
+ */
+const calculateSessionMetadata = (sessionId, sequences, existing = null) => {
+  const initial = {
+    ...createSessionMetadata(existing?.session_id || sessionId),
+    ...(existing?.created_at ? { created_at: existing.created_at } : {})
+  };
+  
+  return sequences.reduce(accumulateSessionMetadata, initial);
+};
+
+/**
+ * Add one sequence to session statistics - Pure function
+ * Reducer used when recomputing metadata without holding all sequences
+ */
+const accumulateSessionMetadata = (metadata, sequence) => {
+  const poseCount = Array.isArray(sequence.poses) ? sequence.poses.length : 0;
+  const sequenceCount = metadata.sequence_count + 1;
+  const totalFrames = metadata.statistics.total_frames + poseCount;
+  const distribution = metadata.statistics.pose_distribution;
+  
+  return {
+    ...metadata,
+    sequence_count: sequenceCount,
+    skeleton: metadata.skeleton || sequence.metadata?.skeleton || DEFAULT_SKELETON,
+    tags: metadata.tags.includes(sequence.tag) ? metadata.tags : [...metadata.tags, sequence.tag],
+    statistics: {
+      ...metadata.statistics,
+      total_frames: totalFrames,
+      avg_sequence_length: Math.round(totalFrames / sequenceCount),
+      pose_distribution: {
+        ...distribution,
+        [sequence.tag]: (distribution[sequence.tag] || 0) + 1
+      }
+    }
+  };
+};
+
+/**
+ * Compare stored metadata against recomputed metadata - Pure function
+ */
+const compareSessionMetadata = (expected, actual) => {
+  if (!actual) {
+    return [{ field: 'metadata', expected: 'metadata.json', actual: null }];
+  }
+  
+  const discrepancies = [];
+  const check = (field, expectedValue, actualValue) => {
+    if (JSON.stringify(expectedValue) !== JSON.stringify(actualValue)) {
+      discrepancies.push({ field, expected: expectedValue, actual: actualValue });
+    }
+  };
+  const sortKeys = (obj = {}) => Object.keys(obj).sort()
+    .reduce((sorted, key) => ({ ...sorted, [key]: obj[key] }), {});
+  
+  check('sequence_count', expected.sequence_count, actual.sequence_count);
+  check('tags', [...expected.tags].sort(), [...(actual.tags || [])].sort());
+  check('statistics.total_frames', expected.statistics.total_frames, actual.statistics?.total_frames);
+  check('statistics.avg_sequence_length', expected.statistics.avg_sequence_length, actual.statistics?.avg_sequence_length);
+  check('statistics.pose_distribution',
+    sortKeys(expected.statistics.pose_distribution),
+    sortKeys(actual.statistics?.pose_distribution));
+  
+  return discrepancies;
+};
+
+/**
+ * Read existing metadata.json without failing - Pure with side effects
+ */
+const readMetadataFile = async (sessionDir) => {
+  const result = await loadSessionMetadata(sessionDir);
+  return result.success ? result.data : null;
+};
+
+/**
+ * Check whether a file ends with a newline - Pure with side effects
+ * Reads only the last byte; empty files count as complete
+ */
+const endsWithNewline = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return true;
+    
+    const buffer = Buffer.alloc(1);
+    await handle.read(buffer, 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Stream sequences.jsonl into session statistics - Pure with side effects
+ * Built on iterateSessionFile, only metadata and frame references are kept.
+ * An unparsable last line in a file without final newline is reported as
+ * truncated (an interrupted append), other unparsable lines as malformed.
+ * A missing file counts as an empty session.
+ */
+const scanSessionFile = async (sessionDir, existing) => {
+  const sequencesFile = path.join(sessionDir, 'sequences.jsonl');
+  const scan = {
+    metadata: calculateSessionMetadata(path.basename(sessionDir), [], existing),
+    frameReferences: [],
+    malformedLines: [],
+    truncatedLine: null
+  };
+  
+  let lastLine = 0;
+  try {
+    const onError = ({ line, error }) => {
+      scan.malformedLines.push({ line, error });
+      lastLine = line;
+    };
+    for await (const { line, data } of iterateSessionFile(sessionDir, { onError })) {
+      scan.metadata = accumulateSessionMetadata(scan.metadata, data);
+      if (data.frame_reference) scan.frameReferences.push(data.frame_reference);
+      lastLine = line;
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') return scan;
+    throw error;
+  }
+  
+  const last = scan.malformedLines[scan.malformedLines.length - 1];
+  if (last && last.line === lastLine && !await endsWithNewline(sequencesFile)) {
+    scan.truncatedLine = scan.malformedLines.pop();
+  }
+  
+  return scan;
+};
+
+/**
+ * Check that a session directory exists - Pure with side effects
+ */
+const sessionDirExists = async (sessionDir) => {
+  try {
+    return (await fs.stat(sessionDir)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+};
+
+const sessionNotFound = (sessionDir) => ({
+  success: false,
+  error: `Session not found: ${sessionDir}`,
+  code: 'SESSION_NOT_FOUND'
+});
+
+/**
+ * Rebuild metadata.json from sequences.jsonl - Pure with side effects
+ */
+const rebuildSessionMetadata = async (sessionDir) => {
+  if (!await sessionDirExists(sessionDir)) {
+    return sessionNotFound(sessionDir);
+  }
+
+  try {
+    return await withSessionLock(sessionDir, async () => {
+      const scan = await scanSessionFile(sessionDir, await readMetadataFile(sessionDir));
+      
+      await writeFileAtomic(path.join(sessionDir, 'metadata.json'), JSON.stringify(scan.metadata, null, 2));
+      
+      return {
+        success: true,
+        data: scan.metadata,
+        skippedLines: scan.malformedLines.length + (scan.truncatedLine ? 1 : 0)
+      };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: 'METADATA_REBUILD_ERROR'
+    };
+  }
+};
+
+/**
+ * Verify session consistency and optionally repair it - Pure with side effects
+ * Reports metadata discrepancies, truncated/malformed JSONL lines,
+ * orphaned frame files and frame references pointing to missing files
+ * 
+ * @param {string} sessionDir - Session directory
+ * @param {Object} options - { repair: false, removeOrphanedFrames: false }
+ * @returns {Promise<Object>} Verification report
+ */
+const verifySession = async (sessionDir, options = {}) => {
+  const { repair = false, removeOrphanedFrames = false } = options;
+  
+  if (!await sessionDirExists(sessionDir)) {
+    return sessionNotFound(sessionDir);
+  }
+
+  try {
+    return await withSessionLock(sessionDir, async () => {
+      const existing = await readMetadataFile(sessionDir);
+      const scan = await scanSessionFile(sessionDir, existing);
+      const expected = scan.metadata;
+      const frames = await checkFrameFiles(sessionDir, scan.frameReferences);
+      
+      const issues = {
+        metadata: compareSessionMetadata(expected, existing),
+        truncatedLine: scan.truncatedLine,
+        malformedLines: scan.malformedLines,
+        orphanedFrames: frames.orphaned,
+        missingFrames: frames.missing
+      };
+      
+      const valid = issues.metadata.length === 0 &&
+        !issues.truncatedLine &&
+        issues.malformedLines.length === 0 &&
+        issues.orphanedFrames.length === 0 &&
+        issues.missingFrames.length === 0;
+      
+      const repaired = repair && !valid
+        ? await repairSession(sessionDir, { expected, issues, removeOrphanedFrames })
+        : null;
+      
+      return {
+        success: true,
+        valid,
+        issues,
+        metadata: expected,
+        repaired
+      };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: 'SESSION_VERIFY_ERROR'
+    };
+  }
+};
+
+/**
+ * Find orphaned and missing frame files - Pure with side effects
+ */
+const checkFrameFiles = async (sessionDir, frameReferences) => {
+  const framesDir = path.join(sessionDir, 'frames');
+  let frameFiles = [];
+  try {
+    frameFiles = (await fs.readdir(framesDir, { withFileTypes: true }))
+      .filter(dirent => dirent.isFile())
+      .map(dirent => dirent.name);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  
+  // Frame references may be relative to any working directory, match by file name
+  const referenced = frameReferences.map(reference => path.basename(reference));
+  
+  return {
+    orphaned: frameFiles.filter(file => !referenced.includes(file)).sort(),
+    missing: referenced.filter(file => !frameFiles.includes(file)).sort()
+  };
+};
+
+/**
+ * Repair session in place - Pure with side effects
+ * Unparsable lines are dropped from sequences.jsonl after backing up the
+ * original file; metadata.json is replaced with the recomputed version.
+ * The clean file is streamed into a temp file and renamed over the original.
+ */
+const repairSession = async (sessionDir, { expected, issues, removeOrphanedFrames }) => {
+  const sequencesPath = path.join(sessionDir, 'sequences.jsonl');
+  const repaired = { backup: null, droppedLines: 0, metadata: false, removedFrames: [] };
+  
+  const droppedLines = issues.malformedLines.length + (issues.truncatedLine ? 1 : 0);
+  if (droppedLines > 0) {
+    const backupPath = createBackupFileName(sequencesPath);
+    await fs.copyFile(sequencesPath, backupPath);
+    
+    const tempPath = `${sequencesPath}.${process.pid}.${generateRandomString(6)}.tmp`;
+    const output = fsSync.createWriteStream(tempPath);
+    const writer = createLineWriter(output);
+    try {
+      for await (const { data } of iterateSessionFile(sessionDir)) {
+        await writer.write(JSON.stringify(data));
+      }
+      await writer.end();
+      await fs.rename(tempPath, sequencesPath);
+    } catch (error) {
+      output.destroy();
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+    
+    repaired.backup = backupPath;
+    repaired.droppedLines = droppedLines;
+  }
+  
+  if (issues.metadata.length > 0) {
+    await writeFileAtomic(path.join(sessionDir, 'metadata.json'), JSON.stringify(expected, null, 2));
+    repaired.metadata = true;
+  }
+  
+  if (removeOrphanedFrames) {
+    for (const file of issues.orphanedFrames) {
+      await fs.unlink(path.join(sessionDir, 'frames', file));
+      repaired.removedFrames.push(file);
+    }
+  }
+  
+  return repaired;
+};
+
+/**
+ * Rewrite sequences.jsonl through a transform - Pure with side effects
+ * Streams the file into a temp file and renames it over the original, then
+ * replaces metadata.json with statistics recomputed from the kept sequences.
+ * transform returns the sequence (unchanged), a new object (changed) or null
+ * (deleted). Unparsable lines are copied through untouched.
+ * Call while holding the session lock.
+ * 
+ * @param {string} sessionDir - Session directory
+ * @param {Function} transform - (sequence) => sequence | null
+ * @param {Object} options - { dryRun: false } computes changes without writing
+ * @returns {Promise<Object>} { changes: [{ before, after }], metadata }
+ */
+const rewriteSessionFile = async (sessionDir, transform, options = {}) => {
+  const sequencesFile = path.join(sessionDir, 'sequences.jsonl');
+  await fs.access(sequencesFile);
+  
+  const tempPath = `${sequencesFile}.${process.pid}.${generateRandomString(6)}.tmp`;
+  const existing = await readMetadataFile(sessionDir);
+  let metadata = calculateSessionMetadata(path.basename(sessionDir), [], existing);
+  const changes = [];
+  
+  const input = fsSync.createReadStream(sequencesFile, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const output = options.dryRun ? null : fsSync.createWriteStream(tempPath);
+  const writer = output ? createLineWriter(output) : null;
+  const writeLine = (text) => (writer ? writer.write(text) : Promise.resolve());
+  
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      
+      let sequence;
+      try {
+        sequence = JSON.parse(line);
+      } catch {
+        await writeLine(line);
+        continue;
+      }
+      
+      const result = transform(sequence);
+      if (result !== sequence) {
+        changes.push({ before: sequence, after: result });
+      }
+      if (result === null) continue;
+      
+      metadata = accumulateSessionMetadata(metadata, result);
+      await writeLine(JSON.stringify(result));
+    }
+    
+    if (writer) {
+      await writer.end();
+    }
+  } catch (error) {
+    if (output) {
+      output.destroy();
+      await fs.unlink(tempPath).catch(() => {});
+    }
+    throw error;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+  
+  if (!output) {
+    return { changes, metadata };
+  }
+  
+  if (changes.length === 0) {
+    await fs.unlink(tempPath).catch(() => {});
+    return { changes, metadata: existing || metadata };
+  }
+  
+  await fs.rename(tempPath, sequencesFile);
+  metadata = { ...metadata, updated_at: Date.now() };
+  await writeFileAtomic(path.join(sessionDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  
+  return { changes, metadata };
+};
+
+/**
+ * Delete frame image referenced by a sequence - Pure with side effects
+ * Frame references are matched by file name inside the session frames folder
+ */
+const deleteFrameFile = async (sessionDir, frameReference) => {
+  if (!frameReference) return null;
+  
+  const framePath = path.join(sessionDir, 'frames', path.basename(frameReference));
+  try {
+    await fs.unlink(framePath);
+    return framePath;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Identity and fields derived from the poses when the sequence was built
+const PROTECTED_SEQUENCE_FIELDS = ['id', 'session', 'poses', 'duration', 'features', 'metadata', 'frame_reference'];
+
+/**
+ * Update fields of a stored sequence - Pure with side effects
+ * Identity, poses and the fields derived from them cannot be changed; a new tag is validated
+ * 
+ * @param {string} sessionDir - Session directory
+ * @param {string} id - Sequence id
+ * @param {Object} patch - Fields to merge into the stored sequence
+ * @returns {Promise<Object>} Result with updated sequence and metadata
+ */
+const updateSequence = async (sessionDir, id, patch = {}) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { success: false, error: 'Patch must be an object', code: 'VALIDATION_ERROR' };
+  }
+  
+  const protectedFields = PROTECTED_SEQUENCE_FIELDS.filter(field => field in patch);
+  if (protectedFields.length > 0) {
+    return { success: false, error: `Fields cannot be changed: ${protectedFields.join(', ')}`, code: 'VALIDATION_ERROR' };
+  }
+  
+  if ('tag' in patch) {
+    const tagValidation = validateTag(patch.tag);
+    if (!tagValidation.isValid) {
+      return { success: false, error: tagValidation.error, code: 'VALIDATION_ERROR' };
+    }
+  }
+  
+  const finalPatch = 'tag' in patch ? { ...patch, tag: patch.tag.trim() } : patch;
+  
+  try {
+    return await withSessionLock(sessionDir, async () => {
+      const { changes, metadata } = await rewriteSessionFile(sessionDir, sequence => (
+        sequence.id === id ? { ...sequence, ...finalPatch } : sequence
+      ));
+      
+      if (changes.length === 0) {
+        return { success: false, error: `Sequence not found: ${id}`, code: 'SEQUENCE_NOT_FOUND' };
+      }
+      
+      return { success: true, data: changes[0].after, metadata };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: ['SESSION_LOCKED', 'SESSION_NOT_FOUND'].includes(error.code) ? error.code : 'SEQUENCE_UPDATE_ERROR'
+    };
+  }
+};
+
+/**
+ * Change the tag of a stored sequence - Pure with side effects
+ */
+const retagSequence = async (sessionDir, id, tag) => {
+  return await updateSequence(sessionDir, id, { tag });
+};
+
+/**
+ * Delete a stored sequence and its frame image - Pure with side effects
+ */
+const deleteSequence = async (sessionDir, id) => {
+  try {
+    return await withSessionLock(sessionDir, async () => {
+      const { changes, metadata } = await rewriteSessionFile(sessionDir, sequence => (
+        sequence.id === id ? null : sequence
+      ));
+      
+      if (changes.length === 0) {
+        return { success: false, error: `Sequence not found: ${id}`, code: 'SEQUENCE_NOT_FOUND' };
+      }
+      
+      const deletedFrame = await deleteFrameFile(sessionDir, changes[0].before.frame_reference);
+      
+      return {
+        success: true,
+        data: { id, deletedFrame },
+        metadata
+      };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: ['SESSION_LOCKED', 'SESSION_NOT_FOUND'].includes(error.code) ? error.code : 'SEQUENCE_DELETE_ERROR'
+    };
+  }
+};
+
 module.exports = {
   appendToSessionFile,
   saveFrameImage,
@@ -230,5 +806,15 @@ module.exports = {
   createSessionMetadata,
   loadSessionMetadata,
   listSessions,
-  loadSessionSequences
+  loadSessionSequences,
+  iterateSessionFile,
+  calculateSessionMetadata,
+  compareSessionMetadata,
+  accumulateSessionMetadata,
+  rebuildSessionMetadata,
+  verifySession,
+  rewriteSessionFile,
+  updateSequence,
+  retagSequence,
+  deleteSequence
 };
@@ -0,0 +1,298 @@
+/**
+ * Skeleton schema registry - Keypoint names, order and limb connections
+ * Built-ins: PoseNet/MoveNet (17), BlazePose (33), COCO-WholeBody body (23)
+ * and OpenPose BODY_25. Part names are camelCase; snake_case, kebab-case and
+ * OpenPose style (RShoulder) input names are resolved through aliases.
+ */
+
+const DEFAULT_SKELETON = 'posenet';
+
+const POSENET_KEYPOINTS = [
+  'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+  'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow',
+  'leftWrist', 'rightWrist', 'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+const POSENET_CONNECTIONS = [
+  ['nose', 'leftEye'], ['leftEye', 'leftEar'],
+  ['nose', 'rightEye'], ['rightEye', 'rightEar'],
+  ['leftShoulder', 'rightShoulder'],
+  ['leftShoulder', 'leftElbow'], ['leftElbow', 'leftWrist'],
+  ['rightShoulder', 'rightElbow'], ['rightElbow', 'rightWrist'],
+  ['leftShoulder', 'leftHip'], ['rightShoulder', 'rightHip'],
+  ['leftHip', 'rightHip'],
+  ['leftHip', 'leftKnee'], ['leftKnee', 'leftAnkle'],
+  ['rightHip', 'rightKnee'], ['rightKnee', 'rightAnkle']
+];
+
+const BLAZEPOSE_KEYPOINTS = [
+  'nose', 'leftEyeInner', 'leftEye', 'leftEyeOuter',
+  'rightEyeInner', 'rightEye', 'rightEyeOuter', 'leftEar', 'rightEar',
+  'mouthLeft', 'mouthRight', 'leftShoulder', 'rightShoulder',
+  'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist',
+  'leftPinky', 'rightPinky', 'leftIndex', 'rightIndex', 'leftThumb', 'rightThumb',
+  'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle',
+  'leftHeel', 'rightHeel', 'leftFootIndex', 'rightFootIndex'
+];
+
+// MediaPipe POSE_CONNECTIONS (keypoint indices)
+const BLAZEPOSE_CONNECTION_INDICES = [
+  [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],
+  [11, 12], [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],
+  [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],
+  [11, 23], [12, 24], [23, 24], [23, 25], [24, 26], [25, 27], [26, 28],
+  [27, 29], [28, 30], [29, 31], [30, 32], [27, 31], [28, 32]
+];
+
+const COCO_WHOLEBODY_BODY_KEYPOINTS = [
+  ...POSENET_KEYPOINTS,
+  'leftBigToe', 'leftSmallToe', 'leftHeel',
+  'rightBigToe', 'rightSmallToe', 'rightHeel'
+];
+
+const COCO_WHOLEBODY_BODY_CONNECTIONS = [
+  ...POSENET_CONNECTIONS,
+  ['leftAnkle', 'leftBigToe'], ['leftAnkle', 'leftSmallToe'], ['leftAnkle', 'leftHeel'],
+  ['rightAnkle', 'rightBigToe'], ['rightAnkle', 'rightSmallToe'], ['rightAnkle', 'rightHeel']
+];
+
+const OPENPOSE_BODY25_KEYPOINTS = [
+  'nose', 'neck', 'rightShoulder', 'rightElbow', 'rightWrist',
+  'leftShoulder', 'leftElbow', 'leftWrist', 'midHip',
+  'rightHip', 'rightKnee', 'rightAnkle', 'leftHip', 'leftKnee', 'leftAnkle',
+  'rightEye', 'leftEye', 'rightEar', 'leftEar',
+  'leftBigToe', 'leftSmallToe', 'leftHeel', 'rightBigToe', 'rightSmallToe', 'rightHeel'
+];
+
+// OpenPose POSE_BODY_25_PAIRS_RENDER (keypoint indices)
+const OPENPOSE_BODY25_CONNECTION_INDICES = [
+  [1, 8], [1, 2], [1, 5], [2, 3], [3, 4], [5, 6], [6, 7], [8, 9], [9, 10],
+  [10, 11], [8, 12], [12, 13], [13, 14], [1, 0], [0, 15], [15, 17], [0, 16],
+  [16, 18], [14, 19], [19, 20], [14, 21], [11, 22], [22, 23], [11, 24]
+];
+
+/**
+ * Map index pairs to part name pairs - Pure function
+ */
+const indicesToConnections = (keypoints, pairs) => pairs.map(([a, b]) => [keypoints[a], keypoints[b]]);
+
+/**
+ * Convert part name to canonical camelCase - Pure function
+ * left_shoulder, left-shoulder, LeftShoulder and RShoulder style names
+ */
+const toCamelCase = (name) => {
+  const expanded = String(name)
+    .trim()
+    .replace(/^([LR])(?=[A-Z])/, (match, side) => (side === 'L' ? 'left_' : 'right_'));
+
+  return expanded
+    .replace(/[_\-\s]+([a-zA-Z0-9])/g, (match, char) => char.toUpperCase())
+    .replace(/^[A-Z]/, char => char.toLowerCase());
+};
+
+const registry = new Map();
+
+/**
+ * Validate skeleton schema - Pure function
+ */
+const validateSkeleton = (schema) => {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return { isValid: false, error: 'Skeleton schema must be an object', errors: ['Skeleton schema must be an object'] };
+  }
+
+  if (!schema.name || typeof schema.name !== 'string') {
+    errors.push('Skeleton must have a name');
+  }
+
+  if (!Array.isArray(schema.keypoints) || schema.keypoints.length === 0) {
+    errors.push('Skeleton must have a non-empty keypoints array');
+  } else if (new Set(schema.keypoints).size !== schema.keypoints.length) {
+    errors.push('Skeleton keypoint names must be unique');
+  }
+
+  const names = new Set(schema.keypoints || []);
+  (schema.connections || []).forEach(([from, to]) => {
+    if (!names.has(from) || !names.has(to)) {
+      errors.push(`Connection ${from}-${to} references unknown keypoints`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors.join('; ') : null,
+    errors
+  };
+};
+
+/**
+ * Validate and freeze a skeleton schema - Pure function
+ * @param {Object} schema - { name, label, keypoints, connections, aliases }
+ * @returns {Object} Frozen schema
+ */
+const buildSkeleton = (schema) => {
+  const validation = validateSkeleton(schema);
+  if (!validation.isValid) {
+    throw new Error(`Invalid skeleton schema: ${validation.error}`);
+  }
+
+  const keypoints = Object.freeze([...schema.keypoints]);
+  const aliases = {};
+  keypoints.forEach(part => {
+    aliases[part.toLowerCase()] = part;
+  });
+  Object.keys(schema.aliases || {}).forEach(alias => {
+    aliases[alias.toLowerCase()] = schema.aliases[alias];
+  });
+
+  return Object.freeze({
+    name: schema.name,
+    label: schema.label || schema.name,
+    keypoints,
+    connections: Object.freeze((schema.connections || []).map(pair => Object.freeze([...pair]))),
+    aliases: Object.freeze(aliases)
+  });
+};
+
+/**
+ * Register skeleton schema (replaces a schema with the same name)
+ * @param {Object} schema - { name, label, keypoints, connections, aliases }
+ * @returns {Object} Frozen schema
+ */
+const registerSkeleton = (schema) => {
+  const frozen = buildSkeleton(schema);
+  registry.set(schema.name, frozen);
+  return frozen;
+};
+
+/**
+ * Same keypoints and connections - Pure function
+ */
+const isSameSkeleton = (a, b) =>
+  JSON.stringify([a.keypoints, a.connections || []]) === JSON.stringify([b.keypoints, b.connections || []]);
+
+/**
+ * Get skeleton schema by name (or pass through a schema object)
+ * Defaults to PoseNet; throws for unknown names.
+ * Inline schemas with a new name are registered, so stored sequences can refer
+ * to them by name; an inline schema never replaces a registered one with the
+ * same name (that throws, use registerSkeleton to replace on purpose).
+ */
+const getSkeleton = (nameOrSchema = DEFAULT_SKELETON) => {
+  if (nameOrSchema && typeof nameOrSchema === 'object') {
+    const registered = registry.get(nameOrSchema.name);
+    if (!registered) return registerSkeleton(nameOrSchema);
+    if (registered === nameOrSchema || isSameSkeleton(registered, nameOrSchema)) return registered;
+
+    throw new Error(`Skeleton "${nameOrSchema.name}" is already registered with different keypoints; use registerSkeleton to replace it`);
+  }
+
+  const schema = registry.get(nameOrSchema || DEFAULT_SKELETON);
+  if (!schema) {
+    throw new Error(`Unknown skeleton: ${nameOrSchema}`);
+  }
+
+  return schema;
+};
+
+/**
+ * Check whether a skeleton name is registered
+ */
+const hasSkeleton = (name) => registry.has(name);
+
+/**
+ * List registered skeleton names
+ */
+const listSkeletons = () => Array.from(registry.keys());
+
+/**
+ * Resolve input part name to the schema's canonical name - Pure function
+ * Returns null when the part doesn't belong to the schema
+ */
+const resolvePartName = (schema, name) => {
+  if (!name || typeof name !== 'string') return null;
+
+  return schema.aliases[name.toLowerCase()] ||
+    schema.aliases[toCamelCase(name).toLowerCase()] ||
+    null;
+};
+
+/**
+ * Visible keypoint thresholds for quality scoring - Pure function
+ * Scaled from the PoseNet 15/10/5 of 17 thresholds
+ */
+const getQualityThresholds = (schema) => {
+  const count = schema.keypoints.length;
+  return {
+    high: Math.round(count * 15 / 17),
+    medium: Math.round(count * 10 / 17),
+    low: Math.round(count * 5 / 17)
+  };
+};
+
+/**
+ * Index of the opposite side part for every part name - Pure function
+ * leftShoulder <-> rightShoulder, mouthLeft <-> mouthRight, left_hip <-> right_hip;
+ * parts without a counterpart map to themselves
+ */
+const getMirrorIndices = (parts) => {
+  const swapSide = part => part.replace(/left|right|Left|Right/g, side => ({
+    left: 'right', right: 'left', Left: 'Right', Right: 'Left'
+  })[side]);
+
+  const indexByPart = new Map(parts.map((part, index) => [part, index]));
+  return parts.map((part, index) => indexByPart.get(swapSide(part)) ?? index);
+};
+
+// Built-in schemas
+registerSkeleton({
+  name: 'posenet',
+  label: 'PoseNet (17 keypoints)',
+  keypoints: POSENET_KEYPOINTS,
+  connections: POSENET_CONNECTIONS
+});
+
+registerSkeleton({
+  name: 'movenet',
+  label: 'MoveNet (17 keypoints)',
+  keypoints: POSENET_KEYPOINTS,
+  connections: POSENET_CONNECTIONS
+});
+
+registerSkeleton({
+  name: 'blazepose33',
+  label: 'BlazePose (33 keypoints)',
+  keypoints: BLAZEPOSE_KEYPOINTS,
+  connections: indicesToConnections(BLAZEPOSE_KEYPOINTS, BLAZEPOSE_CONNECTION_INDICES)
+});
+
+registerSkeleton({
+  name: 'coco_wholebody_body',
+  label: 'COCO-WholeBody body (17 + 6 foot keypoints)',
+  keypoints: COCO_WHOLEBODY_BODY_KEYPOINTS,
+  connections: COCO_WHOLEBODY_BODY_CONNECTIONS
+});
+
+registerSkeleton({
+  name: 'openpose_body25',
+  label: 'OpenPose BODY_25',
+  keypoints: OPENPOSE_BODY25_KEYPOINTS,
+  connections: indicesToConnections(OPENPOSE_BODY25_KEYPOINTS, OPENPOSE_BODY25_CONNECTION_INDICES),
+  aliases: { MHip: 'midHip' }
+});
+
+module.exports = {
+  DEFAULT_SKELETON,
+  POSENET_KEYPOINTS,
+  POSENET_CONNECTIONS,
+  registerSkeleton,
+  validateSkeleton,
+  getSkeleton,
+  hasSkeleton,
+  listSkeletons,
+  resolvePartName,
+  getQualityThresholds,
+  getMirrorIndices
+};
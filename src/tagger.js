@@ -2,9 +2,21 @@
  * Core tagging functionality - Pure functional approach
  */
 
-const { normalizePoses } = require('./normalizer');
+const { normalizeSequence, getSourceTimestamps } = require('./normalizer');
+const { computeKinematics } = require('./utils/kinematics');
 const { validateInputs } = require('./utils/validation');
-const { generateSequenceId, generateFrameReference } = require('./utils/encoding');
+const { generateFrameReference } = require('./utils/encoding');
+const { appendToSessionFile, saveFrameImage, loadSessionMetadata } = require('./session');
+const { getProjectConfig, getSessionDir } = require('./config');
+const {
+  createSequenceEntry,
+  extractMetadata,
+  calculateSequenceDuration,
+  calculateAverageConfidence,
+  assessKeypointQuality,
+  calculateFrameRate
+} = require('./sequence-entry');
+const { saveTracks } = require('./tracker');
 
 /**
  * Main function to add a sequence entry
@@ -19,12 +31,15 @@ const { generateSequenceId, generateFrameReference } = require('./utils/encoding
  * @returns {Object} Result object with data structure
  */
 const addSequence = (session, sequence, poses, tag, frame, options = {}) => {
-  // Default options
+  // Default options - data folder and threshold come from the project configuration
+  const config = getProjectConfig();
   const defaultOptions = {
     saveFrame: false,
     normalizeScale: false,
     includeMetadata: true,
-    dataPath: './data' // Default data folder - can be configured by parent app
+    dataPath: config.dataPath,
+    confidenceThreshold: config.confidenceThreshold,
+    maxSequenceLength: config.maxSequenceLength
   };
   
   const finalOptions = { ...defaultOptions, ...options };
@@ -41,10 +56,10 @@ const addSequence = (session, sequence, poses, tag, frame, options = {}) => {
 
   try {
     // Normalize poses - pure function
-    const normalizedPoses = normalizePoses(poses, finalOptions);
+    const { poses: normalizedPoses, anomalies } = normalizeSequence(poses, finalOptions);
     
     // Extract metadata - pure function
-    const metadata = extractMetadata(normalizedPoses, finalOptions);
+    const metadata = extractMetadata(normalizedPoses, finalOptions, getSourceTimestamps(poses, finalOptions), anomalies);
     
     // Create sequence entry - pure function
     const sequenceEntry = createSequenceEntry({
@@ -57,6 +72,11 @@ const addSequence = (session, sequence, poses, tag, frame, options = {}) => {
       metadata
     });
 
+    // Kinematic features (joint angles, velocities, ...) only when asked for
+    if (finalOptions.features) {
+      sequenceEntry.features = computeKinematics(normalizedPoses);
+    }
+
     // Generate paths - pure functions
     const sessionPath = generateSessionPath(session, finalOptions.dataPath);
     const frameReference = finalOptions.saveFrame && frame 
@@ -86,108 +106,110 @@ const addSequence = (session, sequence, poses, tag, frame, options = {}) => {
 };
 
 /**
- * Create sequence entry data structure - Pure function
+ * Add a sequence and persist it under the configured dataPath (Node.js)
+ * Same on-disk layout as the Electron main process handler:
+ * sequences.jsonl line, optional frame image and updated metadata.json
+ * 
+ * @param {string} session - Session name for the JSON file
+ * @param {string} sequence - Sequence identifier 
+ * @param {Array} poses - PoseNet raw data
+ * @param {string} tag - Tag for the sequence
+ * @param {string} frame - URL encoded pic (base64)
+ * @param {Object} options - Options object (same as addSequence); skeleton
+ *   defaults to the one already recorded for the session
+ * @returns {Promise<Object>} Result object with saved sequence summary; a frame
+ *   that could not be written leaves frameReference null and adds to warnings
  */
-const createSequenceEntry = ({ session, sequence, poses, tag, frame, timestamp, metadata }) => ({
-  id: generateSequenceId(session, sequence),
-  session,
-  sequence, 
-  tag,
-  timestamp,
-  duration: calculateSequenceDuration(poses),
-  poses,
-  metadata: {
-    pose_count: poses.length,
-    avg_confidence: calculateAverageConfidence(poses),
-    keypoint_quality: assessKeypointQuality(poses),
-    frame_rate: calculateFrameRate(poses),
-    ...metadata
+const saveSequence = async (session, sequence, poses, tag, frame, options = {}) => {
+  const skeleton = options.skeleton ?? await getSessionSkeleton(session, options.dataPath);
+  const result = addSequence(session, sequence, poses, tag, frame, { ...options, skeleton });
+  if (!result.success) {
+    return result;
   }
-});
 
-/**
- * Extract metadata from poses - Pure function
- */
-const extractMetadata = (poses, options) => {
-  const firstPose = poses[0] || {};
-  const lastPose = poses[poses.length - 1] || {};
-  
-  return {
-    source: 'posenet',
-    version: '1.0.0',
-    normalization: {
-      scale_normalized: options.normalizeScale,
-      confidence_threshold: 0.3
-    },
-    sequence_info: {
-      start_timestamp: firstPose.timestamp || 0,
-      end_timestamp: lastPose.timestamp || 0,
-      frame_count: poses.length
+  const { data, persistence } = result;
+
+  try {
+    // Save frame first so the JSONL line never references a missing image
+    let frameReference = null;
+    const warnings = [];
+    if (persistence.shouldSaveFrame) {
+      const frameResult = await saveFrameImage(data.frame_reference, persistence.frameData);
+      if (frameResult.success) {
+        frameReference = data.frame_reference;
+      } else {
+        warnings.push(`Frame not saved: ${frameResult.error}`);
+      }
     }
-  };
-};
 
-/**
- * Calculate sequence duration - Pure function
- */
-const calculateSequenceDuration = (poses) => {
-  if (poses.length < 2) return 0;
-  
-  const firstTimestamp = poses[0]?.timestamp || 0;
-  const lastTimestamp = poses[poses.length - 1]?.timestamp || 0;
-  
-  return lastTimestamp - firstTimestamp;
-};
+    const sequenceData = { ...data, frame_reference: frameReference };
+    const saveResult = await appendToSessionFile(persistence.sessionPath, sequenceData);
+    if (!saveResult.success) {
+      return saveResult;
+    }
 
-/**
- * Calculate average confidence across all poses - Pure function
- */
-const calculateAverageConfidence = (poses) => {
-  if (poses.length === 0) return 0;
-  
-  const totalConfidence = poses.reduce((sum, pose) => sum + (pose.confidence || 0), 0);
-  return Math.round((totalConfidence / poses.length) * 1000) / 1000;
+    return {
+      success: true,
+      data: {
+        id: sequenceData.id,
+        session,
+        sequence,
+        tag,
+        timestamp: sequenceData.timestamp,
+        poseCount: sequenceData.poses.length,
+        frameReference,
+        sessionPath: persistence.sessionPath
+      },
+      ...(warnings.length ? { warnings } : {})
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: 'NODE_SAVE_ERROR'
+    };
+  }
 };
 
 /**
- * Assess keypoint quality - Pure function
+ * Track people in frame based input and save each track as a linked sequence (Node.js)
+ * Sequences are named <sequence>_person<trackId> and share metadata.tracking.group_id
+ *
+ * @param {string} session - Session name for the JSON file
+ * @param {string} sequence - Base sequence identifier
+ * @param {Array} frames - [{ timestamp, poses: [pose, ...] }, ...]
+ * @param {string} tag - Tag for every saved track
+ * @param {string} frame - URL encoded pic (base64)
+ * @param {Object} options - saveSequence options plus { trackId, tracker }
+ *   trackId saves a single track, tracker holds trackPoses options
+ * @returns {Promise<Object>} Result with groupId and saved sequences
  */
-const assessKeypointQuality = (poses) => {
-  if (poses.length === 0) return 'none';
-  
-  const avgVisibleKeypoints = poses.reduce((sum, pose) => {
-    const visibleCount = pose.keypoints?.filter(kp => kp.visible).length || 0;
-    return sum + visibleCount;
-  }, 0) / poses.length;
-  
-  if (avgVisibleKeypoints >= 15) return 'high';
-  if (avgVisibleKeypoints >= 10) return 'medium';
-  if (avgVisibleKeypoints >= 5) return 'low';
-  return 'poor';
+const saveTrackedSequences = async (session, sequence, frames, tag, frame, options = {}) => {
+  return await saveTracks(saveSequence, session, sequence, frames, tag, frame, options);
 };
 
 /**
- * Calculate frame rate - Pure function
+ * Read the skeleton recorded in a session's metadata.json (undefined for new sessions)
  */
-const calculateFrameRate = (poses) => {
-  if (poses.length < 2) return 0;
-  
-  const duration = calculateSequenceDuration(poses);
-  if (duration === 0) return 0;
-  
-  return Math.round((poses.length / (duration / 1000)) * 10) / 10; // FPS with 1 decimal
+const getSessionSkeleton = async (session, dataPath = getProjectConfig().dataPath) => {
+  if (typeof session !== 'string') return undefined;
+
+  const result = await loadSessionMetadata(getSessionDir(session, { dataPath }));
+  return result.success ? result.data.skeleton || undefined : undefined;
 };
 
 /**
  * Generate session file path - Pure function
  */
-const generateSessionPath = (session, dataPath = './data') => {
-  const sanitizedSession = session.replace(/[^a-zA-Z0-9_-]/g, '_');
-  return `${dataPath}/sessions/${sanitizedSession}/sequences.jsonl`;
+const generateSessionPath = (session, dataPath = getProjectConfig().dataPath) => {
+  return `${getSessionDir(session, { dataPath })}/sequences.jsonl`;
 };
 
 module.exports = {
   addSequence,
+  saveSequence,
+  saveTrackedSequences,
   createSequenceEntry,
   extractMetadata,
   calculateSequenceDuration,
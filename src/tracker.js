@@ -0,0 +1,255 @@
+/**
+ * Multi-person tracking - Assigns stable person IDs across frames
+ * Input is frame based: [{ timestamp, poses: [pose, ...] }, ...] with any
+ * number of detected people per frame. Detections are matched greedily to
+ * open tracks by bounding box overlap and keypoint distance.
+ */
+
+const { getProjectConfig } = require('./config');
+const { generateSequenceId } = require('./utils/encoding');
+const { validateFrames } = require('./utils/validation');
+
+const DEFAULT_TRACKER_OPTIONS = {
+  minSimilarity: 0.3,  // Below this a detection starts a new track
+  maxAge: 15,          // Frames a track may go unmatched before it is closed
+  minTrackLength: 1    // Shorter tracks are dropped as spurious detections
+};
+
+/**
+ * Check whether input is frame based (poses grouped per timestamp) - Pure function
+ */
+const isFrameInput = (input) => Array.isArray(input) &&
+  input.length > 0 &&
+  input.every(frame => frame && typeof frame === 'object' && Array.isArray(frame.poses));
+
+/**
+ * Bounding box of confident keypoints - Pure function
+ */
+const getPoseBox = (pose, confidenceThreshold) => {
+  const points = (pose.keypoints || []).filter(kp =>
+    kp?.position && (kp.score ?? kp.confidence ?? 0) >= confidenceThreshold
+  );
+
+  if (points.length === 0) return null;
+
+  const xs = points.map(kp => kp.position.x);
+  const ys = points.map(kp => kp.position.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return { minX, minY, maxX: Math.max(...xs), maxY: Math.max(...ys) };
+};
+
+/**
+ * Intersection over union of two boxes - Pure function
+ */
+const boxIoU = (a, b) => {
+  const width = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const height = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const area = box => (box.maxX - box.minX) * (box.maxY - box.minY);
+  const union = area(a) + area(b) - intersection;
+
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Mean keypoint agreement, 1 for identical and 0 at one box diagonal apart - Pure function
+ * Returns null when the poses share no confident keypoints
+ */
+const keypointSimilarity = (a, b, box, confidenceThreshold) => {
+  const isConfident = kp => kp?.position && (kp.score ?? kp.confidence ?? 0) >= confidenceThreshold;
+  const partsA = new Map((a.keypoints || []).filter(isConfident).map(kp => [kp.part, kp.position]));
+  const shared = (b.keypoints || []).filter(kp => isConfident(kp) && partsA.has(kp.part));
+
+  if (shared.length === 0) return null;
+
+  const diagonal = Math.max(Math.hypot(box.maxX - box.minX, box.maxY - box.minY), 1);
+  const total = shared.reduce((sum, kp) => {
+    const other = partsA.get(kp.part);
+    const distance = Math.hypot(kp.position.x - other.x, kp.position.y - other.y);
+    return sum + Math.max(0, 1 - distance / diagonal);
+  }, 0);
+
+  return total / shared.length;
+};
+
+/**
+ * Similarity between a track's last pose and a detection (0-1) - Pure function
+ */
+const poseSimilarity = (trackPose, detection, confidenceThreshold) => {
+  const boxA = getPoseBox(trackPose, confidenceThreshold);
+  const boxB = getPoseBox(detection, confidenceThreshold);
+  if (!boxA || !boxB) return 0;
+
+  const iou = boxIoU(boxA, boxB);
+  const keypoints = keypointSimilarity(trackPose, detection, boxA, confidenceThreshold);
+
+  return keypoints === null ? iou : (iou + keypoints) / 2;
+};
+
+/**
+ * Assign stable person IDs across frames - Pure function
+ *
+ * @param {Array} frames - [{ timestamp, poses: [pose, ...] }, ...]
+ * @param {Object} options - { minSimilarity, maxAge, minTrackLength, confidenceThreshold }
+ * @returns {Array} Tracks [{ trackId, poses, frameIndices }] ordered by trackId;
+ *   each pose carries its frame timestamp
+ */
+const trackPoses = (frames, options = {}) => {
+  if (!isFrameInput(frames)) {
+    throw new Error('Frames must be a non-empty array of { timestamp, poses } objects');
+  }
+
+  const { minSimilarity, maxAge, minTrackLength } = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  const confidenceThreshold = options.confidenceThreshold ?? getProjectConfig().confidenceThreshold;
+
+  const tracks = [];
+  let nextTrackId = 1;
+
+  frames.forEach((frame, frameIndex) => {
+    const timestamp = frame.timestamp ?? frameIndex * 33; // Assume 30fps if no timestamp
+    const detections = frame.poses.map(pose => ({ ...pose, timestamp: pose.timestamp ?? timestamp }));
+    const openTracks = tracks.filter(track => frameIndex - track.lastFrame <= maxAge);
+
+    // Greedy matching: best scoring pairs first
+    const candidates = openTracks
+      .flatMap(track => detections.map((detection, index) => ({
+        track,
+        index,
+        score: poseSimilarity(track.poses[track.poses.length - 1], detection, confidenceThreshold)
+      })))
+      .filter(candidate => candidate.score >= minSimilarity)
+      .sort((a, b) => b.score - a.score);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+
+    candidates.forEach(({ track, index }) => {
+      if (matchedTracks.has(track) || matchedDetections.has(index)) return;
+
+      matchedTracks.add(track);
+      matchedDetections.add(index);
+      track.poses.push(detections[index]);
+      track.frameIndices.push(frameIndex);
+      track.lastFrame = frameIndex;
+    });
+
+    detections.forEach((detection, index) => {
+      if (matchedDetections.has(index)) return;
+
+      tracks.push({
+        trackId: nextTrackId++,
+        poses: [detection],
+        frameIndices: [frameIndex],
+        lastFrame: frameIndex
+      });
+    });
+  });
+
+  return tracks
+    .filter(track => track.poses.length >= minTrackLength)
+    .map(({ trackId, poses, frameIndices }) => ({ trackId, poses, frameIndices }));
+};
+
+/**
+ * Sequence name for one track of a recording - Pure function
+ */
+const getTrackSequenceName = (sequence, trackId) => `${sequence}_person${trackId}`;
+
+/**
+ * Split tracked frames into linked sequences - Pure function
+ * Each entry carries the tracking metadata stored with the sequence:
+ * { group_id, track_id, track_count, linked_sequences }
+ *
+ * @param {string} session - Session name
+ * @param {string} sequence - Base sequence identifier
+ * @param {Array} frames - Frame based input
+ * @param {Object} options - { trackId, groupId, tracker: trackPoses options }
+ * @returns {Array} [{ trackId, sequence, poses, tracking }]
+ */
+const splitTracks = (session, sequence, frames, options = {}) => {
+  const tracks = trackPoses(frames, {
+    confidenceThreshold: options.confidenceThreshold,
+    ...options.tracker
+  });
+  const selected = options.trackId !== undefined
+    ? tracks.filter(track => track.trackId === options.trackId)
+    : tracks;
+
+  const groupId = options.groupId || generateSequenceId(session, sequence);
+  const names = selected.map(track => getTrackSequenceName(sequence, track.trackId));
+
+  return selected.map((track, index) => ({
+    trackId: track.trackId,
+    sequence: names[index],
+    poses: track.poses,
+    tracking: {
+      group_id: groupId,
+      track_id: track.trackId,
+      track_count: tracks.length,
+      linked_sequences: names.filter(name => name !== names[index])
+    }
+  }));
+};
+
+/**
+ * Save every selected track of a recording as its own sequence
+ * save is addSequence/saveSequence of the current environment; stops at
+ * the first failed track and reports what was saved so far
+ *
+ * @returns {Promise<Object>} Result with groupId and per track save results
+ */
+const saveTracks = async (save, session, sequence, frames, tag, frame, options = {}) => {
+  const frameValidation = validateFrames(frames, options.maxSequenceLength);
+  if (!frameValidation.isValid) {
+    return { success: false, error: frameValidation.error, code: 'VALIDATION_ERROR' };
+  }
+
+  const entries = splitTracks(session, sequence, frames, options);
+
+  if (entries.length === 0) {
+    return {
+      success: false,
+      error: options.trackId !== undefined ? `Track not found: ${options.trackId}` : 'No tracks found',
+      code: 'TRACK_NOT_FOUND'
+    };
+  }
+
+  const { trackId, groupId, tracker, ...saveOptions } = options;
+  const sequences = [];
+
+  for (const entry of entries) {
+    const result = await save(session, entry.sequence, entry.poses, tag, frame, {
+      ...saveOptions,
+      tracking: entry.tracking
+    });
+
+    if (!result.success) {
+      return { ...result, data: { groupId: entry.tracking.group_id, sequences } };
+    }
+
+    sequences.push({ trackId: entry.trackId, ...result.data });
+  }
+
+  return {
+    success: true,
+    data: {
+      groupId: entries[0].tracking.group_id,
+      trackCount: entries[0].tracking.track_count,
+      sequences
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_TRACKER_OPTIONS,
+  isFrameInput,
+  trackPoses,
+  poseSimilarity,
+  getTrackSequenceName,
+  splitTracks,
+  saveTracks
+};
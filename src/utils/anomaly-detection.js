@@ -0,0 +1,358 @@
+/**
+ * Anomaly detection - Tracking glitches in normalized sequences
+ * Finds left/right swaps (a pair matches the previous frame better when
+ * exchanged), velocity spikes (a keypoint jumps away for one frame and comes
+ * back) and bone length changes (a limb much longer or shorter than its
+ * median). Distances are relative to the median body size of the sequence.
+ * Flagged frames can be reported, repaired or dropped.
+ */
+
+const { getSkeleton, getMirrorIndices } = require('../skeletons');
+
+const ANOMALY_DEFAULTS = {
+  action: 'report',     // 'report' | 'repair' | 'drop'
+  maxJump: 0.25,        // one frame jump of a keypoint, fraction of body size
+  boneTolerance: 0.4,   // allowed bone length change against the sequence median
+  swapRatio: 0.5        // swapped pair must fit the previous frame this much better
+};
+const ANOMALY_ACTIONS = ['report', 'repair', 'drop'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check anomalies option (true, 'repair', 'drop' or { action, ...thresholds }) - Pure function
+ */
+const validateAnomalies = (anomalies) => {
+  if (anomalies === undefined || anomalies === null || anomalies === false) {
+    return { isValid: true, error: null };
+  }
+
+  const { action, maxJump, boneTolerance, swapRatio } = toOptions(anomalies);
+
+  if (!ANOMALY_ACTIONS.includes(action)) {
+    return { isValid: false, error: `anomalies action must be one of: ${ANOMALY_ACTIONS.join(', ')}` };
+  }
+
+  if (!(maxJump > 0) || !(boneTolerance > 0)) {
+    return { isValid: false, error: 'anomalies maxJump and boneTolerance must be positive numbers' };
+  }
+
+  if (!(swapRatio > 0 && swapRatio < 1)) {
+    return { isValid: false, error: 'anomalies swapRatio must be in (0, 1)' };
+  }
+
+  return { isValid: true, error: null };
+};
+
+const toOptions = (anomalies) => ({
+  ...ANOMALY_DEFAULTS,
+  ...(typeof anomalies === 'string' ? { action: anomalies } : {}),
+  ...(typeof anomalies === 'object' ? anomalies : {})
+});
+
+/**
+ * Resolve anomalies option - Pure function
+ * Throws on invalid settings
+ */
+const resolveAnomalies = (anomalies) => {
+  const validation = validateAnomalies(anomalies);
+  if (!validation.isValid) {
+    throw new Error(`Invalid anomalies: ${validation.error}`);
+  }
+
+  const { action, maxJump, boneTolerance, swapRatio } = toOptions(anomalies);
+  return { action, maxJump, boneTolerance, swapRatio };
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median diagonal of the visible keypoints' box over all frames - Pure function
+ */
+const measureBodySize = (poses) => {
+  const sizes = poses.map(pose => {
+    const visible = pose.keypoints.filter(kp => kp.visible);
+    if (visible.length < 2) return 0;
+
+    const xs = visible.map(kp => kp.position.x);
+    const ys = visible.map(kp => kp.position.y);
+    return Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  }).filter(size => size > 0);
+
+  return sizes.length > 0 ? median(sizes) : 0;
+};
+
+const swapKeypoints = (pose, a, b) => ({
+  ...pose,
+  keypoints: pose.keypoints.map((kp, index) => {
+    if (index === a) return { ...pose.keypoints[b], part: kp.part };
+    if (index === b) return { ...pose.keypoints[a], part: kp.part };
+    return kp;
+  })
+});
+
+/**
+ * Find left/right swaps against the previous (corrected) frame - Pure function
+ * @returns {{ poses: Array, swaps: Array }} Swap-corrected poses and [frame, a, b] triples
+ */
+const findSwaps = (poses, { swapRatio }, bodySize) => {
+  const indices = getMirrorIndices(poses[0]?.keypoints.map(kp => kp.part) || []);
+  const pairs = indices.map((other, index) => [index, other]).filter(([index, other]) => index < other);
+  const corrected = [];
+  const swaps = [];
+  let reference = [];
+
+  poses.forEach((pose, frame) => {
+    let current = pose;
+
+    pairs.forEach(([a, b]) => {
+      const [left, right] = [current.keypoints[a], current.keypoints[b]];
+      const [refLeft, refRight] = [reference[a], reference[b]];
+      if (!left?.visible || !right?.visible || !refLeft || !refRight) return;
+
+      const straight = distance(left.position, refLeft) + distance(right.position, refRight);
+      const swapped = distance(left.position, refRight) + distance(right.position, refLeft);
+
+      if (swapped < swapRatio * straight && straight > 0.05 * bodySize) {
+        current = swapKeypoints(current, a, b);
+        swaps.push([frame, a, b]);
+      }
+    });
+
+    // Parts hidden in this frame keep their last seen position
+    reference = current.keypoints.map((kp, index) => (kp.visible ? kp.position : reference[index]));
+    corrected.push(current);
+  });
+
+  return { poses: corrected, swaps };
+};
+
+/**
+ * Find keypoints that jump away for one frame and come back - Pure function
+ * The last frame only needs the jump. @returns {Array} [frame, keypoint, jump] triples
+ */
+const findSpikes = (poses, { maxJump }, bodySize) => {
+  const spikes = [];
+  const spiked = new Set();
+  if (!(bodySize > 0)) return spikes;
+
+  poses.forEach((pose, frame) => {
+    if (frame === 0) return;
+
+    pose.keypoints.forEach((kp, k) => {
+      const previous = poses[frame - 1].keypoints[k];
+      const next = poses[frame + 1]?.keypoints[k];
+      if (!kp.visible || !previous?.visible) return;
+
+      const jump = distance(kp.position, previous.position) / bodySize;
+      if (jump <= maxJump) return;
+
+      // At the last frame, the jump back from a spike is not a spike itself
+      const returns = next
+        ? next.visible && distance(next.position, previous.position) / bodySize < jump / 2
+        : !spiked.has(`${frame - 1}:${k}`);
+      if (returns) {
+        spikes.push([frame, k, jump]);
+        spiked.add(`${frame}:${k}`);
+      }
+    });
+  });
+
+  return spikes;
+};
+
+/**
+ * Find bones far from their median length - Pure function
+ * @returns {Array} [frame, a, b, ratio] with keypoint indices a/b
+ */
+const findBoneChanges = (poses, { boneTolerance }, connections) => {
+  const parts = poses[0]?.keypoints.map(kp => kp.part) || [];
+  const changes = [];
+
+  connections.forEach(([from, to]) => {
+    const a = parts.indexOf(from);
+    const b = parts.indexOf(to);
+    if (a < 0 || b < 0) return;
+
+    const lengths = poses.map(pose => (pose.keypoints[a].visible && pose.keypoints[b].visible
+      ? distance(pose.keypoints[a].position, pose.keypoints[b].position)
+      : null));
+    const measured = lengths.filter(length => length !== null);
+    if (measured.length < 3) return;
+
+    const reference = median(measured);
+    if (!(reference > 0)) return;
+
+    lengths.forEach((length, frame) => {
+      if (length !== null && Math.abs(length / reference - 1) > boneTolerance) {
+        changes.push([frame, a, b, length / reference]);
+      }
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Run all detectors - Pure function
+ * Returns the report plus the swap-corrected poses used for repairs
+ */
+const scanSequence = (poses, options) => {
+  const settings = resolveAnomalies({ ...options, action: 'report' });
+  const connections = getSkeleton(options.skeleton).connections;
+  const bodySize = measureBodySize(poses);
+  const parts = poses[0]?.keypoints.map(kp => kp.part) || [];
+
+  // Swaps first so a swapped limb is not also reported as a spike
+  const swapped = findSwaps(poses, settings, bodySize);
+  const spikes = findSpikes(swapped.poses, settings, bodySize);
+  const bones = findBoneChanges(swapped.poses, settings, connections);
+
+  const frames = poses.map((pose, index) => ({ index, timestamp: pose.timestamp, anomalies: [] }));
+  swapped.swaps.forEach(([frame, a, b]) => {
+    frames[frame].anomalies.push({ type: 'left_right_swap', parts: [parts[a], parts[b]] });
+  });
+  spikes.forEach(([frame, k, jump]) => {
+    frames[frame].anomalies.push({ type: 'velocity_spike', part: parts[k], jump: round(jump) });
+  });
+  bones.forEach(([frame, a, b, ratio]) => {
+    frames[frame].anomalies.push({ type: 'bone_length', parts: [parts[a], parts[b]], ratio: round(ratio) });
+  });
+
+  return {
+    frames,
+    flagged: frames.filter(frame => frame.anomalies.length > 0).map(frame => frame.index),
+    counts: {
+      left_right_swap: swapped.swaps.length,
+      velocity_spike: spikes.length,
+      bone_length: bones.length
+    },
+    corrected: swapped.poses
+  };
+};
+
+/**
+ * Scan a normalized sequence for tracking glitches - Pure function
+ *
+ * @param {Array} poses - Normalized poses (same keypoint order in every frame)
+ * @param {Object} options - { maxJump, boneTolerance, swapRatio, skeleton }
+ * @returns {Object} { frames: [{ index, timestamp, anomalies }], flagged, counts }
+ */
+const detectAnomalies = (poses, options = {}) => {
+  const { corrected, ...report } = scanSequence(poses, options);
+  return report;
+};
+
+/**
+ * Replace a glitched keypoint from its neighbours - Pure function
+ * Linear in time when both neighbours are visible, otherwise hidden
+ */
+const repairKeypoint = (poses, frame, k) => {
+  const kp = poses[frame].keypoints[k];
+  const before = poses[frame - 1]?.keypoints[k];
+  const after = poses[frame + 1]?.keypoints[k];
+
+  if (!before?.visible || !after?.visible) {
+    return { ...kp, visible: false, repaired: true };
+  }
+
+  const span = poses[frame + 1].timestamp - poses[frame - 1].timestamp;
+  const t = span > 0 ? (poses[frame].timestamp - poses[frame - 1].timestamp) / span : 0.5;
+  const lerp = (a, b) => Math.round((a + (b - a) * t) * 1000) / 1000;
+
+  return {
+    ...kp,
+    position: Object.keys(kp.position).reduce((position, axis) => ({
+      ...position,
+      [axis]: lerp(before.position[axis], after.position[axis])
+    }), {}),
+    ...(kp.worldPosition && before.worldPosition && after.worldPosition
+      ? {
+        worldPosition: Object.keys(kp.worldPosition).reduce((position, axis) => ({
+          ...position,
+          [axis]: lerp(before.worldPosition[axis], after.worldPosition[axis])
+        }), {})
+      }
+      : {}),
+    repaired: true
+  };
+};
+
+/**
+ * Detect anomalies and apply the configured action - Pure function
+ * repair: swaps are undone, spiking keypoints and the moving end of a stretched
+ * bone are interpolated from the neighbouring frames (or hidden at the ends);
+ * drop: flagged frames are removed. The report always describes the input.
+ *
+ * @param {Array} poses - Normalized poses
+ * @param {boolean|string|Object} anomalies - true, 'repair', 'drop' or { action, ...thresholds }
+ * @param {string|Object} skeleton - Skeleton for bone connections
+ * @returns {{ poses: Array, report: Object }}
+ */
+const handleAnomalies = (poses, anomalies = true, skeleton) => {
+  const settings = resolveAnomalies(anomalies);
+  const { corrected, ...report } = scanSequence(poses, { ...settings, skeleton });
+
+  if (settings.action === 'drop') {
+    return { poses: poses.filter((pose, index) => !report.flagged.includes(index)), report };
+  }
+
+  if (settings.action !== 'repair') {
+    return { poses, report };
+  }
+
+  const parts = poses[0]?.keypoints.map(kp => kp.part) || [];
+  const targets = new Set();
+  report.frames.forEach(frame => frame.anomalies.forEach(anomaly => {
+    if (anomaly.type === 'velocity_spike') {
+      targets.add(`${frame.index}:${parts.indexOf(anomaly.part)}`);
+    }
+    if (anomaly.type === 'bone_length') {
+      // The end that moved more since the previous frame is the likely culprit
+      const [a, b] = anomaly.parts.map(part => parts.indexOf(part));
+      const previous = corrected[frame.index - 1] || corrected[frame.index + 1];
+      const moved = k => (previous?.keypoints[k].visible
+        ? distance(corrected[frame.index].keypoints[k].position, previous.keypoints[k].position)
+        : 0);
+      targets.add(`${frame.index}:${moved(a) >= moved(b) ? a : b}`);
+    }
+  }));
+
+  const repaired = corrected.map((pose, frame) => ({
+    ...pose,
+    keypoints: pose.keypoints.map((kp, k) => (targets.has(`${frame}:${k}`) ? repairKeypoint(corrected, frame, k) : kp))
+  }));
+
+  return { poses: repaired, report };
+};
+
+/**
+ * Anomaly handling summary for metadata.anomalies - Pure function
+ */
+const describeAnomalies = (anomalies, report) => {
+  const { action, maxJump, boneTolerance, swapRatio } = resolveAnomalies(anomalies);
+
+  return {
+    action,
+    max_jump: maxJump,
+    bone_tolerance: boneTolerance,
+    swap_ratio: swapRatio,
+    flagged_frames: report.flagged,
+    ...report.counts
+  };
+};
+
+module.exports = {
+  ANOMALY_DEFAULTS,
+  validateAnomalies,
+  resolveAnomalies,
+  detectAnomalies,
+  handleAnomalies,
+  describeAnomalies
+};
@@ -0,0 +1,287 @@
+/**
+ * Augmentation - Seeded, composable transforms of normalized sequences
+ * Operations run in order on the stored coordinates: mirror (with left/right
+ * part swap), rotate, scale, jitter, timeWarp, crop and dropout. Geometric
+ * operations pivot around the sequence center, or around the body origin for
+ * body normalized poses. Rotation and scale about the origin commute with the
+ * per-frame transform and mirror flips its rotation, so denormalizePose gives
+ * the same augmentation in image coordinates.
+ * Missing keypoints (confidence 0) stay placeholders.
+ */
+
+const { getMirrorIndices } = require('../skeletons');
+const { normalizeBoundingBox, calculateBoundingBox } = require('../normalizer');
+const { resamplePoses } = require('./resampling');
+
+const AUGMENTATION_DEFAULTS = {
+  mirror: {},
+  rotate: { maxAngle: 15 },           // degrees, angle drawn from [-maxAngle, maxAngle]
+  scale: { min: 0.9, max: 1.1 },
+  jitter: { sigma: 0.01 },            // Gaussian noise, fraction of the sequence extent
+  timeWarp: { min: 0.8, max: 1.2 },   // playback speed factor
+  crop: { minLength: 0.8 },           // kept fraction of frames
+  dropout: { rate: 0.05 }             // chance per keypoint and frame
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Seeded random number generator (mulberry32) - Pure function
+ * Strings are hashed (FNV-1a), so '42', 42 and 'session:seq:1' all work as seeds
+ *
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = typeof seed === 'number' && Number.isInteger(seed)
+    ? seed >>> 0
+    : String(seed).split('').reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const uniform = (random, min, max) => min + (max - min) * random();
+
+// Box-Muller transform
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+/**
+ * Check augmentation operations ('mirror' or { type, ...params }) - Pure function
+ */
+const validateAugmentations = (operations) => {
+  const invalid = error => ({ isValid: false, error });
+
+  if (!Array.isArray(operations)) {
+    return invalid('operations must be an array');
+  }
+
+  for (const operation of operations) {
+    const type = typeof operation === 'string' ? operation : operation?.type;
+    if (!AUGMENTATION_DEFAULTS[type]) {
+      return invalid(`operation type must be one of: ${Object.keys(AUGMENTATION_DEFAULTS).join(', ')}`);
+    }
+
+    const params = toParams(operation);
+
+    if (!(params.probability >= 0 && params.probability <= 1)) {
+      return invalid(`${type} probability must be in [0, 1]`);
+    }
+
+    if (type === 'rotate' && !(params.maxAngle >= 0 && params.maxAngle <= 180)) {
+      return invalid('rotate maxAngle must be in [0, 180] degrees');
+    }
+
+    if ((type === 'scale' || type === 'timeWarp') && !(params.min > 0 && params.max >= params.min)) {
+      return invalid(`${type} needs 0 < min <= max`);
+    }
+
+    if (type === 'jitter' && !(params.sigma >= 0)) {
+      return invalid('jitter sigma must be a non-negative number');
+    }
+
+    if (type === 'crop' && !(params.minLength > 0 && params.minLength <= 1)) {
+      return invalid('crop minLength must be in (0, 1]');
+    }
+
+    if (type === 'dropout' && !(params.rate >= 0 && params.rate <= 1)) {
+      return invalid('dropout rate must be in [0, 1]');
+    }
+  }
+
+  return { isValid: true, error: null };
+};
+
+const toParams = (operation) => {
+  const type = typeof operation === 'string' ? operation : operation.type;
+  return {
+    probability: 1,
+    ...AUGMENTATION_DEFAULTS[type],
+    ...(typeof operation === 'object' ? operation : {}),
+    type
+  };
+};
+
+/**
+ * Pivot and extent of a sequence from its visible keypoints - Pure function
+ */
+const measureSequence = (poses) => {
+  const points = poses.flatMap(pose => pose.keypoints.filter(kp => kp.confidence > 0).map(kp => kp.position));
+  if (points.length === 0) return { center: { x: 0, y: 0 }, extent: 0 };
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+
+  // Body normalized coordinates are already centered on the hips
+  const center = poses.some(pose => pose.transform)
+    ? { x: 0, y: 0 }
+    : { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+
+  return { center, extent };
+};
+
+/**
+ * Apply a 2D affine map to every present keypoint - Pure function
+ * mapPosition handles image coordinates, mapWorld the metric worldPosition
+ */
+const mapKeypoints = (poses, mapPosition, mapWorld) => poses.map(pose => ({
+  ...pose,
+  keypoints: pose.keypoints.map(kp => {
+    if (!kp.confidence) return kp;
+
+    return {
+      ...kp,
+      position: mapPosition(kp.position),
+      ...(kp.worldPosition ? { worldPosition: mapWorld(kp.worldPosition) } : {})
+    };
+  })
+}));
+
+const OPERATIONS = {
+  mirror: (poses, params, random, { center }) => {
+    const flip = point => ({ ...point, x: round(2 * center.x - point.x) });
+    const mirrored = mapKeypoints(poses, flip, point => ({ ...point, x: round(-point.x) }));
+
+    const result = mirrored.map(pose => {
+      const indices = getMirrorIndices(pose.keypoints.map(kp => kp.part));
+      return {
+        ...pose,
+        keypoints: pose.keypoints.map((kp, index) => ({ ...pose.keypoints[indices[index]], part: kp.part })),
+        // A mirrored body leans the other way in the image
+        ...(pose.transform ? { transform: { ...pose.transform, rotation: -pose.transform.rotation || 0 } } : {})
+      };
+    });
+
+    return { poses: result, applied: {} };
+  },
+
+  rotate: (poses, { maxAngle, angle: fixedAngle }, random, { center }) => {
+    const angle = fixedAngle ?? uniform(random, -maxAngle, maxAngle);
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const turn = (point, pivot) => ({
+      ...point,
+      x: round(pivot.x + (point.x - pivot.x) * cos - (point.y - pivot.y) * sin),
+      y: round(pivot.y + (point.x - pivot.x) * sin + (point.y - pivot.y) * cos)
+    });
+
+    return {
+      poses: mapKeypoints(poses, point => turn(point, center), point => turn(point, { x: 0, y: 0 })),
+      applied: { angle: round(angle) }
+    };
+  },
+
+  scale: (poses, { min, max, factor: fixedFactor }, random, { center }) => {
+    const factor = fixedFactor ?? uniform(random, min, max);
+    const resize = (point, pivot) => ({
+      x: round(pivot.x + (point.x - pivot.x) * factor),
+      y: round(pivot.y + (point.y - pivot.y) * factor),
+      ...(typeof point.z === 'number' ? { z: round(point.z * factor) } : {})
+    });
+
+    return {
+      poses: mapKeypoints(poses, point => resize(point, center), point => resize(point, { x: 0, y: 0 })),
+      applied: { factor: round(factor) }
+    };
+  },
+
+  jitter: (poses, { sigma }, random, { extent }) => {
+    const spread = sigma * extent;
+    const shake = point => ({
+      ...point,
+      x: round(point.x + gaussian(random) * spread),
+      y: round(point.y + gaussian(random) * spread)
+    });
+
+    return { poses: mapKeypoints(poses, shake, point => point), applied: { sigma } };
+  },
+
+  timeWarp: (poses, { min, max, speed: fixedSpeed }, random) => {
+    const speed = fixedSpeed ?? uniform(random, min, max);
+    if (poses.length < 2) return { poses, applied: { speed: round(speed) } };
+
+    // Same frame spacing, fewer (faster) or more (slower) frames
+    const start = poses[0].timestamp;
+    const step = (poses[poses.length - 1].timestamp - start) / (poses.length - 1);
+    const frames = Math.max(2, Math.round((poses.length - 1) / speed) + 1);
+    const warped = resamplePoses(poses, { frames })
+      .map((pose, index) => ({ ...pose, timestamp: round(start + index * step) }));
+
+    return { poses: warped, applied: { speed: round(speed) } };
+  },
+
+  crop: (poses, { minLength }, random) => {
+    const length = Math.max(1, Math.round(poses.length * uniform(random, minLength, 1)));
+    const start = Math.floor(random() * (poses.length - length + 1));
+
+    return { poses: poses.slice(start, start + length), applied: { start, length } };
+  },
+
+  dropout: (poses, { rate }, random) => {
+    let dropped = 0;
+    const result = poses.map(pose => ({
+      ...pose,
+      keypoints: pose.keypoints.map(kp => {
+        if (!kp.confidence || random() >= rate) return kp;
+
+        dropped++;
+        return {
+          ...kp,
+          position: typeof kp.position.z === 'number' ? { x: 0, y: 0, z: 0 } : { x: 0, y: 0 },
+          ...(kp.worldPosition ? { worldPosition: { x: 0, y: 0, z: 0 } } : {}),
+          confidence: 0,
+          visible: false
+        };
+      })
+    }));
+
+    return { poses: result, applied: { dropped } };
+  }
+};
+
+/**
+ * Augment a normalized sequence with a list of operations - Pure function
+ * The same poses, operations and seed always give the same result.
+ *
+ * @param {Array} poses - Normalized poses (same keypoint order in every frame)
+ * @param {Array} operations - e.g. ['mirror', { type: 'rotate', maxAngle: 10 }, { type: 'dropout', rate: 0.1 }];
+ *   every operation takes probability (default 1) to apply it only sometimes
+ * @param {Object} options - { seed }
+ * @returns {{ poses: Array, applied: Array }} Augmented poses and the sampled value of each applied operation
+ */
+const augmentPoses = (poses, operations, options = {}) => {
+  const validation = validateAugmentations(operations);
+  if (!validation.isValid) {
+    throw new Error(`Invalid augmentation: ${validation.error}`);
+  }
+
+  const random = createRandom(options.seed ?? 0);
+  let result = poses;
+  const applied = [];
+
+  operations.map(toParams).forEach(params => {
+    if (params.probability < 1 && random() >= params.probability) return;
+
+    const output = OPERATIONS[params.type](result, params, random, measureSequence(result));
+    result = output.poses;
+    applied.push({ type: params.type, ...output.applied });
+  });
+
+  return {
+    poses: result.map(pose => ({ ...pose, bbox: normalizeBoundingBox(calculateBoundingBox(pose.keypoints)) })),
+    applied
+  };
+};
+
+module.exports = {
+  AUGMENTATION_DEFAULTS,
+  createRandom,
+  validateAugmentations,
+  augmentPoses
+};
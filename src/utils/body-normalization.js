@@ -0,0 +1,204 @@
+/**
+ * Body-centric normalization - Root-centered, torso-scaled, rotation-aligned poses
+ * Works on normalized poses (schema keypoint order). Every frame keeps its
+ * transform so original image coordinates can be recovered with denormalizePose:
+ *   image = origin + scale * rotate(normalized, rotation)
+ */
+
+const DEFAULT_BODY_OPTIONS = {
+  scaleBy: 'torso',        // 'torso' (shoulder to hip midpoint) or 'shoulder' (shoulder width)
+  alignShoulders: false,   // Rotate so the shoulder line is horizontal
+  sequenceScale: false     // One scale (median of frames) for the whole sequence
+};
+
+const SCALE_REFERENCES = ['torso', 'shoulder'];
+
+// Body normalized coordinates are small numbers, keep enough decimals to recover pixels
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Resolve normalizeBody option (true or partial options) - Pure function
+ */
+const resolveBodyOptions = (normalizeBody) => {
+  const options = { ...DEFAULT_BODY_OPTIONS, ...(typeof normalizeBody === 'object' ? normalizeBody : {}) };
+
+  if (!SCALE_REFERENCES.includes(options.scaleBy)) {
+    throw new Error(`normalizeBody.scaleBy must be one of: ${SCALE_REFERENCES.join(', ')}`);
+  }
+
+  return options;
+};
+
+/**
+ * Visible keypoint position by part name - Pure function
+ */
+const findPart = (pose, part) => {
+  const kp = pose.keypoints.find(keypoint => keypoint.part === part);
+  return kp && kp.visible ? kp.position : null;
+};
+
+const midpoint = (a, b) => ({
+  x: (a.x + b.x) / 2,
+  y: (a.y + b.y) / 2,
+  ...(typeof a.z === 'number' && typeof b.z === 'number' ? { z: (a.z + b.z) / 2 } : {})
+});
+
+/**
+ * Measure the body frame of a pose - Pure function
+ * Returns null when hips or shoulders are not visible
+ */
+const measureBody = (pose, scaleBy) => {
+  const leftHip = findPart(pose, 'leftHip');
+  const rightHip = findPart(pose, 'rightHip');
+  const leftShoulder = findPart(pose, 'leftShoulder');
+  const rightShoulder = findPart(pose, 'rightShoulder');
+
+  if (!leftHip || !rightHip || !leftShoulder || !rightShoulder) return null;
+
+  const origin = midpoint(leftHip, rightHip);
+  const shoulderCenter = midpoint(leftShoulder, rightShoulder);
+  const length = scaleBy === 'shoulder'
+    ? Math.hypot(rightShoulder.x - leftShoulder.x, rightShoulder.y - leftShoulder.y)
+    : Math.hypot(shoulderCenter.x - origin.x, shoulderCenter.y - origin.y);
+
+  if (!(length > 0)) return null;
+
+  // Shoulder line angle folded into (-90°, 90°] so facing direction doesn't flip the pose
+  let angle = Math.atan2(rightShoulder.y - leftShoulder.y, rightShoulder.x - leftShoulder.x);
+  if (angle > Math.PI / 2) angle -= Math.PI;
+  if (angle <= -Math.PI / 2) angle += Math.PI;
+
+  return { origin, scale: length, rotation: angle };
+};
+
+/**
+ * Median of numbers - Pure function
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Rotate a point around the origin - Pure function
+ */
+const rotate = (point, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos };
+};
+
+/**
+ * Apply a body transform to one pose - Pure function
+ * Placeholders for missing keypoints (confidence 0) are left at zero
+ */
+const applyBodyTransform = (pose, transform) => {
+  const { origin, scale, rotation } = transform;
+
+  const keypoints = pose.keypoints.map(kp => {
+    if (!kp.confidence) return kp;
+
+    const centered = rotate({ x: (kp.position.x - origin.x) / scale, y: (kp.position.y - origin.y) / scale }, -rotation);
+    const position = { x: round(centered.x), y: round(centered.y) };
+    if (typeof kp.position.z === 'number') {
+      position.z = round((kp.position.z - (origin.z || 0)) / scale);
+    }
+
+    return { ...kp, position };
+  });
+
+  return { ...pose, keypoints, transform };
+};
+
+/**
+ * Recover image coordinates of a body normalized pose - Pure function
+ * Poses without a transform are returned unchanged
+ */
+const denormalizePose = (pose) => {
+  if (!pose?.transform) return pose;
+
+  const { origin, scale, rotation } = pose.transform;
+  const keypoints = pose.keypoints.map(kp => {
+    if (!kp.confidence) return kp;
+
+    const rotated = rotate(kp.position, rotation);
+    const position = {
+      x: Math.round((origin.x + rotated.x * scale) * 1000) / 1000,
+      y: Math.round((origin.y + rotated.y * scale) * 1000) / 1000
+    };
+    if (typeof kp.position.z === 'number') {
+      position.z = Math.round(((origin.z || 0) + kp.position.z * scale) * 1000) / 1000;
+    }
+
+    return { ...kp, position };
+  });
+
+  const { transform, ...rest } = pose;
+  return { ...rest, keypoints };
+};
+
+/**
+ * Body-centric normalization of a normalized sequence - Pure function
+ * Frames where hips or shoulders are missing reuse the nearest earlier
+ * measurement (or the first one for leading frames). Sequences without any
+ * measurable frame are returned unchanged.
+ *
+ * @param {Array} poses - Normalized poses
+ * @param {Object|boolean} normalizeBody - true or { scaleBy, alignShoulders, sequenceScale }
+ * @returns {Array} Poses with body coordinates and per-frame transform { origin, scale, rotation }
+ */
+const normalizeBodyPoses = (poses, normalizeBody = true) => {
+  const { scaleBy, alignShoulders, sequenceScale } = resolveBodyOptions(normalizeBody);
+
+  const measured = poses.map(pose => measureBody(pose, scaleBy));
+  const firstValid = measured.find(Boolean);
+  if (!firstValid) return poses;
+
+  const fixedScale = sequenceScale ? median(measured.filter(Boolean).map(body => body.scale)) : null;
+
+  let previous = firstValid;
+  return poses.map((pose, index) => {
+    const body = measured[index] || previous;
+    previous = body;
+
+    return applyBodyTransform(pose, {
+      origin: {
+        x: round(body.origin.x, 3),
+        y: round(body.origin.y, 3),
+        ...(typeof body.origin.z === 'number' ? { z: round(body.origin.z, 3) } : {})
+      },
+      scale: round(fixedScale ?? body.scale),
+      rotation: alignShoulders ? round(body.rotation, 6) : 0,
+      estimated: !measured[index]
+    });
+  });
+};
+
+/**
+ * Normalization metadata for body mode - Pure function
+ */
+const describeBodyNormalization = (normalizeBody, poses = []) => {
+  const { scaleBy, alignShoulders, sequenceScale } = resolveBodyOptions(normalizeBody);
+  const transforms = poses.map(pose => pose.transform).filter(Boolean);
+
+  return {
+    mode: 'body',
+    scale_by: scaleBy,
+    align_shoulders: alignShoulders,
+    sequence_scale: sequenceScale,
+    ...(sequenceScale && transforms.length > 0 ? { scale: transforms[0].scale } : {})
+  };
+};
+
+module.exports = {
+  DEFAULT_BODY_OPTIONS,
+  resolveBodyOptions,
+  measureBody,
+  normalizeBodyPoses,
+  denormalizePose,
+  describeBodyNormalization
+};
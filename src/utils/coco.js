@@ -0,0 +1,284 @@
+/**
+ * COCO keypoints - Export stored sequences to and import sessions from
+ * COCO-format annotation files (images / annotations / categories).
+ * Every exported frame is an image with one person annotation; keypoints are
+ * the flattened [x, y, v] list (v: 0 missing, 1 labeled but not visible,
+ * 2 visible) in skeleton order. Extra fields (tag, sequence_id, sequence,
+ * frame_index, timestamp, keypoint_scores) let an import rebuild sequences.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { iterateSequences } = require('./data-analytics');
+const { denormalizePose } = require('./body-normalization');
+const { calculateBoundingBox } = require('../normalizer');
+const { saveSequence } = require('../tagger');
+const { getSkeleton, DEFAULT_SKELETON } = require('../skeletons');
+const { getProjectConfig, getSessionDir } = require('../config');
+
+// Scores for imported keypoints without keypoint_scores, by COCO visibility flag
+const VISIBILITY_SCORES = { 1: 0.5, 2: 1 };
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * COCO category for a skeleton - Pure function
+ * skeleton holds 1-based keypoint index pairs as in the COCO spec
+ */
+const createCocoCategory = (skeletonName, id = 1) => {
+  const skeleton = getSkeleton(skeletonName);
+  return {
+    id,
+    name: 'person',
+    supercategory: 'person',
+    skeleton_name: skeleton.name,
+    keypoints: [...skeleton.keypoints],
+    skeleton: skeleton.connections.map(([from, to]) => [
+      skeleton.keypoints.indexOf(from) + 1,
+      skeleton.keypoints.indexOf(to) + 1
+    ])
+  };
+};
+
+/**
+ * COCO annotation for one normalized pose - Pure function
+ * Body normalized poses are converted back to image coordinates first
+ */
+const poseToCocoAnnotation = (pose, keypointNames) => {
+  const imagePose = denormalizePose(pose);
+  const byPart = new Map(imagePose.keypoints.map(kp => [kp.part, kp]));
+
+  const keypoints = [];
+  const scores = [];
+  keypointNames.forEach(part => {
+    const kp = byPart.get(part);
+    const present = kp && kp.confidence > 0;
+    keypoints.push(present ? round(kp.position.x) : 0, present ? round(kp.position.y) : 0, present ? (kp.visible ? 2 : 1) : 0);
+    scores.push(present ? kp.confidence : 0);
+  });
+
+  const box = calculateBoundingBox(imagePose.keypoints);
+  return {
+    keypoints,
+    keypoint_scores: scores,
+    num_keypoints: scores.filter(score => score > 0).length,
+    bbox: [box.x, box.y, box.width, box.height].map(round),
+    area: round(box.width * box.height),
+    iscrowd: 0,
+    score: pose.confidence
+  };
+};
+
+/**
+ * Export stored sequences as a COCO keypoints file
+ * All exported sequences must share a skeleton (one COCO category)
+ *
+ * @param {string} projectPath - Path to project data folder (contains sessions/)
+ * @param {string} outputFile - JSON file to write
+ * @param {Object} options - { filter, session, withImagesOnly, width, height }
+ *   withImagesOnly exports only sequences with a saved frame image, paired with
+ *   their last pose (the image is captured when the sequence is saved); other
+ *   exports have no image files, so their images carry no file_name
+ *   Sequences saved with normalizeScale are not exported and listed in skipped
+ * @returns {Promise<Object>} Result with image and annotation counts and skipped sequences
+ */
+const exportCoco = async (projectPath, outputFile, options = {}) => {
+  const { session, withImagesOnly = false, width, height } = options;
+  const filter = session
+    ? (typeof options.filter === 'function' ? options.filter : { ...options.filter, sessions: [session] })
+    : options.filter || {};
+
+  try {
+    const images = [];
+    const annotations = [];
+    const skipped = [];
+    let skeletonName = null;
+
+    for await (const { session: sessionName, sessionDir, sequence } of iterateSequences(projectPath, filter, { onError: () => {} })) {
+      if (session && sessionName !== session) continue;
+      if (withImagesOnly && !sequence.frame_reference) continue;
+
+      // normalizeScale keeps only per-frame box coordinates, the pixel positions are lost
+      if (sequence.metadata?.normalization?.scale_normalized) {
+        skipped.push({ session: sessionName, id: sequence.id, sequence: sequence.sequence, reason: 'Scale normalized poses have no pixel coordinates' });
+        continue;
+      }
+
+      const sequenceSkeleton = sequence.metadata?.skeleton || DEFAULT_SKELETON;
+      if (skeletonName && skeletonName !== sequenceSkeleton) {
+        return {
+          success: false,
+          error: `Sequences use different skeletons: ${skeletonName}, ${sequenceSkeleton}`,
+          code: 'SKELETON_MISMATCH'
+        };
+      }
+      skeletonName = sequenceSkeleton;
+
+      const poses = sequence.poses || [];
+
+      const frames = withImagesOnly
+        ? [[poses.length - 1, poses[poses.length - 1]]].filter(([, pose]) => pose)
+        : [...poses.entries()];
+      const keypointNames = getSkeleton(sequenceSkeleton).keypoints;
+
+      frames.forEach(([frameIndex, pose]) => {
+        const imageId = images.length + 1;
+        const fileName = withImagesOnly
+          ? path.relative(projectPath, path.resolve(sessionDir, 'frames', path.basename(sequence.frame_reference)))
+          : null;
+
+        images.push({
+          id: imageId,
+          // Only frames with a saved image have a file
+          ...(fileName ? { file_name: fileName.split(path.sep).join('/') } : {}),
+          ...(width ? { width } : {}),
+          ...(height ? { height } : {}),
+          session: sessionName,
+          sequence_id: sequence.id,
+          frame_index: frameIndex,
+          timestamp: pose.timestamp
+        });
+
+        annotations.push({
+          id: annotations.length + 1,
+          image_id: imageId,
+          category_id: 1,
+          ...poseToCocoAnnotation(pose, keypointNames),
+          tag: sequence.tag,
+          sequence_id: sequence.id,
+          sequence: sequence.sequence,
+          frame_index: frameIndex,
+          timestamp: pose.timestamp
+        });
+      });
+    }
+
+    const coco = {
+      info: { description: 'zdg_skeleton_seq export', date_created: new Date().toISOString() },
+      images,
+      annotations,
+      categories: [createCocoCategory(skeletonName || DEFAULT_SKELETON)]
+    };
+
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, JSON.stringify(coco));
+
+    return { success: true, file: outputFile, images: images.length, annotations: annotations.length, skipped };
+  } catch (error) {
+    return { success: false, error: error.message, code: 'EXPORT_ERROR' };
+  }
+};
+
+/**
+ * Group COCO annotations into raw pose sequences - Pure function
+ * Annotations sharing sequence_id (or track_id) form one sequence ordered by
+ * frame; others become single pose sequences named annotation_<id>
+ *
+ * @returns {Array<{ sequence, tag, poses }>}
+ */
+const cocoToSequences = (coco, options = {}) => {
+  const categories = new Map((coco.categories || []).map(category => [category.id, category]));
+  const images = new Map((coco.images || []).map(image => [image.id, image]));
+  const groups = new Map();
+
+  (coco.annotations || []).forEach((annotation, index) => {
+    const category = categories.get(annotation.category_id);
+    if (!category || !Array.isArray(annotation.keypoints)) return;
+
+    // Untracked annotations are one person each, even when several share an image
+    const image = images.get(annotation.image_id) || {};
+    const own = annotation.track_id !== undefined ? `track_${annotation.track_id}` : `annotation_${annotation.id ?? index}`;
+    const key = annotation.sequence_id ?? own;
+    const name = annotation.sequence ?? own;
+
+    const keypoints = [];
+    category.keypoints.forEach((part, k) => {
+      const [x, y, v] = annotation.keypoints.slice(k * 3, k * 3 + 3);
+      if (!v) return;
+      keypoints.push({ part, position: { x, y }, score: annotation.keypoint_scores?.[k] ?? VISIBILITY_SCORES[v] ?? 1 });
+    });
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        sequence: String(name),
+        tag: options.tag ?? annotation.tag ?? category.name,
+        skeleton: category.skeleton_name,
+        frames: []
+      });
+    }
+
+    groups.get(key).frames.push({
+      order: annotation.frame_index ?? image.frame_index ?? image.frame_id ?? image.id ?? annotation.id,
+      pose: {
+        keypoints,
+        score: annotation.score ?? 1,
+        ...(typeof (annotation.timestamp ?? image.timestamp) === 'number' ? { timestamp: annotation.timestamp ?? image.timestamp } : {})
+      }
+    });
+  });
+
+  return [...groups.values()].map(({ frames, ...group }) => ({
+    ...group,
+    poses: frames.sort((a, b) => a.order - b.order).map(frame => frame.pose)
+  }));
+};
+
+/**
+ * Import a COCO keypoints file as a new session (an existing session is rejected)
+ * Every sequence goes through saveSequence (validation, normalization, metadata)
+ *
+ * @param {string|Object} source - COCO JSON file path or parsed object
+ * @param {string} session - Session to create, must not exist yet
+ * @param {Object} options - saveSequence options plus { tag } to override annotation tags;
+ *   skeleton defaults to the exported skeleton_name, else PoseNet (COCO 17 names resolve to it)
+ * @returns {Promise<Object>} Result with imported sequences and failures
+ */
+const importCoco = async (source, session, options = {}) => {
+  let coco;
+  try {
+    coco = typeof source === 'string' ? JSON.parse(await fs.readFile(source, 'utf8')) : source;
+  } catch (error) {
+    return { success: false, error: `Failed to read COCO file: ${error.message}`, code: 'VALIDATION_ERROR' };
+  }
+
+  if (!coco || !Array.isArray(coco.annotations) || !Array.isArray(coco.categories)) {
+    return { success: false, error: 'COCO data must have annotations and categories arrays', code: 'VALIDATION_ERROR' };
+  }
+
+  if (typeof session !== 'string' || session.trim() === '') {
+    return { success: false, error: 'Session must be a non-empty string', code: 'VALIDATION_ERROR' };
+  }
+
+  const sessionDir = getSessionDir(session, { dataPath: options.dataPath ?? getProjectConfig().dataPath });
+  if (await fs.access(sessionDir).then(() => true, () => false)) {
+    return { success: false, error: `Session already exists: ${session}`, code: 'VALIDATION_ERROR' };
+  }
+
+  const { tag, ...saveOptions } = options;
+  const imported = [];
+  const failed = [];
+
+  for (const sequence of cocoToSequences(coco, { tag })) {
+    const result = await saveSequence(session, sequence.sequence, sequence.poses, sequence.tag, null, {
+      ...saveOptions,
+      skeleton: saveOptions.skeleton ?? sequence.skeleton ?? DEFAULT_SKELETON,
+      source: saveOptions.source ?? 'coco'
+    });
+
+    if (result.success) {
+      imported.push(result.data);
+    } else {
+      failed.push({ sequence: sequence.sequence, error: result.error, code: result.code });
+    }
+  }
+
+  return { success: failed.length === 0, session, imported, failed };
+};
+
+module.exports = {
+  createCocoCategory,
+  poseToCocoAnnotation,
+  cocoToSequences,
+  exportCoco,
+  importCoco
+};
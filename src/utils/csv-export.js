@@ -0,0 +1,177 @@
+/**
+ * CSV export - Sessions or whole projects as spreadsheet friendly tables
+ * long: one row per sequence / frame / keypoint
+ * wide: one row per frame with <part>_x, <part>_y, <part>_conf columns
+ * Every row carries the sequence columns (session, id, tag, timing and the
+ * createSequenceEntry metadata). Sequences are streamed line by line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { iterateSequences } = require('./data-analytics');
+const { loadSessionMetadata } = require('../session');
+const { createLineWriter } = require('./file-lock');
+const { getSkeleton, hasSkeleton, DEFAULT_SKELETON } = require('../skeletons');
+
+const CSV_LAYOUTS = ['long', 'wide'];
+
+// Sequence level columns shared by both layouts
+const SEQUENCE_COLUMNS = [
+  'session', 'sequence_id', 'sequence', 'tag', 'recorded_at', 'duration',
+  'pose_count', 'avg_confidence', 'keypoint_quality', 'frame_rate', 'skeleton'
+];
+
+/**
+ * Quote a CSV field when needed - Pure function
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsv).join(',');
+
+/**
+ * Header row for a layout - Pure function
+ * @param {string[]} parts - Keypoint columns of the wide layout
+ */
+const getCsvHeader = (layout, parts = [], includeZ = false) => {
+  const frameColumns = ['frame', 'frame_timestamp'];
+
+  if (layout === 'long') {
+    return [...SEQUENCE_COLUMNS, ...frameColumns, 'part', 'x', 'y', ...(includeZ ? ['z'] : []), 'confidence', 'visible'];
+  }
+
+  return [
+    ...SEQUENCE_COLUMNS,
+    ...frameColumns,
+    ...parts.flatMap(part => [`${part}_x`, `${part}_y`, ...(includeZ ? [`${part}_z`] : []), `${part}_conf`])
+  ];
+};
+
+/**
+ * CSV rows of one stored sequence - Generator, pure
+ * Missing keypoints (confidence 0) get empty coordinates
+ */
+const sequenceToCsvRows = function* (sequence, session, layout, parts = [], includeZ = false) {
+  const metadata = sequence.metadata || {};
+  const sequenceValues = [
+    session, sequence.id, sequence.sequence, sequence.tag, sequence.timestamp, sequence.duration,
+    metadata.pose_count, metadata.avg_confidence, metadata.keypoint_quality, metadata.frame_rate,
+    metadata.skeleton || DEFAULT_SKELETON
+  ];
+
+  const coordinates = (kp) => {
+    const present = kp && kp.confidence > 0;
+    return [
+      present ? kp.position.x : null,
+      present ? kp.position.y : null,
+      ...(includeZ ? [present ? kp.position.z : null] : [])
+    ];
+  };
+
+  for (const [frame, pose] of (sequence.poses || []).entries()) {
+    const frameValues = [...sequenceValues, frame, pose.timestamp];
+
+    if (layout === 'long') {
+      for (const kp of pose.keypoints || []) {
+        yield toCsvLine([...frameValues, kp.part, ...coordinates(kp), kp.confidence, kp.visible ? 1 : 0]);
+      }
+      continue;
+    }
+
+    const byPart = new Map((pose.keypoints || []).map(kp => [kp.part, kp]));
+    yield toCsvLine([
+      ...frameValues,
+      ...parts.flatMap(part => [...coordinates(byPart.get(part)), byPart.get(part)?.confidence ?? 0])
+    ]);
+  }
+};
+
+/**
+ * Keypoint columns for the wide layout - skeletons recorded in session metadata
+ * Mixed skeletons get the union of their parts in schema order
+ */
+const collectParts = async (projectPath, sessions) => {
+  const sessionsPath = path.join(projectPath, 'sessions');
+  const names = Array.isArray(sessions)
+    ? sessions
+    : (fs.existsSync(sessionsPath) ? fs.readdirSync(sessionsPath) : []);
+
+  const parts = [];
+  for (const session of names) {
+    const result = await loadSessionMetadata(path.join(sessionsPath, session));
+    const skeleton = result.success && hasSkeleton(result.data.skeleton) ? result.data.skeleton : DEFAULT_SKELETON;
+    getSkeleton(skeleton).keypoints.forEach(part => {
+      if (!parts.includes(part)) parts.push(part);
+    });
+  }
+
+  return parts.length > 0 ? parts : [...getSkeleton(DEFAULT_SKELETON).keypoints];
+};
+
+/**
+ * Export one session or a whole project to a CSV file (streamed)
+ *
+ * @param {string} projectPath - Path to project data folder (contains sessions/)
+ * @param {string} outputFile - CSV file to write
+ * @param {Object} options - { layout: 'long' | 'wide', session, filter, includeZ }
+ *   session limits the export to one session, filter is an iterateSequences filter
+ * @returns {Promise<Object>} Result with written sequence and row counts
+ */
+const exportCsv = async (projectPath, outputFile, options = {}) => {
+  const { layout = 'long', session, includeZ = false } = options;
+
+  if (!CSV_LAYOUTS.includes(layout)) {
+    return { success: false, error: `layout must be one of: ${CSV_LAYOUTS.join(', ')}`, code: 'VALIDATION_ERROR' };
+  }
+
+  const filter = session
+    ? (typeof options.filter === 'function' ? options.filter : { ...options.filter, sessions: [session] })
+    : options.filter || {};
+  const sessions = session ? [session] : filter.sessions;
+
+  try {
+    await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
+  } catch (error) {
+    return { success: false, error: error.message, code: 'EXPORT_ERROR' };
+  }
+
+  const output = fs.createWriteStream(outputFile);
+  const writer = createLineWriter(output);
+  const writeLine = writer.write;
+
+  try {
+    const parts = layout === 'wide' ? await collectParts(projectPath, sessions) : [];
+    await writeLine(toCsvLine(getCsvHeader(layout, parts, includeZ)));
+
+    let sequenceCount = 0;
+    let rowCount = 0;
+    for await (const entry of iterateSequences(projectPath, filter, { onError: () => {} })) {
+      if (session && entry.session !== session) continue;
+
+      for (const line of sequenceToCsvRows(entry.sequence, entry.session, layout, parts, includeZ)) {
+        await writeLine(line);
+        rowCount++;
+      }
+      sequenceCount++;
+    }
+
+    await writer.end();
+
+    return { success: true, file: outputFile, layout, sequences: sequenceCount, rows: rowCount };
+  } catch (error) {
+    output.destroy();
+    await fs.promises.unlink(outputFile).catch(() => {});
+    return { success: false, error: error.message, code: 'EXPORT_ERROR' };
+  }
+};
+
+module.exports = {
+  escapeCsv,
+  getCsvHeader,
+  sequenceToCsvRows,
+  exportCsv
+};
@@ -1,10 +1,65 @@
 /**
- * Data utilities - Simple tag collection
+ * Data utilities - Project-wide sequence access and tag collection
  * Keep it simple - just what's needed
  */
 
 const fs = require('fs');
 const path = require('path');
+const { iterateSessionFile, rewriteSessionFile, appendToSessionFile } = require('../session');
+const { createSequenceEntry, generateSessionPath } = require('../tagger');
+const { withSessionLock } = require('./file-lock');
+const { validateTag } = require('./validation');
+const { resampleSequence } = require('./resampling');
+const { augmentPoses, validateAugmentations, createRandom } = require('./augmentation');
+const { getSessionDir } = require('../config');
+
+/**
+ * Stream every sequence of every session in a project - Async generator
+ * Reads sequences.jsonl files line by line, so memory use stays flat no
+ * matter how large sessions grow. Breaking out of the loop stops reading.
+ *
+ * @param {string} projectPath - Path to project data folder (contains sessions/)
+ * @param {Object|Function} filter - { sessions, tags } lists or (sequence, context) => boolean
+ * @param {Object} options - { onError: ({ file, line, error }) => void } for malformed lines,
+ *   { resample: { fps } | { frames } } to resample each yielded sequence (stored data is unchanged)
+ * @yields {{ session: string, sessionDir: string, line: number, sequence: Object }}
+ */
+const iterateSequences = async function* (projectPath, filter = {}, options = {}) {
+  const onError = options.onError || (issue => {
+    console.warn(`Error parsing line ${issue.line} in ${issue.file}:`, issue.error);
+  });
+
+  for (const { session, sessionDir } of listSessionDirs(projectPath)) {
+    if (Array.isArray(filter.sessions) && !filter.sessions.includes(session)) {
+      continue;
+    }
+
+    for await (const entry of iterateSessionFile(sessionDir, { onError })) {
+      const context = { session, sessionDir, line: entry.line };
+
+      if (matchesFilter(entry.data, context, filter)) {
+        yield { ...context, sequence: options.resample ? resampleSequence(entry.data, options.resample) : entry.data };
+      }
+    }
+  }
+};
+
+/**
+ * Check a sequence against an iterateSequences filter - Pure function
+ */
+const matchesFilter = (sequence, context, filter) => {
+  if (typeof filter === 'function') {
+    return Boolean(filter(sequence, context));
+  }
+
+  if (!filter) return true;
+
+  if (Array.isArray(filter.tags) && !filter.tags.includes(sequence.tag)) {
+    return false;
+  }
+
+  return true;
+};
 
 /**
  * Collect all unique tags from JSONL files in project folder
@@ -14,45 +69,212 @@ const path = require('path');
 const collectAllTags = async (projectPath) => {
   try {
     const tags = new Set();
-    
-    // Find all sessions folders
-    const sessionsPath = path.join(projectPath, 'sessions');
-    if (!fs.existsSync(sessionsPath)) {
-      return [];
-    }
-    
-    const sessionDirs = fs.readdirSync(sessionsPath, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
-    
-    // Process each session
-    for (const sessionDir of sessionDirs) {
-      const sequencesFile = path.join(sessionsPath, sessionDir, 'sequences.jsonl');
-      
-      if (fs.existsSync(sequencesFile)) {
-        const fileContent = fs.readFileSync(sequencesFile, 'utf8');
-        const lines = fileContent.trim().split('\n').filter(line => line.trim());
-        
-        // Parse each JSONL line and extract tags
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (data.tag && typeof data.tag === 'string') {
-              tags.add(data.tag.trim());
-            }
-          } catch (parseError) {
-            console.warn(`Error parsing line in ${sequencesFile}:`, parseError.message);
-          }
-        }
+
+    for await (const { sequence } of iterateSequences(projectPath)) {
+      if (sequence.tag && typeof sequence.tag === 'string') {
+        tags.add(sequence.tag.trim());
       }
     }
-    
+
     return Array.from(tags).sort();
   } catch (error) {
     throw new Error(`Failed to collect tags: ${error.message}`);
   }
 };
 
+/**
+ * Merge several tags into one across every session of a project
+ * Rewrites each affected sequences.jsonl and metadata.json under the session lock
+ *
+ * @param {string} projectPath - Path to project data folder
+ * @param {string[]} tags - Tags to replace
+ * @param {string} to - Target tag
+ * @param {Object} options - { dryRun: false } reports changes without writing
+ * @returns {Promise<Object>} Result with changed sequence counts per session; on
+ *   failure also failedSession and the sessions already rewritten
+ */
+const mergeTags = async (projectPath, tags, to, options = {}) => {
+  const { dryRun = false } = options;
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return { success: false, error: 'Tags must be a non-empty array', code: 'VALIDATION_ERROR' };
+  }
+
+  const tagValidation = validateTag(to);
+  if (!tagValidation.isValid) {
+    return { success: false, error: tagValidation.error, code: 'VALIDATION_ERROR' };
+  }
+
+  const target = to.trim();
+  const sources = tags.map(tag => String(tag).trim()).filter(tag => tag !== target);
+
+  const sessions = [];
+  const report = () => ({
+    dryRun,
+    to: target,
+    totalChanged: sessions.reduce((sum, session) => sum + session.changed, 0),
+    sessions
+  });
+  let current = null;
+
+  try {
+    for (const { session, sessionDir } of listSessionDirs(projectPath)) {
+      current = session;
+      const { changes } = await withSessionLock(sessionDir, () => rewriteSessionFile(
+        sessionDir,
+        sequence => (sources.includes(sequence.tag?.trim()) ? { ...sequence, tag: target } : sequence),
+        { dryRun }
+      ));
+
+      if (changes.length > 0) {
+        sessions.push({ session, changed: changes.length });
+      }
+    }
+
+    return { success: true, ...report() };
+  } catch (error) {
+    // Sessions before the failing one are already rewritten, report them
+    return {
+      success: false,
+      error: error.message,
+      code: error.code === 'SESSION_LOCKED' ? 'SESSION_LOCKED' : 'TAG_MERGE_ERROR',
+      failedSession: current,
+      ...report()
+    };
+  }
+};
+
+/**
+ * Rename a tag across every session of a project
+ */
+const renameTag = async (projectPath, from, to, options = {}) => {
+  return await mergeTags(projectPath, [from], to, options);
+};
+
+/**
+ * Write augmented copies of a session's sequences into a derived session
+ * Each copy records where it came from in metadata.augmentation
+ * ({ source_id, source_session, seed, copy, operations }). Copies are seeded
+ * per source sequence, so rerunning with the same seed gives the same data.
+ *
+ * @param {string} projectPath - Path to project data folder
+ * @param {string} sourceSession - Session to read
+ * @param {string} targetSession - New session for the derived sequences (must not exist)
+ * @param {Object} options - { operations, copies: 1, seed, tags } (tags limits the source sequences)
+ * @returns {Promise<Object>} Result with the created sequence ids and their source ids
+ */
+const augmentSession = async (projectPath, sourceSession, targetSession, options = {}) => {
+  const { operations, copies = 1, tags } = options;
+  const seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+
+  const validation = validateAugmentations(operations);
+  if (!validation.isValid) {
+    return { success: false, error: validation.error, code: 'VALIDATION_ERROR' };
+  }
+
+  if (!Number.isInteger(copies) || copies < 1) {
+    return { success: false, error: 'copies must be a positive integer', code: 'VALIDATION_ERROR' };
+  }
+
+  if (typeof targetSession !== 'string' || targetSession.trim() === '' || targetSession === sourceSession) {
+    return { success: false, error: 'Target session must be a new session name', code: 'VALIDATION_ERROR' };
+  }
+
+  const existing = listSessionDirs(projectPath).map(({ session }) => session);
+  if (!existing.includes(sourceSession)) {
+    return { success: false, error: `Session not found: ${sourceSession}`, code: 'SESSION_NOT_FOUND' };
+  }
+
+  // Compare the folder the entries would be written to, names are sanitized on write
+  const targetDir = getSessionDir(targetSession, { dataPath: projectPath });
+  if (await fs.promises.access(targetDir).then(() => true, () => false)) {
+    return { success: false, error: `Target session already exists: ${targetSession}`, code: 'VALIDATION_ERROR' };
+  }
+
+  try {
+    const sessionPath = generateSessionPath(targetSession, projectPath);
+    const sequences = [];
+
+    for await (const { sequence } of iterateSequences(projectPath, { sessions: [sourceSession], tags })) {
+      for (let copy = 1; copy <= copies; copy++) {
+        const copySeed = createRandom(`${seed}:${sequence.id}:${copy}`)();
+        const entry = createAugmentedEntry(sequence, targetSession, operations, {
+          seed: Math.floor(copySeed * 2 ** 32),
+          copy
+        });
+
+        const saveResult = await appendToSessionFile(sessionPath, entry);
+        if (!saveResult.success) {
+          return saveResult;
+        }
+
+        sequences.push({ id: entry.id, sourceId: sequence.id });
+      }
+    }
+
+    return { success: true, session: targetSession, seed, created: sequences.length, sequences };
+  } catch (error) {
+    return { success: false, error: error.message, code: 'AUGMENTATION_ERROR' };
+  }
+};
+
+/**
+ * Build the stored record of one augmented copy - Pure function
+ * Statistics are recomputed, tracking links and the frame image are not carried over
+ */
+const createAugmentedEntry = (sequence, session, operations, { seed, copy }) => {
+  const { poses, applied } = augmentPoses(sequence.poses || [], operations, { seed });
+  const { pose_count, avg_confidence, keypoint_quality, frame_rate, tracking, ...metadata } = sequence.metadata || {};
+
+  return {
+    ...createSequenceEntry({
+      session,
+      sequence: `${sequence.sequence}_aug${copy}`,
+      poses,
+      tag: sequence.tag,
+      frame: null,
+      timestamp: Date.now(),
+      metadata: {
+        ...metadata,
+        sequence_info: {
+          start_timestamp: poses[0]?.timestamp || 0,
+          end_timestamp: poses[poses.length - 1]?.timestamp || 0,
+          frame_count: poses.length
+        },
+        augmentation: {
+          source_id: sequence.id,
+          source_session: sequence.session,
+          seed,
+          copy,
+          operations: applied
+        }
+      }
+    }),
+    frame_reference: null
+  };
+};
+
+/**
+ * List session directories that contain a sequences file
+ */
+const listSessionDirs = (projectPath) => {
+  const sessionsPath = path.join(projectPath, 'sessions');
+  if (!fs.existsSync(sessionsPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(sessionsPath, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name)
+    .sort()
+    .map(session => ({ session, sessionDir: path.join(sessionsPath, session) }))
+    .filter(({ sessionDir }) => fs.existsSync(path.join(sessionDir, 'sequences.jsonl')));
+};
+
 module.exports = {
-  collectAllTags
+  iterateSequences,
+  collectAllTags,
+  mergeTags,
+  renameTag,
+  augmentSession
 };
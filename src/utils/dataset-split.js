@@ -0,0 +1,209 @@
+/**
+ * Dataset splits - Seeded train/val/test assignment of project sequences
+ * Sequences are grouped (by session by default) and whole groups are
+ * assigned, so a recording never leaks across splits. Groups are placed
+ * greedily where their tags are most under-represented, which keeps every
+ * split's tag distribution close to the requested ratios.
+ * The manifest lists sequence ids per split; createSplitFilter turns it into
+ * an iterateSequences filter for exportNumpy, exportCsv and exportCoco.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { iterateSequences } = require('./data-analytics');
+const { createRandom } = require('./augmentation');
+
+const DEFAULT_SPLIT_OPTIONS = {
+  ratios: { train: 0.7, val: 0.15, test: 0.15 },
+  groupBy: 'session',     // 'session', 'sequence', a sequence metadata field or (sequence, context) => key
+  seed: 0,
+  filter: {},             // iterateSequences filter
+  output: null            // manifest file to write
+};
+
+/**
+ * Check split ratios ({ name: weight }) - Pure function
+ */
+const validateRatios = (ratios) => {
+  const values = ratios && typeof ratios === 'object' ? Object.values(ratios) : [];
+
+  if (values.length === 0 || !values.every(value => typeof value === 'number' && value >= 0)) {
+    return { isValid: false, error: 'ratios must map split names to non-negative numbers' };
+  }
+  if (values.reduce((sum, value) => sum + value, 0) <= 0) {
+    return { isValid: false, error: 'ratios must not all be zero' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Group key of a sequence - Pure function
+ * Metadata fields (e.g. 'subject') fall back to the session when missing
+ */
+const getGroupKey = (groupBy, sequence, context) => {
+  if (typeof groupBy === 'function') return String(groupBy(sequence, context));
+  if (groupBy === 'session') return context.session;
+  if (groupBy === 'sequence') return sequence.id;
+
+  const value = sequence.metadata?.[groupBy];
+  return value === undefined || value === null ? context.session : String(value);
+};
+
+/**
+ * Assign groups to splits - Pure function
+ * Largest groups first (seeded shuffle breaks ties), each to the split with
+ * the highest remaining tag deficit relative to its targets
+ *
+ * @param {Array<{ key, tags: Object<string, number> }>} groups - Tag counts per group
+ * @param {Object<string, number>} ratios - Split weights
+ * @param {*} seed - Random seed
+ * @returns {Object<string, string[]>} Group keys per split
+ */
+const assignGroups = (groups, ratios, seed) => {
+  const random = createRandom(seed);
+  const names = Object.keys(ratios);
+  const weightSum = names.reduce((sum, name) => sum + ratios[name], 0);
+  const share = Object.fromEntries(names.map(name => [name, ratios[name] / weightSum]));
+
+  const totals = {};
+  groups.forEach(group => Object.entries(group.tags).forEach(([tag, count]) => {
+    totals[tag] = (totals[tag] || 0) + count;
+  }));
+
+  const counts = Object.fromEntries(names.map(name => [name, {}]));
+  const sizes = Object.fromEntries(names.map(name => [name, 0]));
+  const totalSize = groups.reduce((sum, group) => sum + group.size, 0);
+  const assigned = Object.fromEntries(names.map(name => [name, []]));
+
+  const ordered = groups
+    .map(group => ({ group, order: random() }))
+    .sort((a, b) => b.group.size - a.group.size || a.order - b.order)
+    .map(({ group }) => group);
+
+  ordered.forEach(group => {
+    const score = (name) => {
+      const tagDeficit = Object.entries(group.tags).reduce((sum, [tag, count]) =>
+        sum + count * (share[name] * totals[tag] - (counts[name][tag] || 0)) / totals[tag], 0);
+      return { tagDeficit, sizeDeficit: share[name] * totalSize - sizes[name] };
+    };
+
+    const best = names
+      .filter(name => share[name] > 0)
+      .map(name => ({ name, ...score(name) }))
+      .reduce((a, b) => (b.tagDeficit > a.tagDeficit + 1e-9 ||
+        (Math.abs(b.tagDeficit - a.tagDeficit) <= 1e-9 && b.sizeDeficit > a.sizeDeficit) ? b : a));
+
+    assigned[best.name].push(group.key);
+    sizes[best.name] += group.size;
+    Object.entries(group.tags).forEach(([tag, count]) => {
+      counts[best.name][tag] = (counts[best.name][tag] || 0) + count;
+    });
+  });
+
+  return assigned;
+};
+
+/**
+ * Split a project into stratified, group-aware train/val/test sets
+ *
+ * @param {string} projectPath - Path to project data folder (contains sessions/)
+ * @param {Object} options - { ratios, groupBy, seed, filter, output }
+ * @returns {Promise<Object>} Result with the manifest (and written file)
+ */
+const splitProject = async (projectPath, options = {}) => {
+  const settings = { ...DEFAULT_SPLIT_OPTIONS, ...options };
+
+  const ratiosCheck = validateRatios(settings.ratios);
+  if (!ratiosCheck.isValid) {
+    return { success: false, error: ratiosCheck.error, code: 'VALIDATION_ERROR' };
+  }
+
+  try {
+    const groups = new Map();
+    const rows = [];
+
+    for await (const { session, sessionDir, line, sequence } of iterateSequences(projectPath, settings.filter, { onError: () => {} })) {
+      const key = getGroupKey(settings.groupBy, sequence, { session, sessionDir, line });
+      if (!groups.has(key)) groups.set(key, { key, size: 0, tags: {} });
+
+      const group = groups.get(key);
+      group.size++;
+      group.tags[sequence.tag] = (group.tags[sequence.tag] || 0) + 1;
+      rows.push({ id: sequence.id, tag: sequence.tag, group: key });
+    }
+
+    if (rows.length === 0) {
+      return { success: false, error: 'No sequences to split', code: 'SEQUENCES_LOAD_ERROR' };
+    }
+
+    const assigned = assignGroups([...groups.values()], settings.ratios, settings.seed);
+    const splitOf = new Map(Object.entries(assigned).flatMap(([name, keys]) => keys.map(key => [key, name])));
+
+    const splits = Object.fromEntries(Object.keys(settings.ratios).map(name => [name, {
+      groups: [...assigned[name]].sort(),
+      sequence_ids: [],
+      tags: {}
+    }]));
+    rows.forEach(row => {
+      const split = splits[splitOf.get(row.group)];
+      split.sequence_ids.push(row.id);
+      split.tags[row.tag] = (split.tags[row.tag] || 0) + 1;
+    });
+
+    const manifest = {
+      created: new Date().toISOString(),
+      seed: settings.seed,
+      ratios: settings.ratios,
+      group_by: typeof settings.groupBy === 'function' ? 'custom' : settings.groupBy,
+      sequence_count: rows.length,
+      splits
+    };
+
+    if (settings.output) {
+      await fs.mkdir(path.dirname(settings.output), { recursive: true });
+      await fs.writeFile(settings.output, JSON.stringify(manifest, null, 2));
+    }
+
+    return { success: true, manifest, ...(settings.output ? { file: settings.output } : {}) };
+  } catch (error) {
+    return { success: false, error: error.message, code: 'PROCESSING_ERROR' };
+  }
+};
+
+/**
+ * Read a split manifest written by splitProject
+ */
+const loadSplitManifest = async (file) => {
+  try {
+    const manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!manifest?.splits || typeof manifest.splits !== 'object') {
+      return { success: false, error: 'Split manifest has no splits', code: 'VALIDATION_ERROR' };
+    }
+    return { success: true, data: manifest };
+  } catch (error) {
+    return { success: false, error: `Failed to read split manifest: ${error.message}`, code: 'VALIDATION_ERROR' };
+  }
+};
+
+/**
+ * iterateSequences filter selecting one split of a manifest - Pure function
+ * Pass it as the exporters' filter option
+ */
+const createSplitFilter = (manifest, split) => {
+  if (!manifest?.splits?.[split]) {
+    throw new Error(`Invalid split: ${split}`);
+  }
+
+  const ids = new Set(manifest.splits[split].sequence_ids);
+  return (sequence) => ids.has(sequence.id);
+};
+
+module.exports = {
+  DEFAULT_SPLIT_OPTIONS,
+  validateRatios,
+  assignGroups,
+  splitProject,
+  loadSplitManifest,
+  createSplitFilter
+};
@@ -3,6 +3,7 @@
  */
 
 const crypto = require('crypto');
+const { getProjectConfig, getSessionDir } = require('../config');
 
 /**
  * Generate unique sequence ID - Pure function
@@ -19,20 +20,20 @@ const generateSequenceId = (session, sequence) => {
 /**
  * Generate frame reference path - Pure function
  */
-const generateFrameReference = (session, sequence, dataPath = './data') => {
+const generateFrameReference = (session, sequence, dataPath = getProjectConfig().dataPath) => {
   const timestamp = Date.now();
-  const sessionPart = sanitizeString(session);
   const sequencePart = sanitizeString(sequence);
   
-  return `${dataPath}/sessions/${sessionPart}/frames/${sequencePart}_${timestamp}.jpg`;
+  // Same session folder as the sequences file
+  return `${getSessionDir(session, { dataPath })}/frames/${sequencePart}_${timestamp}.jpg`;
 };
 
 /**
  * Generate session directory path - Pure function
  */
-const generateSessionPath = (session) => {
+const generateSessionPath = (session, dataPath = getProjectConfig().dataPath) => {
   const sanitizedSession = sanitizeString(session);
-  return `./data/sessions/${sanitizedSession}`;
+  return `${dataPath}/sessions/${sanitizedSession}`;
 };
 
 /**
@@ -202,6 +203,37 @@ const extractMetadataFromFilename = (filename) => {
   };
 };
 
+/**
+ * CRC-32 lookup table (IEEE polynomial) - built once
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  
+  return table;
+})();
+
+/**
+ * Calculate CRC-32 checksum of a buffer - Pure function
+ * Used by the PNG chunk writer; optional seed allows chaining buffers
+ */
+const crc32 = (buffer, seed = 0) => {
+  let crc = (seed ^ 0xffffffff) >>> 0;
+  
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
 module.exports = {
   generateSequenceId,
   generateFrameReference,
@@ -216,5 +248,6 @@ module.exports = {
   createTimestamp,
   validateId,
   createBackupFileName,
-  extractMetadataFromFilename
+  extractMetadataFromFilename,
+  crc32
 };
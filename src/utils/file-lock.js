@@ -0,0 +1,252 @@
+/**
+ * Session write safety - Per-session write queue, lock file and atomic writes
+ * Keeps sequences.jsonl and metadata.json consistent when saves overlap,
+ * both inside one process and across processes writing the same session
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { generateRandomString } = require('./encoding');
+
+const LOCK_FILE_NAME = '.lock';
+
+const DEFAULT_LOCK_OPTIONS = {
+  timeout: 10000,    // Give up acquiring after 10s
+  retryInterval: 25, // Poll interval while another writer holds the lock
+  staleAfter: 30000  // Locks older than this are considered abandoned
+};
+
+// Pending write chain per session directory (in-process queue)
+const sessionQueues = new Map();
+
+/**
+ * Run task with exclusive access to a session directory
+ * Tasks for the same session run one after another; the lock file
+ * keeps other processes out while the task runs
+ *
+ * @param {string} sessionDir - Session directory to lock
+ * @param {Function} task - Async function to run while holding the lock
+ * @param {Object} options - Lock options (timeout, retryInterval, staleAfter)
+ * @returns {Promise<*>} Task result
+ */
+const withSessionLock = (sessionDir, task, options = {}) => {
+  const key = path.resolve(sessionDir);
+  const previous = sessionQueues.get(key) || Promise.resolve();
+
+  const run = previous.then(async () => {
+    const lock = await acquireLock(sessionDir, options);
+    try {
+      return await task();
+    } finally {
+      await releaseLock(lock);
+    }
+  });
+
+  // Queue tail never rejects so one failed write doesn't block the next
+  const tail = run.catch(() => {});
+  sessionQueues.set(key, tail);
+  tail.then(() => {
+    if (sessionQueues.get(key) === tail) {
+      sessionQueues.delete(key);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Acquire lock file in session directory - Pure with side effects
+ * The session directory must exist (appends create it before locking).
+ * While held, the lock's mtime is refreshed so long rewrites never look stale.
+ */
+const acquireLock = async (sessionDir, options = {}) => {
+  const { timeout, retryInterval, staleAfter } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const lockPath = path.join(sessionDir, LOCK_FILE_NAME);
+  const startTime = Date.now();
+
+  for (;;) {
+    const content = JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      token: generateRandomString(12),
+      created_at: Date.now()
+    });
+
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      try {
+        await handle.writeFile(content);
+      } finally {
+        await handle.close();
+      }
+      return { lockPath, content, refresh: startRefresh(lockPath, staleAfter) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const missing = new Error(`Session not found: ${sessionDir}`);
+        missing.code = 'SESSION_NOT_FOUND';
+        throw missing;
+      }
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stale = await readStaleLock(lockPath, staleAfter);
+    if (stale !== null) {
+      await takeOverStaleLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() - startTime >= timeout) {
+      const lockError = new Error(`Session is locked by another writer: ${sessionDir}`);
+      lockError.code = 'SESSION_LOCKED';
+      throw lockError;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryInterval));
+  }
+};
+
+/**
+ * Touch the lock file while it is held - Pure with side effects
+ */
+const startRefresh = (lockPath, staleAfter) => {
+  const timer = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(10, Math.floor(staleAfter / 3)));
+
+  // Never keep the process alive just for the heartbeat
+  if (timer.unref) timer.unref();
+  return timer;
+};
+
+/**
+ * Remove a stale lock without racing other waiters - Pure with side effects
+ * The lock is renamed aside (atomic, only one waiter wins) and its content is
+ * compared with what was judged stale; a fresh lock moved by mistake is put back.
+ */
+const takeOverStaleLock = async (lockPath, staleContent) => {
+  const asidePath = `${lockPath}.${process.pid}.${generateRandomString(6)}.stale`;
+
+  try {
+    await fs.rename(lockPath, asidePath);
+  } catch (error) {
+    return; // Another waiter took it over first
+  }
+
+  const content = await fs.readFile(asidePath, 'utf8').catch(() => null);
+  if (content !== staleContent) {
+    // link fails instead of overwriting when yet another lock was taken meanwhile
+    await fs.link(asidePath, lockPath).catch(() => {});
+  }
+  await fs.unlink(asidePath).catch(() => {});
+};
+
+/**
+ * Release lock file - Pure with side effects
+ * Only removes the lock when it is still ours
+ */
+const releaseLock = async (lock) => {
+  if (lock.refresh) clearInterval(lock.refresh);
+
+  const content = await fs.readFile(lock.lockPath, 'utf8').catch(() => null);
+  if (lock.content === undefined || content === lock.content) {
+    await fs.unlink(lock.lockPath).catch(() => {});
+  }
+};
+
+/**
+ * Content of an abandoned lock, null when the lock is live - Pure with side effects
+ * A lock is stale when it wasn't refreshed for staleAfter or its owner process
+ * on this host no longer exists
+ */
+const readStaleLock = async (lockPath, staleAfter) => {
+  try {
+    const stats = await fs.stat(lockPath);
+    const content = await fs.readFile(lockPath, 'utf8');
+    if (Date.now() - stats.mtimeMs > staleAfter) {
+      return content;
+    }
+
+    const owner = JSON.parse(content);
+    if (owner.hostname === os.hostname() && owner.pid !== process.pid && !isProcessAlive(owner.pid)) {
+      return content;
+    }
+
+    return null;
+  } catch (error) {
+    // Lock vanished or is still being written, the caller retries
+    return null;
+  }
+};
+
+/**
+ * Check if a process id is running - Pure with side effects
+ */
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Write file atomically via temp file and rename - Pure with side effects
+ * Readers see either the old or the new content, never a partial file
+ */
+const writeFileAtomic = async (filePath, content) => {
+  const tempPath = `${filePath}.${process.pid}.${generateRandomString(6)}.tmp`;
+
+  try {
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Promise based line writer over a write stream - Pure with side effects
+ * The error listener is attached right away, so a stream that can't be opened
+ * or fails midway rejects the pending write or end instead of crashing the
+ * process or waiting for 'drain' forever
+ *
+ * @param {WritableStream} output - Stream from fs.createWriteStream
+ * @returns {{ write: (text: string) => Promise, end: () => Promise }}
+ */
+const createLineWriter = (output) => {
+  let failure = null;
+  const failed = new Promise((resolve, reject) => {
+    output.on('error', error => {
+      failure = error;
+      reject(error);
+    });
+  });
+  failed.catch(() => {});
+
+  return {
+    write: (text) => {
+      if (failure) return Promise.reject(failure);
+      if (output.write(text + '\n')) return Promise.resolve();
+      return Promise.race([new Promise(resolve => output.once('drain', resolve)), failed]);
+    },
+    end: () => {
+      if (failure) return Promise.reject(failure);
+      return Promise.race([new Promise(resolve => output.end(resolve)), failed]);
+    }
+  };
+};
+
+module.exports = {
+  withSessionLock,
+  acquireLock,
+  releaseLock,
+  writeFileAtomic,
+  createLineWriter,
+  LOCK_FILE_NAME
+};
@@ -0,0 +1,173 @@
+/**
+ * Gap filling - Interpolates occluded keypoints from neighbouring frames
+ * A gap is a run of frames where a keypoint is not visible, with visible
+ * frames on both sides. Gaps up to maxGap frames are filled (linear or cubic
+ * over timestamps); filled keypoints get interpolated: true so consumers can
+ * mask them. Sequence ends are never extrapolated.
+ */
+
+const GAP_FILLING_DEFAULTS = { method: 'linear', maxGap: 10 };
+const GAP_FILLING_METHODS = ['linear', 'cubic'];
+
+/**
+ * Check fillGaps option (true, 'linear', 'cubic' or { method, maxGap }) - Pure function
+ */
+const validateGapFilling = (fillGaps) => {
+  if (fillGaps === undefined || fillGaps === null || fillGaps === false) {
+    return { isValid: true, error: null };
+  }
+
+  const { method, maxGap } = toOptions(fillGaps);
+
+  if (!GAP_FILLING_METHODS.includes(method)) {
+    return { isValid: false, error: `fillGaps method must be one of: ${GAP_FILLING_METHODS.join(', ')}` };
+  }
+
+  if (!Number.isInteger(maxGap) || maxGap < 1) {
+    return { isValid: false, error: 'fillGaps maxGap must be a positive integer (frames)' };
+  }
+
+  return { isValid: true, error: null };
+};
+
+const toOptions = (fillGaps) => ({
+  ...GAP_FILLING_DEFAULTS,
+  ...(typeof fillGaps === 'string' ? { method: fillGaps } : {}),
+  ...(typeof fillGaps === 'object' ? fillGaps : {})
+});
+
+/**
+ * Resolve fillGaps option to { method, maxGap } - Pure function
+ * Throws on invalid settings
+ */
+const resolveGapFilling = (fillGaps) => {
+  const validation = validateGapFilling(fillGaps);
+  if (!validation.isValid) {
+    throw new Error(`Invalid fillGaps: ${validation.error}`);
+  }
+
+  const { method, maxGap } = toOptions(fillGaps);
+  return { method, maxGap };
+};
+
+/**
+ * Cubic Hermite interpolation with finite difference tangents - Pure function
+ * Works on non-uniform times; missing outer neighbours give a one-sided slope
+ */
+const cubicValue = (before, a, b, after, t) => {
+  const span = b.time - a.time;
+  const slope = (b.value - a.value) / span;
+  const tangentA = before ? ((a.value - before.value) / (a.time - before.time) + slope) / 2 : slope;
+  const tangentB = after ? ((after.value - b.value) / (after.time - b.time) + slope) / 2 : slope;
+
+  const s = (t - a.time) / span;
+  const s2 = s * s;
+  const s3 = s2 * s;
+
+  return (2 * s3 - 3 * s2 + 1) * a.value +
+    (s3 - 2 * s2 + s) * span * tangentA +
+    (-2 * s3 + 3 * s2) * b.value +
+    (s3 - s2) * span * tangentB;
+};
+
+/**
+ * Interpolate one coordinate for a gap frame - Pure function
+ */
+const interpolateValue = (method, anchors, t) => {
+  const { before, a, b, after } = anchors;
+  if (method === 'cubic') {
+    return cubicValue(before, a, b, after, t);
+  }
+
+  return a.value + (b.value - a.value) * ((t - a.time) / (b.time - a.time));
+};
+
+/**
+ * Fill occluded keypoints across a normalized sequence - Pure function
+ *
+ * @param {Array} poses - Normalized poses (same keypoint order in every frame)
+ * @param {boolean|string|Object} fillGaps - true, 'linear', 'cubic' or { method, maxGap }
+ * @returns {{ poses: Array, filled: number }} Poses with filled keypoints and how many were filled
+ */
+const fillGaps = (poses, fillGapsOption = true) => {
+  const { method, maxGap } = resolveGapFilling(fillGapsOption);
+  const keypointCount = Math.max(0, ...poses.map(pose => pose.keypoints.length));
+  const result = poses.map(pose => ({ ...pose, keypoints: [...pose.keypoints] }));
+  const timeOf = index => poses[index].timestamp ?? index;
+  let filled = 0;
+
+  for (let k = 0; k < keypointCount; k++) {
+    const visibleFrames = poses
+      .map((pose, index) => (pose.keypoints[k]?.visible ? index : -1))
+      .filter(index => index >= 0);
+
+    for (let v = 0; v < visibleFrames.length - 1; v++) {
+      const start = visibleFrames[v];
+      const end = visibleFrames[v + 1];
+      const gapLength = end - start - 1;
+      if (gapLength < 1 || gapLength > maxGap) continue;
+
+      const anchorsFor = (field, axis) => {
+        const sample = index => (index === undefined ? null : {
+          time: timeOf(index),
+          value: poses[index].keypoints[k][field][axis]
+        });
+        return {
+          before: sample(visibleFrames[v - 1]),
+          a: sample(start),
+          b: sample(end),
+          after: sample(visibleFrames[v + 2])
+        };
+      };
+
+      const startKp = poses[start].keypoints[k];
+      const endKp = poses[end].keypoints[k];
+
+      for (let index = start + 1; index < end; index++) {
+        const t = timeOf(index);
+        const interpolate = (field) => Object.keys(startKp[field]).reduce((position, axis) => ({
+          ...position,
+          [axis]: Math.round(interpolateValue(method, anchorsFor(field, axis), t) * 1000) / 1000
+        }), {});
+
+        const confidence = Math.round(
+          interpolateValue('linear', { a: { time: timeOf(start), value: startKp.confidence }, b: { time: timeOf(end), value: endKp.confidence } }, t) * 1000
+        ) / 1000;
+
+        result[index].keypoints[k] = {
+          ...poses[index].keypoints[k],
+          position: interpolate('position'),
+          ...(startKp.worldPosition && endKp.worldPosition ? { worldPosition: interpolate('worldPosition') } : {}),
+          confidence,
+          visible: true,
+          interpolated: true
+        };
+        filled++;
+      }
+    }
+  }
+
+  return { poses: result, filled };
+};
+
+/**
+ * Gap filling settings for metadata.normalization.gap_filling - Pure function
+ */
+const describeGapFilling = (fillGapsOption, poses = []) => {
+  const { method, maxGap } = resolveGapFilling(fillGapsOption);
+
+  return {
+    method,
+    max_gap: maxGap,
+    interpolated_keypoints: poses.reduce((sum, pose) =>
+      sum + pose.keypoints.filter(kp => kp.interpolated).length, 0)
+  };
+};
+
+module.exports = {
+  GAP_FILLING_DEFAULTS,
+  validateGapFilling,
+  resolveGapFilling,
+  fillGaps,
+  describeGapFilling
+};
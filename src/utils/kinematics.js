@@ -0,0 +1,193 @@
+/**
+ * Kinematics - Per-frame motion features of a normalized sequence
+ * Joint angles, keypoint velocities and accelerations, center of mass and
+ * motion energy. Derivatives use timestamps (units per second, central
+ * differences inside, one-sided at the ends and next to missing frames).
+ * Values that need a missing keypoint are null.
+ */
+
+// Angle at the middle part, in degrees
+const JOINT_ANGLES = {
+  leftElbow: ['leftShoulder', 'leftElbow', 'leftWrist'],
+  rightElbow: ['rightShoulder', 'rightElbow', 'rightWrist'],
+  leftShoulder: ['leftElbow', 'leftShoulder', 'leftHip'],
+  rightShoulder: ['rightElbow', 'rightShoulder', 'rightHip'],
+  leftHip: ['leftShoulder', 'leftHip', 'leftKnee'],
+  rightHip: ['rightShoulder', 'rightHip', 'rightKnee'],
+  leftKnee: ['leftHip', 'leftKnee', 'leftAnkle'],
+  rightKnee: ['rightHip', 'rightKnee', 'rightAnkle']
+};
+
+// Body segment mass fractions (Dempster) carried by the joint that ends them
+const SEGMENT_MASS = {
+  nose: 0.081,                                        // head and neck
+  leftShoulder: 0.12425, rightShoulder: 0.12425,      // trunk, split over its corners
+  leftHip: 0.12425, rightHip: 0.12425,
+  leftElbow: 0.028, rightElbow: 0.028,                // upper arm
+  leftWrist: 0.022, rightWrist: 0.022,                // forearm and hand
+  leftKnee: 0.1, rightKnee: 0.1,                      // thigh
+  leftAnkle: 0.061, rightAnkle: 0.061                 // shank and foot
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Visible keypoint positions by part name - Pure function
+ */
+const getVisibleParts = (pose) => new Map(
+  pose.keypoints.filter(kp => kp.visible).map(kp => [kp.part, kp.position])
+);
+
+const axesOf = (...points) => (points.every(point => typeof point.z === 'number') ? ['x', 'y', 'z'] : ['x', 'y']);
+
+/**
+ * Angle a-vertex-b in degrees - Pure function
+ * Uses z when all three points have it
+ */
+const jointAngle = (a, vertex, b) => {
+  const axes = axesOf(a, vertex, b);
+  const u = axes.map(axis => a[axis] - vertex[axis]);
+  const v = axes.map(axis => b[axis] - vertex[axis]);
+  const lengths = Math.hypot(...u) * Math.hypot(...v);
+  if (lengths === 0) return null;
+
+  const cos = u.reduce((sum, value, i) => sum + value * v[i], 0) / lengths;
+  return round(Math.acos(Math.min(1, Math.max(-1, cos))) * 180 / Math.PI);
+};
+
+/**
+ * Joint angles of one pose - Pure function
+ */
+const computeJointAngles = (pose) => {
+  const parts = getVisibleParts(pose);
+
+  return Object.keys(JOINT_ANGLES).reduce((angles, joint) => {
+    const points = JOINT_ANGLES[joint].map(part => parts.get(part));
+    return { ...angles, [joint]: points.every(Boolean) ? jointAngle(...points) : null };
+  }, {});
+};
+
+/**
+ * Mass weighted center of the visible keypoints - Pure function
+ * Weights are renormalized over what is visible; null without weighted parts
+ */
+const computeCenterOfMass = (pose) => {
+  const weighted = [...getVisibleParts(pose)].filter(([part]) => SEGMENT_MASS[part]);
+  const total = weighted.reduce((sum, [part]) => sum + SEGMENT_MASS[part], 0);
+  if (total === 0) return null;
+
+  const axes = axesOf(...weighted.map(([, position]) => position));
+  return axes.reduce((center, axis) => ({
+    ...center,
+    [axis]: round(weighted.reduce((sum, [part, position]) => sum + SEGMENT_MASS[part] * position[axis], 0) / total)
+  }), {});
+};
+
+/**
+ * Time derivative of a series of points (null for missing) - Pure function
+ */
+const differentiate = (series, times) => series.map((point, i) => {
+  if (!point) return null;
+
+  const previous = series[i - 1] ? i - 1 : i;
+  const next = series[i + 1] ? i + 1 : i;
+  const dt = (times[next] - times[previous]) / 1000;
+  if (previous === next || !(dt > 0)) return null;
+
+  return axesOf(series[previous], series[next]).reduce((derivative, axis) => ({
+    ...derivative,
+    [axis]: (series[next][axis] - series[previous][axis]) / dt
+  }), {});
+});
+
+const roundVector = (vector, magnitudeName) => (vector ? {
+  ...Object.keys(vector).reduce((rounded, axis) => ({ ...rounded, [axis]: round(vector[axis]) }), {}),
+  [magnitudeName]: round(Math.hypot(...Object.values(vector)))
+} : null);
+
+/**
+ * Kinematic features of a normalized sequence - Pure function
+ *
+ * @param {Array} poses - Normalized poses with timestamps (ms)
+ * @returns {Object} { frames: [{ timestamp, angles, velocities, accelerations,
+ *   center_of_mass, motion_energy }], summary }
+ */
+const computeKinematics = (poses) => {
+  const times = poses.map((pose, index) => pose.timestamp ?? index * 33);
+  const parts = [...new Set(poses.flatMap(pose => pose.keypoints.map(kp => kp.part)))];
+  const visibleParts = poses.map(getVisibleParts);
+
+  const velocities = {};
+  const accelerations = {};
+  parts.forEach(part => {
+    const positions = visibleParts.map(visible => visible.get(part) || null);
+    velocities[part] = differentiate(positions, times);
+    accelerations[part] = differentiate(velocities[part], times);
+  });
+
+  const frames = poses.map((pose, index) => {
+    const frameVelocities = parts.reduce((result, part) => ({
+      ...result,
+      [part]: roundVector(velocities[part][index], 'speed')
+    }), {});
+
+    // Sum of squared keypoint speeds
+    const energy = Object.values(frameVelocities)
+      .filter(Boolean)
+      .reduce((sum, velocity) => sum + velocity.speed ** 2, 0);
+
+    return {
+      timestamp: times[index],
+      angles: computeJointAngles(pose),
+      velocities: frameVelocities,
+      accelerations: parts.reduce((result, part) => ({
+        ...result,
+        [part]: roundVector(accelerations[part][index], 'magnitude')
+      }), {}),
+      center_of_mass: computeCenterOfMass(pose),
+      motion_energy: round(energy)
+    };
+  });
+
+  return { frames, summary: summarizeKinematics(frames) };
+};
+
+/**
+ * Sequence level summary of per-frame features - Pure function
+ */
+const summarizeKinematics = (frames) => {
+  const angleRanges = Object.keys(JOINT_ANGLES).reduce((ranges, joint) => {
+    const values = frames.map(frame => frame.angles[joint]).filter(value => value !== null);
+    return {
+      ...ranges,
+      [joint]: values.length > 0
+        ? { min: Math.min(...values), max: Math.max(...values), mean: round(values.reduce((a, b) => a + b, 0) / values.length) }
+        : null
+    };
+  }, {});
+
+  const centers = frames.map(frame => frame.center_of_mass).filter(Boolean);
+  const distance = centers.slice(1).reduce((sum, center, i) =>
+    sum + Math.hypot(...axesOf(center, centers[i]).map(axis => center[axis] - centers[i][axis])), 0);
+
+  return {
+    angle_ranges: angleRanges,
+    center_of_mass_distance: round(distance),
+    mean_motion_energy: frames.length > 0
+      ? round(frames.reduce((sum, frame) => sum + frame.motion_energy, 0) / frames.length)
+      : 0
+  };
+};
+
+/**
+ * Kinematic features of a stored sequence record - Pure function
+ */
+const computeSequenceKinematics = (sequence) => computeKinematics(sequence.poses || []);
+
+module.exports = {
+  JOINT_ANGLES,
+  computeJointAngles,
+  computeCenterOfMass,
+  computeKinematics,
+  computeSequenceKinematics
+};
@@ -0,0 +1,292 @@
+/**
+ * NumPy export - Project sequences as .npy/.npz training tensors
+ * Pure JS writer for the NPY format (v1.0) and the zip container numpy.load
+ * reads as .npz. Arrays:
+ *   poses         (N, T, K, C) float32  keypoint coordinates
+ *   mask          (N, T, K)    float32  keypoint confidence, 0 for missing or padded
+ *   lengths       (N,)         int32    valid frames per sequence
+ *   labels        (N,)         int32    index into tags
+ *   tags          (L,)         unicode  tag of each label index
+ *   sequence_ids  (N,)         unicode  stored sequence id of each row
+ *   sessions      (N,)         unicode  session of each row
+ * A <name>.json sidecar keeps the tag-to-index map, shapes and settings.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { crc32 } = require('./encoding');
+const { iterateSequences } = require('./data-analytics');
+const { resampleSequence } = require('./resampling');
+const { getSkeleton, DEFAULT_SKELETON } = require('../skeletons');
+
+const DEFAULT_EXPORT_OPTIONS = {
+  name: 'dataset',
+  format: 'npz',          // 'npz' (one archive) or 'npy' (one file per array)
+  compress: false,        // deflate npz members (np.savez_compressed)
+  frames: null,           // T; defaults to the longest selected sequence
+  fit: 'pad',             // 'pad' (zero pad, truncate longer) or 'resample' (exactly T frames)
+  channels: null,         // 2 (x, y) or 3 (x, y, z); defaults to the data
+  filter: {}              // iterateSequences filter
+};
+
+const NPY_MAGIC = Buffer.from([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 0x01, 0x00]);
+
+const DTYPES = {
+  float32: { descr: '<f4', ArrayType: Float32Array },
+  int32: { descr: '<i4', ArrayType: Int32Array }
+};
+
+/**
+ * Encode a typed array or string list as NPY v1.0 - Pure function
+ * Strings become fixed width little endian unicode ('<U<n>'), no pickle needed
+ *
+ * @param {TypedArray|string[]} data - Float32Array, Int32Array or strings
+ * @param {number[]} shape - Array shape (C order)
+ * @returns {Buffer} .npy file content
+ */
+const encodeNpy = (data, shape = [data.length]) => {
+  const isText = Array.isArray(data);
+  const width = isText ? Math.max(1, ...data.map(text => [...text].length)) : 0;
+  const descr = isText
+    ? `<U${width}`
+    : Object.values(DTYPES).find(dtype => data instanceof dtype.ArrayType)?.descr;
+
+  if (!descr) {
+    throw new Error('NPY data must be a Float32Array, an Int32Array or a string array');
+  }
+
+  const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+  const dict = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+
+  // Magic + header length + header must be a multiple of 64 bytes, header ends with \n
+  const padding = 64 - ((NPY_MAGIC.length + 2 + dict.length + 1) % 64);
+  const header = Buffer.from(`${dict}${' '.repeat(padding % 64)}\n`, 'latin1');
+  const headerLength = Buffer.alloc(2);
+  headerLength.writeUInt16LE(header.length, 0);
+
+  return Buffer.concat([NPY_MAGIC, headerLength, header, isText ? encodeText(data, width) : toLittleEndian(data)]);
+};
+
+const encodeText = (texts, width) => {
+  const buffer = Buffer.alloc(texts.length * width * 4);
+  texts.forEach((text, row) => {
+    [...text].forEach((char, column) => {
+      buffer.writeUInt32LE(char.codePointAt(0), (row * width + column) * 4);
+    });
+  });
+  return buffer;
+};
+
+const toLittleEndian = (array) => {
+  const buffer = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+  return os.endianness() === 'LE' ? buffer : Buffer.from(buffer).swap32();
+};
+
+/**
+ * Build a zip archive (stored or deflated members, no zip64) - Pure function
+ *
+ * @param {Array<{ name: string, data: Buffer }>} entries - Archive members
+ * @param {Object} options - { compress: false }
+ * @returns {Buffer} Zip file content
+ */
+const createZip = (entries, options = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const content = options.compress ? zlib.deflateRawSync(data) : data;
+    const method = options.compress ? 8 : 0;
+    const checksum = crc32(data);
+
+    if (data.length > 0xffffffff || offset > 0xffffffff) {
+      throw new Error('Export is too large for a zip archive, use format: npy');
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                 // version needed
+    local.writeUInt16LE(0x0800, 6);             // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(0, 10);                 // time and date
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);               // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);          // local header offset
+
+    locals.push(local, fileName, content);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + content.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+/**
+ * First pass over the project: rows, tags, frame counts and layout
+ * Poses are not kept, so memory stays flat until the tensors are filled
+ */
+const scanProject = async (projectPath, filter) => {
+  const rows = [];
+  const tags = new Set();
+  const skeletons = new Set();
+  let dimensions = 2;
+
+  for await (const { session, sequence } of iterateSequences(projectPath, filter, { onError: () => {} })) {
+    if (!Array.isArray(sequence.poses) || sequence.poses.length === 0) continue;
+
+    rows.push({ id: sequence.id, session, tag: sequence.tag, frames: sequence.poses.length });
+    tags.add(sequence.tag);
+    skeletons.add(sequence.metadata?.skeleton || DEFAULT_SKELETON);
+    if (sequence.metadata?.dimensions === 3) dimensions = 3;
+  }
+
+  return { rows, tags: [...tags].sort(), skeletons: [...skeletons], dimensions };
+};
+
+/**
+ * Export every matching sequence of a project as NumPy arrays
+ * Reads sessions line by line (like collectAllTags); all sequences must share a skeleton
+ *
+ * @param {string} projectPath - Path to project data folder (contains sessions/)
+ * @param {string} outputDir - Folder for <name>.npz (or <name>_<array>.npy) and <name>.json
+ * @param {Object} options - { name, format, compress, frames, fit, channels, filter }
+ * @returns {Promise<Object>} Result with written files, shape and tag map
+ */
+const exportNumpy = async (projectPath, outputDir, options = {}) => {
+  const settings = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+
+  if (!['npz', 'npy'].includes(settings.format) || !['pad', 'resample'].includes(settings.fit) ||
+      ![null, 2, 3].includes(settings.channels) ||
+      !(settings.frames === null || (Number.isInteger(settings.frames) && settings.frames > 0))) {
+    return {
+      success: false,
+      error: 'Invalid export options: format npz|npy, fit pad|resample, channels 2|3, frames positive integer',
+      code: 'VALIDATION_ERROR'
+    };
+  }
+
+  try {
+    const scan = await scanProject(projectPath, settings.filter);
+    if (scan.rows.length === 0) {
+      return { success: false, error: 'No sequences to export', code: 'SEQUENCES_LOAD_ERROR' };
+    }
+    if (scan.skeletons.length > 1) {
+      return { success: false, error: `Sequences use different skeletons: ${scan.skeletons.join(', ')}`, code: 'SKELETON_MISMATCH' };
+    }
+
+    const skeleton = getSkeleton(scan.skeletons[0]);
+    const N = scan.rows.length;
+    const T = settings.frames || Math.max(...scan.rows.map(row => row.frames));
+    const K = skeleton.keypoints.length;
+    const C = settings.channels || scan.dimensions;
+    const axes = ['x', 'y', 'z'].slice(0, C);
+    const tagIndex = Object.fromEntries(scan.tags.map((tag, index) => [tag, index]));
+
+    const poses = new Float32Array(N * T * K * C);
+    const mask = new Float32Array(N * T * K);
+    const lengths = new Int32Array(N);
+    const labels = new Int32Array(N);
+
+    // Second pass fills the tensors row by row
+    let row = 0;
+    for await (const { sequence: stored } of iterateSequences(projectPath, settings.filter, { onError: () => {} })) {
+      if (row >= N || stored.id !== scan.rows[row].id) continue;
+
+      const sequence = settings.fit === 'resample' ? resampleSequence(stored, { frames: T }) : stored;
+      const frames = sequence.poses.slice(0, T);
+
+      frames.forEach((pose, t) => {
+        skeleton.keypoints.forEach((part, k) => {
+          const kp = pose.keypoints?.[k]?.part === part ? pose.keypoints[k] : pose.keypoints?.find(point => point.part === part);
+          if (!kp || !kp.confidence) return;
+
+          const base = ((row * T + t) * K + k);
+          mask[base] = kp.confidence;
+          axes.forEach((axis, c) => {
+            poses[base * C + c] = kp.position?.[axis] || 0;
+          });
+        });
+      });
+
+      lengths[row] = frames.length;
+      labels[row] = tagIndex[sequence.tag];
+      row++;
+    }
+
+    const arrays = {
+      poses: encodeNpy(poses, [N, T, K, C]),
+      mask: encodeNpy(mask, [N, T, K]),
+      lengths: encodeNpy(lengths),
+      labels: encodeNpy(labels),
+      tags: encodeNpy(scan.tags),
+      sequence_ids: encodeNpy(scan.rows.map(entry => entry.id)),
+      sessions: encodeNpy(scan.rows.map(entry => entry.session))
+    };
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const files = [];
+
+    if (settings.format === 'npz') {
+      const archive = createZip(Object.keys(arrays).map(key => ({ name: `${key}.npy`, data: arrays[key] })), settings);
+      files.push(path.join(outputDir, `${settings.name}.npz`));
+      await fs.writeFile(files[0], archive);
+    } else {
+      for (const key of Object.keys(arrays)) {
+        const file = path.join(outputDir, `${settings.name}_${key}.npy`);
+        await fs.writeFile(file, arrays[key]);
+        files.push(file);
+      }
+    }
+
+    const manifest = {
+      shape: [N, T, K, C],
+      skeleton: skeleton.name,
+      keypoints: skeleton.keypoints,
+      channels: axes,
+      fit: settings.fit,
+      tag_to_index: tagIndex,
+      sequence_ids: scan.rows.map(entry => entry.id),
+      created: new Date().toISOString()
+    };
+    const manifestFile = path.join(outputDir, `${settings.name}.json`);
+    await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2));
+    files.push(manifestFile);
+
+    return { success: true, files, shape: manifest.shape, tags: tagIndex, count: N };
+  } catch (error) {
+    return { success: false, error: error.message, code: 'EXPORT_ERROR' };
+  }
+};
+
+module.exports = {
+  DEFAULT_EXPORT_OPTIONS,
+  encodeNpy,
+  createZip,
+  exportNumpy
+};
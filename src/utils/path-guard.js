@@ -0,0 +1,77 @@
+/**
+ * Path guard - Resolves paths from untrusted identifiers inside the data root
+ * Used by the Electron main process so renderer input never picks file locations
+ */
+
+const path = require('path');
+
+const PATH_TRAVERSAL_ERROR = 'PATH_TRAVERSAL_ERROR';
+const SESSION_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Create error with result code - Pure function
+ */
+const createCodedError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Resolve path segments under root, rejecting anything that escapes it - Pure function
+ *
+ * @param {string} root - Data root folder
+ * @param {...string} segments - Path segments relative to root
+ * @returns {string} Absolute path inside root
+ */
+const resolveWithinRoot = (root, ...segments) => {
+  const rootPath = path.resolve(root);
+  const target = path.resolve(rootPath, ...segments);
+  const relative = path.relative(rootPath, target);
+
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw createCodedError(`Path escapes the data root: ${segments.join('/')}`, PATH_TRAVERSAL_ERROR);
+  }
+
+  return target;
+};
+
+/**
+ * Check an identifier sent by the renderer - Pure function
+ * Separators, parent references and absolute paths are traversal attempts
+ */
+const assertIdentifier = (value, label = 'Identifier') => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw createCodedError(`${label} must be a non-empty string`, 'VALIDATION_ERROR');
+  }
+
+  if (/[\\/\0]/.test(value) || value.includes('..') || path.isAbsolute(value)) {
+    throw createCodedError(`${label} must not contain path components: ${value}`, PATH_TRAVERSAL_ERROR);
+  }
+
+  return value;
+};
+
+/**
+ * Resolve session directory for a session name inside the data root - Pure function
+ */
+const resolveSessionDir = (session, dataPath) => {
+  assertIdentifier(session, 'Session');
+
+  if (!SESSION_NAME_PATTERN.test(session)) {
+    throw createCodedError(
+      'Session must contain only alphanumeric characters, underscores, and hyphens',
+      'VALIDATION_ERROR'
+    );
+  }
+
+  return resolveWithinRoot(dataPath, 'sessions', session);
+};
+
+module.exports = {
+  PATH_TRAVERSAL_ERROR,
+  createCodedError,
+  resolveWithinRoot,
+  assertIdentifier,
+  resolveSessionDir
+};
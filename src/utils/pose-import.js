@@ -0,0 +1,331 @@
+/**
+ * Offline pose import - OpenPose and MediaPipe per-frame output as sessions
+ * Frames are mapped to the raw { part, position, score } input of
+ * saveSequence, timestamped from frame index and sourceFps, cut into tagged
+ * sequences by a label file and saved through the regular pipeline.
+ *
+ * OpenPose: a folder of <clip>_<frame>_keypoints.json files
+ *   ({ people: [{ pose_keypoints_2d: [x, y, c, ...] }] }, BODY_25 or COCO 18)
+ * MediaPipe: a folder of per-frame JSON files or one JSON array of frames;
+ *   a frame is a landmark list or { landmarks | pose_landmarks, world_landmarks }
+ * Labels: JSON array or CSV (header start,end,tag[,sequence]), frames inclusive
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { saveSequence } = require('../tagger');
+const { getSkeleton } = require('../skeletons');
+const { getProjectConfig, getSessionDir } = require('../config');
+
+const DEFAULT_IMPORT_OPTIONS = {
+  sourceFps: 30,
+  labels: null,           // label file path or [{ start, end, tag, sequence }]
+  tag: null,              // tag of the whole clip when no labels are given
+  minConfidence: 0        // OpenPose keypoints at or below are treated as missing
+};
+
+// OpenPose COCO 18 output order (BODY_25 uses the openpose_body25 schema)
+const OPENPOSE_COCO18_KEYPOINTS = [
+  'nose', 'neck', 'rightShoulder', 'rightElbow', 'rightWrist',
+  'leftShoulder', 'leftElbow', 'leftWrist', 'rightHip', 'rightKnee', 'rightAnkle',
+  'leftHip', 'leftKnee', 'leftAnkle', 'rightEye', 'leftEye', 'rightEar', 'leftEar'
+];
+
+/**
+ * Frame index from a file name like clip_000000000042_keypoints.json - Pure function
+ */
+const getFrameIndex = (fileName) => {
+  const match = path.basename(fileName).match(/(\d+)(?:_keypoints)?\.json$/i);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Timestamp (ms) of a frame index, same rounding as the normalizer - Pure function
+ */
+const getFrameTime = (frameIndex, sourceFps) => Math.round(frameIndex * 100000 / sourceFps) / 100;
+
+/**
+ * JSON files of a folder in frame order (numbered names, else name order)
+ */
+const listFrameFiles = async (dir) => {
+  const files = (await fs.readdir(dir)).filter(file => file.toLowerCase().endsWith('.json')).sort();
+  return files
+    .map((file, order) => ({ file: path.join(dir, file), frame: getFrameIndex(file) ?? order }))
+    .sort((a, b) => a.frame - b.frame);
+};
+
+/**
+ * Raw pose of one OpenPose person - Pure function
+ * Points with zero confidence (not detected) are left out
+ */
+const openPosePersonToPose = (person, options = {}) => {
+  const values = person?.pose_keypoints_2d || [];
+  const names = values.length === OPENPOSE_COCO18_KEYPOINTS.length * 3
+    ? OPENPOSE_COCO18_KEYPOINTS
+    : getSkeleton('openpose_body25').keypoints;
+
+  const keypoints = [];
+  names.forEach((part, k) => {
+    const [x, y, c] = values.slice(k * 3, k * 3 + 3);
+    if (!(c > (options.minConfidence || 0))) return;
+    keypoints.push({ part, position: { x, y }, score: c });
+  });
+
+  const score = keypoints.length > 0
+    ? keypoints.reduce((sum, kp) => sum + kp.score, 0) / names.length
+    : 0;
+
+  return { keypoints, score: Math.round(score * 1000) / 1000 };
+};
+
+/**
+ * Read an OpenPose output folder - one pose per frame
+ * With several people the one with the highest pose score is kept
+ *
+ * @returns {Promise<{ frames: Array<{ frame, pose }>, keypointCount: number }>}
+ */
+const readOpenPoseFrames = async (dir, options = {}) => {
+  const frames = [];
+  let keypointCount = 0;
+
+  for (const { file, frame } of await listFrameFiles(dir)) {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    const people = (data.people || []).filter(person => Array.isArray(person.pose_keypoints_2d));
+    if (people.length === 0) continue;
+
+    keypointCount = Math.max(keypointCount, ...people.map(person => person.pose_keypoints_2d.length / 3));
+    const pose = people
+      .map(person => openPosePersonToPose(person, options))
+      .reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
+
+    if (pose.keypoints.length > 0) frames.push({ frame, pose });
+  }
+
+  return { frames, keypointCount };
+};
+
+const getLandmarkList = (value) => {
+  const list = Array.isArray(value) ? value : value?.landmark;
+  // Tasks API results hold one landmark list per detected person, keep the first
+  return Array.isArray(list?.[0]) ? list[0] : list;
+};
+
+/**
+ * Raw pose of one MediaPipe frame - Pure function
+ * Landmarks are BlazePose ordered (or carry a name); visibility becomes the score.
+ * options.width/height scale normalized image coordinates to pixels (z with width).
+ */
+const mediaPipeFrameToPose = (frame, options = {}) => {
+  const landmarks = getLandmarkList(Array.isArray(frame)
+    ? frame
+    : frame?.landmarks ?? frame?.pose_landmarks ?? frame?.poseLandmarks);
+  const world = getLandmarkList(frame?.world_landmarks ?? frame?.worldLandmarks ?? frame?.pose_world_landmarks);
+  if (!Array.isArray(landmarks) || landmarks.length === 0) return null;
+
+  const names = getSkeleton('blazepose33').keypoints;
+  const width = options.width || 1;
+  const height = options.height || 1;
+
+  const keypoints = landmarks.map((landmark, k) => ({
+    part: landmark.name ?? names[k],
+    position: {
+      x: landmark.x * width,
+      y: landmark.y * height,
+      ...(typeof landmark.z === 'number' ? { z: landmark.z * width } : {})
+    },
+    score: landmark.visibility ?? landmark.presence ?? 1,
+    ...(world?.[k] ? { worldPosition: { x: world[k].x, y: world[k].y, z: world[k].z } } : {})
+  })).filter(kp => kp.part);
+
+  const score = keypoints.reduce((sum, kp) => sum + kp.score, 0) / keypoints.length;
+  return { keypoints, score: Math.round(score * 1000) / 1000 };
+};
+
+/**
+ * Read MediaPipe output - a folder of per-frame files or one JSON array
+ * Array items may set frame / frame_index, otherwise their position is the index
+ *
+ * @returns {Promise<{ frames: Array<{ frame, pose }> }>}
+ */
+const readMediaPipeFrames = async (source, options = {}) => {
+  const items = [];
+
+  if ((await fs.stat(source)).isDirectory()) {
+    for (const { file, frame } of await listFrameFiles(source)) {
+      items.push({ frame, data: JSON.parse(await fs.readFile(file, 'utf8')) });
+    }
+  } else {
+    const data = JSON.parse(await fs.readFile(source, 'utf8'));
+    const list = Array.isArray(data) ? data : data.frames;
+    if (!Array.isArray(list)) {
+      throw new Error('MediaPipe file must hold an array of frames');
+    }
+    list.forEach((item, index) => items.push({ frame: item?.frame ?? item?.frame_index ?? index, data: item }));
+  }
+
+  const frames = items
+    .map(({ frame, data }) => ({ frame, pose: mediaPipeFrameToPose(data, options) }))
+    .filter(({ pose }) => pose)
+    .sort((a, b) => a.frame - b.frame);
+
+  return { frames };
+};
+
+/**
+ * Validate and order label segments - Pure function
+ */
+const parseLabels = (labels) => {
+  const list = Array.isArray(labels) ? labels : labels?.labels;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Labels must be a non-empty list of { start, end, tag }');
+  }
+
+  return list.map((label, index) => {
+    const start = Number(label.start);
+    const end = Number(label.end);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || !label.tag) {
+      throw new Error(`Invalid label ${index + 1}: start and end must be frame indices (start <= end) and tag is required`);
+    }
+    return { start, end, tag: String(label.tag), ...(label.sequence ? { sequence: String(label.sequence) } : {}) };
+  }).sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Load a label file (.json or .csv with a start,end,tag[,sequence] header)
+ */
+const loadLabels = async (file) => {
+  const content = await fs.readFile(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    return parseLabels(JSON.parse(content));
+  }
+
+  const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+  const columns = (header || '').split(',').map(column => column.trim().toLowerCase());
+  return parseLabels(lines.map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  }));
+};
+
+/**
+ * Cut frames into tagged raw sequences - Pure function
+ * Without labels the whole clip becomes one sequence tagged options.tag.
+ * Timestamps come from the frame index, so skipped frames keep their gap.
+ *
+ * @param {Array<{ frame, pose }>} frames - Frame ordered poses
+ * @param {Array|null} labels - Parsed label segments
+ * @param {Object} options - { clip, tag, sourceFps }
+ * @returns {Array<{ sequence, tag, poses }>}
+ */
+const segmentFrames = (frames, labels, options = {}) => {
+  const { clip = 'clip', tag, sourceFps = DEFAULT_IMPORT_OPTIONS.sourceFps } = options;
+  const segments = labels || [{ start: 0, end: Infinity, tag, sequence: clip }];
+
+  return segments.map(segment => ({
+    sequence: segment.sequence || `${clip}_${segment.start}_${segment.end}`,
+    tag: segment.tag,
+    poses: frames
+      .filter(({ frame }) => frame >= segment.start && frame <= segment.end)
+      .map(({ frame, pose }) => ({ ...pose, timestamp: getFrameTime(frame, sourceFps) }))
+  }));
+};
+
+/**
+ * Segment read frames and save every sequence into a new session
+ */
+const importFrames = async (readFrames, source, session, defaults, options = {}) => {
+  const settings = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+  const { labels, tag, minConfidence, width, height, ...saveOptions } = settings;
+
+  if (!labels && !tag) {
+    return { success: false, error: 'Either labels or tag is required', code: 'VALIDATION_ERROR' };
+  }
+  if (!(typeof settings.sourceFps === 'number' && settings.sourceFps > 0)) {
+    return { success: false, error: 'sourceFps must be a positive number', code: 'VALIDATION_ERROR' };
+  }
+  if (typeof session !== 'string' || session.trim() === '') {
+    return { success: false, error: 'Session must be a non-empty string', code: 'VALIDATION_ERROR' };
+  }
+
+  const sessionDir = getSessionDir(session, { dataPath: saveOptions.dataPath ?? getProjectConfig().dataPath });
+  if (await fs.access(sessionDir).then(() => true, () => false)) {
+    return { success: false, error: `Session already exists: ${session}`, code: 'VALIDATION_ERROR' };
+  }
+
+  let read;
+  let segments;
+  try {
+    read = await readFrames(source, settings);
+    segments = labels
+      ? (typeof labels === 'string' ? await loadLabels(labels) : parseLabels(labels))
+      : null;
+  } catch (error) {
+    return { success: false, error: error.message, code: 'VALIDATION_ERROR' };
+  }
+
+  const clip = path.basename(source, path.extname(source));
+  const imported = [];
+  const failed = [];
+
+  for (const sequence of segmentFrames(read.frames, segments, { clip, tag, sourceFps: settings.sourceFps })) {
+    if (sequence.poses.length === 0) {
+      failed.push({ sequence: sequence.sequence, error: 'No frames with poses in segment', code: 'VALIDATION_ERROR' });
+      continue;
+    }
+
+    const result = await saveSequence(session, sequence.sequence, sequence.poses, sequence.tag, null, {
+      ...saveOptions,
+      skeleton: saveOptions.skeleton ?? defaults.skeleton(read),
+      source: saveOptions.source ?? defaults.source
+    });
+
+    if (result.success) {
+      imported.push(result.data);
+    } else {
+      failed.push({ sequence: sequence.sequence, error: result.error, code: result.code });
+    }
+  }
+
+  return { success: failed.length === 0, session, frames: read.frames.length, imported, failed };
+};
+
+/**
+ * Import an OpenPose output folder as a session
+ * skeleton defaults to openpose_body25, or posenet for COCO 18 output
+ *
+ * @param {string} dir - Folder of *_keypoints.json files
+ * @param {string} session - Session to create, must not exist yet
+ * @param {Object} options - { labels, tag, sourceFps, minConfidence } plus saveSequence options
+ * @returns {Promise<Object>} Result with imported sequences and failed segments
+ */
+const importOpenPose = (dir, session, options = {}) => importFrames(readOpenPoseFrames, dir, session, {
+  skeleton: ({ keypointCount }) => (keypointCount === OPENPOSE_COCO18_KEYPOINTS.length ? 'posenet' : 'openpose_body25'),
+  source: 'openpose'
+}, options);
+
+/**
+ * Import MediaPipe pose output as a session (blazepose33 skeleton by default)
+ *
+ * @param {string} source - Folder of per-frame JSON files or a JSON file with a frame array
+ * @param {string} session - Session to create, must not exist yet
+ * @param {Object} options - { labels, tag, sourceFps, width, height } plus saveSequence options
+ * @returns {Promise<Object>} Result with imported sequences and failed segments
+ */
+const importMediaPipe = (source, session, options = {}) => importFrames(readMediaPipeFrames, source, session, {
+  skeleton: () => 'blazepose33',
+  source: 'mediapipe'
+}, options);
+
+module.exports = {
+  DEFAULT_IMPORT_OPTIONS,
+  OPENPOSE_COCO18_KEYPOINTS,
+  openPosePersonToPose,
+  readOpenPoseFrames,
+  mediaPipeFrameToPose,
+  readMediaPipeFrames,
+  parseLabels,
+  loadLabels,
+  segmentFrames,
+  importOpenPose,
+  importMediaPipe
+};
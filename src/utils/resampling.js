@@ -0,0 +1,202 @@
+/**
+ * Resampling - Interpolates normalized sequences to a fixed frame rate or length
+ * Uses pose timestamps, so irregular capture timing is evened out. Keypoints
+ * visible on both sides are interpolated linearly; otherwise the nearest
+ * frame's keypoint is used so placeholders never blend into real positions.
+ */
+
+const { computeKinematics } = require('./kinematics');
+
+/**
+ * Check resample option ({ fps } or { frames }) - Pure function
+ */
+const validateResample = (resample) => {
+  if (resample === undefined || resample === null || resample === false) {
+    return { isValid: true, error: null };
+  }
+
+  if (typeof resample !== 'object') {
+    return { isValid: false, error: 'resample must be { fps } or { frames }' };
+  }
+
+  const hasFps = resample.fps !== undefined;
+  const hasFrames = resample.frames !== undefined;
+
+  if (hasFps === hasFrames) {
+    return { isValid: false, error: 'resample needs exactly one of fps or frames' };
+  }
+
+  if (hasFps && !(typeof resample.fps === 'number' && resample.fps > 0 && isFinite(resample.fps))) {
+    return { isValid: false, error: 'resample fps must be a positive number' };
+  }
+
+  if (hasFrames && !(Number.isInteger(resample.frames) && resample.frames > 0)) {
+    return { isValid: false, error: 'resample frames must be a positive integer' };
+  }
+
+  return { isValid: true, error: null };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Interpolate numeric fields of two flat objects - Pure function
+ */
+const lerpObject = (a, b, t) => Object.keys(a).reduce((result, key) => ({
+  ...result,
+  [key]: typeof a[key] === 'number' && typeof b?.[key] === 'number' ? round(lerp(a[key], b[key], t)) : a[key]
+}), {});
+
+/**
+ * Interpolate one keypoint between two frames - Pure function
+ */
+const interpolateKeypoint = (a, b, t) => {
+  if (!a || !b || a.part !== b.part || !a.visible || !b.visible) {
+    return t < 0.5 ? (a || b) : (b || a);
+  }
+
+  const keypoint = {
+    ...a,
+    position: lerpObject(a.position, b.position, t),
+    confidence: round(lerp(a.confidence, b.confidence, t))
+  };
+
+  if (a.worldPosition && b.worldPosition) {
+    keypoint.worldPosition = lerpObject(a.worldPosition, b.worldPosition, t);
+  }
+
+  if (a.interpolated || b.interpolated) {
+    keypoint.interpolated = true;
+  }
+
+  return keypoint;
+};
+
+/**
+ * Interpolate a whole pose at time t between two frames - Pure function
+ */
+const interpolatePose = (a, b, t, timestamp) => {
+  const pose = {
+    ...(t < 0.5 ? a : b),
+    timestamp,
+    keypoints: a.keypoints.map((kp, k) => interpolateKeypoint(kp, b.keypoints[k], t)),
+    confidence: round(lerp(a.confidence || 0, b.confidence || 0, t))
+  };
+
+  if (a.bbox && b.bbox) {
+    pose.bbox = lerpObject(a.bbox, b.bbox, t);
+  }
+
+  // Body normalization transforms (origin, scale, rotation)
+  if (a.transform && b.transform) {
+    pose.transform = {
+      ...lerpObject(a.transform, b.transform, t),
+      origin: lerpObject(a.transform.origin, b.transform.origin, t)
+    };
+  }
+
+  return pose;
+};
+
+/**
+ * Target timestamps for a resample option - Pure function
+ */
+const getTargetTimestamps = (start, end, resample) => {
+  if (resample.frames !== undefined) {
+    if (resample.frames === 1) return [start];
+    const step = (end - start) / (resample.frames - 1);
+    return Array.from({ length: resample.frames }, (_, i) => round(start + i * step));
+  }
+
+  const step = 1000 / resample.fps;
+  const count = Math.floor((end - start) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => round(start + i * step));
+};
+
+/**
+ * Resample normalized poses to { fps } or exactly { frames } - Pure function
+ *
+ * @param {Array} poses - Normalized poses with timestamps (ms)
+ * @param {Object} resample - { fps: number } or { frames: number }
+ * @returns {Array} Resampled poses
+ */
+const resamplePoses = (poses, resample) => {
+  const validation = validateResample(resample);
+  if (!validation.isValid) {
+    throw new Error(`Invalid resample: ${validation.error}`);
+  }
+
+  if (poses.length === 0) return [];
+
+  const ordered = [...poses].sort((a, b) => a.timestamp - b.timestamp);
+  const start = ordered[0].timestamp;
+  const end = ordered[ordered.length - 1].timestamp;
+
+  let segment = 0;
+  return getTargetTimestamps(start, end, resample).map(timestamp => {
+    while (segment < ordered.length - 2 && ordered[segment + 1].timestamp < timestamp) {
+      segment++;
+    }
+
+    const a = ordered[segment];
+    const b = ordered[Math.min(segment + 1, ordered.length - 1)];
+    const span = b.timestamp - a.timestamp;
+    const t = span > 0 ? Math.min(1, Math.max(0, (timestamp - a.timestamp) / span)) : 0;
+
+    return interpolatePose(a, b, t, timestamp);
+  });
+};
+
+/**
+ * Original timing kept in metadata.resampling - Pure function
+ * @param {number[]} timestamps - Timestamps of the frames before resampling
+ */
+const describeResampling = (timestamps, resample) => {
+  const duration = timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+
+  return {
+    ...(resample.fps !== undefined ? { target_fps: resample.fps } : { target_frames: resample.frames }),
+    original: {
+      frame_count: timestamps.length,
+      frame_rate: duration > 0 ? Math.round((timestamps.length / (duration / 1000)) * 10) / 10 : 0,
+      start_timestamp: timestamps[0] || 0,
+      end_timestamp: timestamps[timestamps.length - 1] || 0,
+      timestamps
+    }
+  };
+};
+
+/**
+ * Resample a stored sequence record (export time) - Pure function
+ * A sequence that was already resampled keeps its first original timing,
+ * stored kinematic features are recomputed for the new frames
+ */
+const resampleSequence = (sequence, resample) => {
+  const poses = resamplePoses(sequence.poses, resample);
+  const previous = sequence.metadata?.resampling;
+  const resampling = describeResampling(sequence.poses.map(pose => pose.timestamp), resample);
+  const duration = poses.length > 1 ? poses[poses.length - 1].timestamp - poses[0].timestamp : 0;
+
+  return {
+    ...sequence,
+    poses,
+    ...(sequence.features ? { features: computeKinematics(poses) } : {}),
+    metadata: {
+      ...sequence.metadata,
+      pose_count: poses.length,
+      frame_rate: duration > 0 ? Math.round((poses.length / (duration / 1000)) * 10) / 10 : 0,
+      ...(sequence.metadata?.sequence_info
+        ? { sequence_info: { ...sequence.metadata.sequence_info, frame_count: poses.length } }
+        : {}),
+      resampling: previous ? { ...resampling, original: previous.original } : resampling
+    }
+  };
+};
+
+module.exports = {
+  validateResample,
+  resamplePoses,
+  describeResampling,
+  resampleSequence
+};
@@ -0,0 +1,256 @@
+/**
+ * Temporal smoothing - Per keypoint filters over a normalized sequence
+ * One Euro, exponential moving average and Savitzky–Golay, each weighted by
+ * keypoint confidence so unreliable detections pull the trajectory less.
+ * Missing keypoints (confidence 0) are skipped and stay placeholders.
+ */
+
+const SMOOTHING_DEFAULTS = {
+  oneEuro: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0 },
+  ema: { alpha: 0.5 },
+  savitzkyGolay: { window: 5, polyOrder: 2 }
+};
+
+// Metadata uses snake_case like the rest of metadata.normalization
+const METADATA_NAMES = {
+  minCutoff: 'min_cutoff',
+  beta: 'beta',
+  dCutoff: 'd_cutoff',
+  alpha: 'alpha',
+  window: 'window',
+  polyOrder: 'poly_order'
+};
+
+/**
+ * Check smoothing option ('ema' or { filter, ...params }) - Pure function
+ */
+const validateSmoothing = (smoothing) => {
+  const invalid = error => ({ isValid: false, error });
+
+  if (smoothing === undefined || smoothing === null || smoothing === false) {
+    return { isValid: true, error: null };
+  }
+
+  const filter = typeof smoothing === 'string' ? smoothing : smoothing?.filter;
+  if (!SMOOTHING_DEFAULTS[filter]) {
+    return invalid(`smoothing filter must be one of: ${Object.keys(SMOOTHING_DEFAULTS).join(', ')}`);
+  }
+
+  const params = { ...SMOOTHING_DEFAULTS[filter], ...(typeof smoothing === 'object' ? smoothing : {}) };
+
+  if (filter === 'oneEuro' && !(params.minCutoff > 0 && params.beta >= 0 && params.dCutoff > 0)) {
+    return invalid('oneEuro needs minCutoff > 0, beta >= 0 and dCutoff > 0');
+  }
+
+  if (filter === 'ema' && !(params.alpha > 0 && params.alpha <= 1)) {
+    return invalid('ema alpha must be in (0, 1]');
+  }
+
+  if (filter === 'savitzkyGolay' &&
+      !(Number.isInteger(params.window) && params.window % 2 === 1 && Number.isInteger(params.polyOrder) &&
+        params.polyOrder >= 0 && params.polyOrder < params.window)) {
+    return invalid('savitzkyGolay needs an odd integer window larger than polyOrder');
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Resolve smoothing option to { filter, ...params } - Pure function
+ * Throws on invalid settings
+ */
+const resolveSmoothing = (smoothing) => {
+  const validation = validateSmoothing(smoothing);
+  if (!validation.isValid) {
+    throw new Error(`Invalid smoothing: ${validation.error}`);
+  }
+
+  const filter = typeof smoothing === 'string' ? smoothing : smoothing.filter;
+  const params = { ...SMOOTHING_DEFAULTS[filter] };
+  Object.keys(params).forEach(key => {
+    if (typeof smoothing === 'object' && smoothing[key] !== undefined) {
+      params[key] = smoothing[key];
+    }
+  });
+
+  return { filter, ...params };
+};
+
+/**
+ * Smoothing settings for metadata.normalization.smoothing - Pure function
+ */
+const describeSmoothing = (smoothing) => {
+  const { filter, ...params } = resolveSmoothing(smoothing);
+
+  return Object.keys(params).reduce((description, key) => ({
+    ...description,
+    [METADATA_NAMES[key]]: params[key]
+  }), { filter });
+};
+
+/**
+ * Exponential moving average, step size scaled by confidence - Pure function
+ */
+const emaFilter = (samples, { alpha }) => {
+  let state = null;
+
+  return samples.map(sample => {
+    if (!sample) return null;
+
+    state = state === null
+      ? sample.value
+      : state + alpha * sample.weight * (sample.value - state);
+    return state;
+  });
+};
+
+/**
+ * One Euro filter (Casiez et al. 2012), cutoff adapts to speed - Pure function
+ * dt comes from timestamps (ms); the smoothing factor is scaled by confidence
+ */
+const oneEuroFilter = (samples, { minCutoff, beta, dCutoff }) => {
+  const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  };
+
+  let previous = null;
+
+  return samples.map(sample => {
+    if (!sample) return null;
+
+    if (previous === null) {
+      previous = { value: sample.value, derivative: 0, time: sample.time };
+      return sample.value;
+    }
+
+    const dt = Math.max((sample.time - previous.time) / 1000, 1e-3);
+    const rawDerivative = (sample.value - previous.value) / dt;
+    const derivativeAlpha = smoothingFactor(dCutoff, dt);
+    const derivative = previous.derivative + derivativeAlpha * (rawDerivative - previous.derivative);
+
+    const cutoff = minCutoff + beta * Math.abs(derivative);
+    const alpha = smoothingFactor(cutoff, dt) * sample.weight;
+    const value = previous.value + alpha * (sample.value - previous.value);
+
+    previous = { value, derivative, time: sample.time };
+    return value;
+  });
+};
+
+/**
+ * Solve small linear system (Gaussian elimination with pivoting) - Pure function
+ * Returns null for singular systems
+ */
+const solveLinearSystem = (matrix, vector) => {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  return a.map((row, i) => row[n] / row[i]);
+};
+
+/**
+ * Savitzky–Golay smoothing as confidence weighted local polynomial fit - Pure function
+ * With equal weights this is the classic filter; windows are cut at the
+ * sequence ends and points without enough support are left unchanged
+ */
+const savitzkyGolayFilter = (samples, { window, polyOrder }) => {
+  const half = Math.floor(window / 2);
+  const terms = polyOrder + 1;
+
+  return samples.map((sample, center) => {
+    if (!sample) return null;
+
+    const neighbours = [];
+    for (let offset = -half; offset <= half; offset++) {
+      const neighbour = samples[center + offset];
+      if (neighbour && neighbour.weight > 0) {
+        neighbours.push({ offset, ...neighbour });
+      }
+    }
+
+    if (neighbours.length < terms) return sample.value;
+
+    // Normal equations of the weighted least squares fit, value at offset 0
+    const matrix = Array.from({ length: terms }, (_, i) => Array.from({ length: terms }, (_, j) =>
+      neighbours.reduce((sum, n) => sum + n.weight * n.offset ** (i + j), 0)
+    ));
+    const vector = Array.from({ length: terms }, (_, i) =>
+      neighbours.reduce((sum, n) => sum + n.weight * n.offset ** i * n.value, 0)
+    );
+
+    const coefficients = solveLinearSystem(matrix, vector);
+    return coefficients ? coefficients[0] : sample.value;
+  });
+};
+
+const FILTERS = {
+  oneEuro: oneEuroFilter,
+  ema: emaFilter,
+  savitzkyGolay: savitzkyGolayFilter
+};
+
+/**
+ * Smooth keypoint trajectories of a normalized sequence - Pure function
+ * position x/y (and z) and worldPosition are filtered per keypoint over time
+ *
+ * @param {Array} poses - Normalized poses (same keypoint order in every frame)
+ * @param {string|Object} smoothing - 'oneEuro' | 'ema' | 'savitzkyGolay' or { filter, ...params }
+ * @returns {Array} Poses with smoothed positions
+ */
+const smoothPoses = (poses, smoothing) => {
+  const { filter, ...params } = resolveSmoothing(smoothing);
+  const keypointCount = Math.max(0, ...poses.map(pose => pose.keypoints.length));
+
+  const smoothed = poses.map(pose => ({ ...pose, keypoints: pose.keypoints.map(kp => ({ ...kp })) }));
+
+  for (let k = 0; k < keypointCount; k++) {
+    ['position', 'worldPosition'].forEach(field => {
+      ['x', 'y', 'z'].forEach(axis => {
+        const samples = poses.map(pose => {
+          const kp = pose.keypoints[k];
+          const value = kp?.[field]?.[axis];
+          return kp && kp.confidence > 0 && typeof value === 'number'
+            ? { value, weight: kp.confidence, time: pose.timestamp }
+            : null;
+        });
+
+        if (samples.every(sample => sample === null)) return;
+
+        FILTERS[filter](samples, params).forEach((value, index) => {
+          if (value === null) return;
+
+          const kp = smoothed[index].keypoints[k];
+          kp[field] = { ...kp[field], [axis]: Math.round(value * 1000) / 1000 };
+        });
+      });
+    });
+  }
+
+  return smoothed;
+};
+
+module.exports = {
+  SMOOTHING_DEFAULTS,
+  validateSmoothing,
+  resolveSmoothing,
+  describeSmoothing,
+  smoothPoses
+};
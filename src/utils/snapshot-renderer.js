@@ -0,0 +1,345 @@
+/**
+ * Snapshot renderer - Draws pose skeletons to PNG files
+ * Dependency-free: rasterizes in plain JS and encodes PNG with Node's zlib
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { crc32, sanitizeString } = require('./encoding');
+const { POSENET_CONNECTIONS, getSkeleton, hasSkeleton } = require('../skeletons');
+
+const DEFAULT_RENDER_OPTIONS = {
+  width: 256,
+  height: 256,
+  padding: 16,
+  step: 1,               // Render every Nth pose of a sequence
+  pointRadius: 3,
+  lineWidth: 2,
+  confidenceThreshold: 0.3,
+  background: [255, 255, 255],
+  lineColor: [0, 128, 255],
+  pointColor: [255, 64, 64]
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Render every pose found in JSON/JSONL files under sourcePath to PNG files
+ *
+ * @param {string} sourcePath - Folder containing sequence JSONL/JSON files
+ * @param {string} destPath - Folder where PNG files are written
+ * @param {Object} options - Render options (size, colors, step)
+ * @returns {Promise<Object>} Result with successfulRenders/failedRenders and per file details
+ */
+const renderSnapshotPictures = async (sourcePath, destPath, options = {}) => {
+  const finalOptions = { ...DEFAULT_RENDER_OPTIONS, ...options };
+
+  let sourceFiles;
+  try {
+    sourceFiles = await findSourceFiles(sourcePath);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: 'SNAPSHOT_SOURCE_ERROR'
+    };
+  }
+
+  const files = [];
+  for (const sourceFile of sourceFiles) {
+    const relativeDir = path.relative(sourcePath, path.dirname(sourceFile));
+    const outputDir = path.join(destPath, relativeDir);
+    files.push(await renderSourceFile(sourceFile, outputDir, finalOptions));
+  }
+
+  return {
+    success: files.every(file => file.success),
+    totalFiles: files.length,
+    successfulRenders: files.reduce((sum, file) => sum + file.successfulRenders, 0),
+    failedRenders: files.reduce((sum, file) => sum + file.failedRenders, 0),
+    files
+  };
+};
+
+/**
+ * Render all sequences of a single source file - Pure with side effects
+ */
+const renderSourceFile = async (sourceFile, outputDir, options) => {
+  const fileResult = {
+    file: sourceFile,
+    success: true,
+    sequences: 0,
+    successfulRenders: 0,
+    failedRenders: 0,
+    outputs: [],
+    errors: []
+  };
+
+  let sequences;
+  try {
+    const content = await fs.readFile(sourceFile, 'utf8');
+    sequences = parseSequences(content, sourceFile);
+    await fs.mkdir(outputDir, { recursive: true });
+  } catch (error) {
+    return { ...fileResult, success: false, error: error.message };
+  }
+
+  fileResult.sequences = sequences.length;
+
+  for (const sequence of sequences) {
+    const bounds = calculateSequenceBounds(sequence.poses, options.confidenceThreshold);
+
+    for (let i = 0; i < sequence.poses.length; i += Math.max(1, options.step)) {
+      const outputPath = path.join(outputDir, `${sequence.name}_${String(i).padStart(4, '0')}.png`);
+
+      try {
+        const raster = renderPose(sequence.poses[i], { ...options, skeleton: sequence.skeleton || options.skeleton, bounds });
+        await fs.writeFile(outputPath, encodePNG(raster));
+        fileResult.successfulRenders++;
+        fileResult.outputs.push(outputPath);
+      } catch (error) {
+        fileResult.failedRenders++;
+        fileResult.errors.push(`${sequence.name}[${i}]: ${error.message}`);
+      }
+    }
+  }
+
+  fileResult.success = fileResult.failedRenders === 0;
+  return fileResult;
+};
+
+/**
+ * Recursively find .json and .jsonl files - Pure with side effects
+ */
+const findSourceFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...await findSourceFiles(entryPath));
+    } else if (/\.jsonl?$/i.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+};
+
+/**
+ * Extract renderable sequences from file content - Pure function
+ * Accepts JSONL (one sequence per line), a single sequence, an array of
+ * sequences or a bare array of poses
+ */
+const parseSequences = (content, sourceFile) => {
+  const baseName = sanitizeString(path.basename(sourceFile).replace(/\.jsonl?$/i, ''));
+
+  const records = /\.jsonl$/i.test(sourceFile)
+    ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : [].concat(JSON.parse(content));
+
+  // A bare array of poses is a single sequence
+  if (records.length > 0 && records.every(record => Array.isArray(record?.keypoints))) {
+    return [{ name: baseName, poses: records }];
+  }
+
+  return records
+    .flatMap(record => (Array.isArray(record?.sequences) ? record.sequences : [record]))
+    .filter(record => Array.isArray(record?.poses) && record.poses.length > 0)
+    .map((record, index) => ({
+      name: sanitizeString(record.id || record.sequence || `${baseName}_${index}`),
+      skeleton: record.metadata?.skeleton,
+      poses: record.poses
+    }));
+};
+
+/**
+ * Check whether a keypoint should be drawn - Pure function
+ */
+const isKeypointVisible = (keypoint, confidenceThreshold) => {
+  if (!keypoint || !keypoint.position) return false;
+  if (typeof keypoint.visible === 'boolean') return keypoint.visible;
+
+  return (keypoint.confidence ?? keypoint.score ?? 0) >= confidenceThreshold;
+};
+
+/**
+ * Calculate drawing bounds over a whole sequence so the skeleton doesn't jump - Pure function
+ */
+const calculateSequenceBounds = (poses, confidenceThreshold) => {
+  const points = poses
+    .flatMap(pose => pose?.keypoints || [])
+    .filter(kp => isKeypointVisible(kp, confidenceThreshold));
+
+  if (points.length === 0) {
+    return { minX: 0, minY: 0, width: 1, height: 1 };
+  }
+
+  const xs = points.map(kp => kp.position.x);
+  const ys = points.map(kp => kp.position.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    minX,
+    minY,
+    width: Math.max(Math.max(...xs) - minX, 1e-6),
+    height: Math.max(Math.max(...ys) - minY, 1e-6)
+  };
+};
+
+/**
+ * Render a single pose into an RGBA raster - Pure function
+ */
+const renderPose = (pose, options = {}) => {
+  const finalOptions = { ...DEFAULT_RENDER_OPTIONS, ...options };
+  const { width, height, padding, confidenceThreshold } = finalOptions;
+  const bounds = finalOptions.bounds || calculateSequenceBounds([pose], confidenceThreshold);
+
+  const raster = createRaster(width, height, finalOptions.background);
+
+  // Fit bounds into the drawable area keeping the aspect ratio
+  const scale = Math.min(
+    (width - padding * 2) / bounds.width,
+    (height - padding * 2) / bounds.height
+  );
+  const offsetX = (width - bounds.width * scale) / 2;
+  const offsetY = (height - bounds.height * scale) / 2;
+
+  const points = {};
+  (pose?.keypoints || []).forEach(kp => {
+    if (isKeypointVisible(kp, confidenceThreshold)) {
+      points[kp.part] = {
+        x: offsetX + (kp.position.x - bounds.minX) * scale,
+        y: offsetY + (kp.position.y - bounds.minY) * scale
+      };
+    }
+  });
+
+  getRenderConnections(finalOptions.skeleton).forEach(([from, to]) => {
+    if (points[from] && points[to]) {
+      drawLine(raster, points[from], points[to], finalOptions.lineWidth, finalOptions.lineColor);
+    }
+  });
+
+  Object.values(points).forEach(point => {
+    drawDisc(raster, point.x, point.y, finalOptions.pointRadius, finalOptions.pointColor);
+  });
+
+  return raster;
+};
+
+/**
+ * Limb connections for a skeleton name or schema - Pure function
+ * Names not registered in this process fall back to PoseNet
+ */
+const getRenderConnections = (skeleton) => {
+  if (skeleton && typeof skeleton === 'object') return getSkeleton(skeleton).connections;
+  return hasSkeleton(skeleton) ? getSkeleton(skeleton).connections : POSENET_CONNECTIONS;
+};
+
+/**
+ * Create RGBA raster filled with a color - Pure function
+ */
+const createRaster = (width, height, color = [255, 255, 255]) => {
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+    data[i + 3] = 255;
+  }
+
+  return { width, height, data };
+};
+
+/**
+ * Draw filled disc into raster - Mutates raster
+ */
+const drawDisc = (raster, cx, cy, radius, color) => {
+  const r = Math.max(radius, 0.5);
+  const minX = Math.max(0, Math.floor(cx - r));
+  const maxX = Math.min(raster.width - 1, Math.ceil(cx + r));
+  const minY = Math.max(0, Math.floor(cy - r));
+  const maxY = Math.min(raster.height - 1, Math.ceil(cy + r));
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= r * r) {
+        const i = (y * raster.width + x) * 4;
+        raster.data[i] = color[0];
+        raster.data[i + 1] = color[1];
+        raster.data[i + 2] = color[2];
+        raster.data[i + 3] = 255;
+      }
+    }
+  }
+};
+
+/**
+ * Draw thick line by stamping discs along the segment - Mutates raster
+ */
+const drawLine = (raster, from, to, lineWidth, color) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const steps = Math.max(1, Math.ceil(length * 2));
+
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    drawDisc(raster, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, lineWidth / 2, color);
+  }
+};
+
+/**
+ * Encode RGBA raster as PNG buffer - Pure function
+ */
+const encodePNG = ({ width, height, data }) => {
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * 4;
+  const scanlines = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // Bit depth
+  header[9] = 6;  // Color type RGBA
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(scanlines)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+/**
+ * Create PNG chunk (length, type, data, CRC) - Pure function
+ */
+const createChunk = (type, data) => {
+  const typeBuffer = Buffer.from(type, 'ascii');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([typeBuffer, data])), 0);
+
+  return Buffer.concat([length, typeBuffer, data, crc]);
+};
+
+module.exports = {
+  renderSnapshotPictures,
+  renderPose,
+  encodePNG,
+  parseSequences,
+  calculateSequenceBounds,
+  POSENET_CONNECTIONS
+};
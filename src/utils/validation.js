@@ -2,6 +2,13 @@
  * Input validation functions - Pure functional approach
  */
 
+const { getProjectConfig } = require('../config');
+const { getSkeleton, hasSkeleton, validateSkeleton, resolvePartName } = require('../skeletons');
+const { validateSmoothing } = require('./smoothing');
+const { validateGapFilling } = require('./gap-filling');
+const { validateResample } = require('./resampling');
+const { validateAnomalies } = require('./anomaly-detection');
+
 /**
  * Validate main addSequence inputs - Pure function
  */
@@ -21,16 +28,15 @@ const validateInputs = ({ session, sequence, poses, tag, frame, options }) => {
   }
 
   // Validate poses
-  const poseValidation = validatePoses(poses);
+  const poseValidation = validatePoses(poses, options?.maxSequenceLength);
   if (!poseValidation.isValid) {
     errors.push(`Poses validation failed: ${poseValidation.error}`);
   }
 
   // Validate tag
-  if (!tag || typeof tag !== 'string' || tag.trim().length === 0) {
-    errors.push('Tag must be a non-empty string');
-  } else if (tag.trim().length > 100) {
-    errors.push('Tag must be less than 100 characters');
+  const tagValidation = validateTag(tag);
+  if (!tagValidation.isValid) {
+    errors.push(tagValidation.error);
   }
 
   // Validate frame if saveFrame is true
@@ -46,6 +52,46 @@ const validateInputs = ({ session, sequence, poses, tag, frame, options }) => {
     errors.push('Options must be an object');
   }
 
+  const bodyValidation = validateBodyOption(options?.normalizeBody, options?.normalizeScale);
+  if (!bodyValidation.isValid) {
+    errors.push(bodyValidation.error);
+  }
+
+  const anomalyValidation = validateAnomalies(options?.anomalies);
+  if (!anomalyValidation.isValid) {
+    errors.push(anomalyValidation.error);
+  }
+
+  const gapValidation = validateGapFilling(options?.fillGaps);
+  if (!gapValidation.isValid) {
+    errors.push(gapValidation.error);
+  }
+
+  const resampleValidation = validateResample(options?.resample);
+  if (!resampleValidation.isValid) {
+    errors.push(resampleValidation.error);
+  }
+
+  if (options?.sourceFps !== undefined && !(typeof options.sourceFps === 'number' && options.sourceFps > 0)) {
+    errors.push('sourceFps must be a positive number');
+  }
+
+  const smoothingValidation = validateSmoothing(options?.smoothing);
+  if (!smoothingValidation.isValid) {
+    errors.push(smoothingValidation.error);
+  }
+
+  // Validate skeleton and that every pose uses its part names
+  const skeletonValidation = validateSkeletonOption(options?.skeleton);
+  if (!skeletonValidation.isValid) {
+    errors.push(skeletonValidation.error);
+  } else if (poseValidation.isValid) {
+    const partsValidation = validateSkeletonParts(poses, getSkeleton(options?.skeleton));
+    if (!partsValidation.isValid) {
+      errors.push(`Poses validation failed: ${partsValidation.error}`);
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     error: errors.length > 0 ? errors.join('; ') : null,
@@ -53,10 +99,32 @@ const validateInputs = ({ session, sequence, poses, tag, frame, options }) => {
   };
 };
 
+/**
+ * Validate tag - Pure function
+ */
+const validateTag = (tag) => {
+  if (!tag || typeof tag !== 'string' || tag.trim().length === 0) {
+    return {
+      isValid: false,
+      error: 'Tag must be a non-empty string'
+    };
+  }
+
+  if (tag.trim().length > 100) {
+    return {
+      isValid: false,
+      error: 'Tag must be less than 100 characters'
+    };
+  }
+
+  return { isValid: true, error: null };
+};
+
 /**
  * Validate poses array - Pure function
+ * maxLength defaults to the project's maxSequenceLength
  */
-const validatePoses = (poses) => {
+const validatePoses = (poses, maxLength = getProjectConfig().maxSequenceLength) => {
   if (!Array.isArray(poses)) {
     return {
       isValid: false,
@@ -71,10 +139,18 @@ const validatePoses = (poses) => {
     };
   }
 
-  if (poses.length > 1000) {
+  if (poses.length > maxLength) {
+    return {
+      isValid: false,
+      error: `Too many poses (maximum ${maxLength} per sequence)`
+    };
+  }
+
+  // Frame based multi-person input needs tracking first
+  if (poses.every(pose => Array.isArray(pose?.poses))) {
     return {
       isValid: false,
-      error: 'Too many poses (maximum 1000 per sequence)'
+      error: 'Poses are frame based ({ timestamp, poses }), use saveTrackedSequences to split them per person'
     };
   }
 
@@ -92,6 +168,55 @@ const validatePoses = (poses) => {
   return { isValid: true, error: null };
 };
 
+/**
+ * Validate frame based multi-person input - Pure function
+ * [{ timestamp, poses: [pose, ...] }, ...]; frames may have no poses
+ */
+const validateFrames = (frames, maxLength = getProjectConfig().maxSequenceLength) => {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return {
+      isValid: false,
+      error: 'Frames must be a non-empty array'
+    };
+  }
+
+  if (frames.length > maxLength) {
+    return {
+      isValid: false,
+      error: `Too many frames (maximum ${maxLength} per sequence)`
+    };
+  }
+
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i];
+    if (!frame || typeof frame !== 'object' || !Array.isArray(frame.poses)) {
+      return {
+        isValid: false,
+        error: `Frame at index ${i}: must have a poses array`
+      };
+    }
+
+    if (frame.timestamp !== undefined && (typeof frame.timestamp !== 'number' || frame.timestamp < 0)) {
+      return {
+        isValid: false,
+        error: `Frame at index ${i}: timestamp must be a non-negative number`
+      };
+    }
+
+    for (let j = 0; j < frame.poses.length; j++) {
+      const poseValidation = validateSinglePose(frame.poses[j], j);
+      if (!poseValidation.isValid) {
+        return {
+          isValid: false,
+          error: `Frame at index ${i}, pose ${j}: ${poseValidation.error}`
+        };
+      }
+    }
+  }
+
+  return { isValid: true, error: null };
+};
+
 /**
  * Validate single pose structure - Pure function
  */
@@ -196,6 +321,26 @@ const validateKeypoint = (keypoint, index = 0) => {
     };
   }
 
+  // Validate depth (optional, 3D keypoints)
+  if (keypoint.position.z !== undefined && (typeof keypoint.position.z !== 'number' || !isFinite(keypoint.position.z))) {
+    return {
+      isValid: false,
+      error: 'Keypoint position z must be a finite number'
+    };
+  }
+
+  // Validate world-space coordinates (optional)
+  if (keypoint.worldPosition !== undefined) {
+    const world = keypoint.worldPosition;
+    if (!world || typeof world !== 'object' ||
+        ![world.x, world.y, world.z].every(value => typeof value === 'number' && isFinite(value))) {
+      return {
+        isValid: false,
+        error: 'Keypoint worldPosition must have finite numeric x, y and z coordinates'
+      };
+    }
+  }
+
   // Validate score/confidence (optional)
   if (keypoint.score !== undefined && (typeof keypoint.score !== 'number' || keypoint.score < 0 || keypoint.score > 1)) {
     return {
@@ -214,10 +359,81 @@ const validateKeypoint = (keypoint, index = 0) => {
   return { isValid: true, error: null };
 };
 
+/**
+ * Validate normalizeBody option - Pure function
+ */
+const validateBodyOption = (normalizeBody, normalizeScale) => {
+  if (!normalizeBody) {
+    return { isValid: true, error: null };
+  }
+
+  if (normalizeScale) {
+    return { isValid: false, error: 'normalizeScale and normalizeBody cannot be combined' };
+  }
+
+  if (normalizeBody !== true && typeof normalizeBody !== 'object') {
+    return { isValid: false, error: 'normalizeBody must be true or an options object' };
+  }
+
+  if (typeof normalizeBody === 'object' && normalizeBody.scaleBy !== undefined &&
+      !['torso', 'shoulder'].includes(normalizeBody.scaleBy)) {
+    return { isValid: false, error: 'normalizeBody.scaleBy must be torso or shoulder' };
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Validate skeleton option (registered name or schema object) - Pure function
+ */
+const validateSkeletonOption = (skeleton) => {
+  if (skeleton === undefined) {
+    return { isValid: true, error: null };
+  }
+
+  if (typeof skeleton === 'string') {
+    return hasSkeleton(skeleton)
+      ? { isValid: true, error: null }
+      : { isValid: false, error: `Unknown skeleton: ${skeleton}` };
+  }
+
+  const schemaValidation = validateSkeleton(skeleton);
+  if (!schemaValidation.isValid) {
+    return { isValid: false, error: `Invalid skeleton schema: ${schemaValidation.error}` };
+  }
+
+  // Inline schemas must not clash with a registered schema of the same name
+  try {
+    getSkeleton(skeleton);
+  } catch (error) {
+    return { isValid: false, error: error.message };
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Check each pose has at least one keypoint of the skeleton - Pure function
+ */
+const validateSkeletonParts = (poses, skeleton) => {
+  for (let i = 0; i < poses.length; i++) {
+    const matches = poses[i].keypoints.some(kp => resolvePartName(skeleton, kp.part));
+    if (!matches) {
+      return {
+        isValid: false,
+        error: `Pose at index ${i}: no keypoints match skeleton ${skeleton.name}`
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+};
+
 /**
  * Validate frame data - Pure function
+ * Allowed image types and size limit come from the project configuration
  */
-const validateFrame = (frame) => {
+const validateFrame = (frame, config = getProjectConfig()) => {
   if (!frame || typeof frame !== 'string') {
     return {
       isValid: false,
@@ -225,8 +441,9 @@ const validateFrame = (frame) => {
     };
   }
 
-  // Check if it's a valid base64 data URL
-  const dataUrlPattern = /^data:image\/(jpeg|jpg|png|gif|bmp|webp);base64,([A-Za-z0-9+/=]+)$/;
+  // Check if it's a valid base64 data URL; types are literal MIME subtypes such as svg+xml
+  const imageTypes = config.supportedImageTypes.map(type => type.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const dataUrlPattern = new RegExp(`^data:image/(${imageTypes.join('|')});base64,([A-Za-z0-9+/=]+)$`);
   if (!dataUrlPattern.test(frame)) {
     return {
       isValid: false,
@@ -236,12 +453,12 @@ const validateFrame = (frame) => {
 
   // Check size (rough estimate - base64 is ~1.33x larger than binary)
   const base64Data = frame.split(',')[1];
-  const estimatedSize = (base64Data.length * 0.75) / (1024 * 1024); // MB
+  const estimatedSize = base64Data.length * 0.75; // bytes
   
-  if (estimatedSize > 10) { // 10MB limit
+  if (estimatedSize > config.maxImageSize) {
     return {
       isValid: false,
-      error: 'Frame image is too large (maximum 10MB)'
+      error: `Frame image is too large (maximum ${Math.round(config.maxImageSize / (1024 * 1024))}MB)`
     };
   }
 
@@ -278,6 +495,11 @@ const validateOptions = (options) => {
     }
   }
 
+  const skeletonValidation = validateSkeletonOption(options.skeleton);
+  if (!skeletonValidation.isValid) {
+    errors.push(skeletonValidation.error);
+  }
+
   return {
     isValid: errors.length === 0,
     error: errors.length > 0 ? errors.join('; ') : null,
@@ -343,10 +565,13 @@ const getValidationSummary = (poses) => {
 
 module.exports = {
   validateInputs,
+  validateTag,
   validatePoses,
+  validateFrames,
   validateSinglePose,
   validateKeypoint,
   validateFrame,
   validateOptions,
+  validateSkeletonOption,
   getValidationSummary
 };
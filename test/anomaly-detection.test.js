@@ -0,0 +1,124 @@
+/**
+ * Anomaly detection tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { detectAnomalies, handleAnomalies } = require('../src/utils/anomaly-detection');
+const { addSequence } = require('../src/tagger');
+
+// Standing person drifting 2px per frame
+const createPerson = (i) => {
+  const x = i * 2;
+  return {
+    keypoints: [
+      { part: 'nose', position: { x: 100 + x, y: 20 }, score: 0.9 },
+      { part: 'leftShoulder', position: { x: 120 + x, y: 60 }, score: 0.9 },
+      { part: 'rightShoulder', position: { x: 80 + x, y: 60 }, score: 0.9 },
+      { part: 'leftElbow', position: { x: 130 + x, y: 110 }, score: 0.9 },
+      { part: 'rightElbow', position: { x: 70 + x, y: 110 }, score: 0.9 },
+      { part: 'leftWrist', position: { x: 135 + x, y: 160 }, score: 0.9 },
+      { part: 'rightWrist', position: { x: 65 + x, y: 160 }, score: 0.9 },
+      { part: 'leftHip', position: { x: 115 + x, y: 180 }, score: 0.9 },
+      { part: 'rightHip', position: { x: 85 + x, y: 180 }, score: 0.9 }
+    ],
+    score: 0.9,
+    timestamp: i * 33
+  };
+};
+
+const createRawPoses = (count = 8) => Array.from({ length: count }, (_, i) => createPerson(i));
+
+const setPart = (pose, part, position) => ({
+  ...pose,
+  keypoints: pose.keypoints.map(kp => (kp.part === part ? { ...kp, position } : kp))
+});
+
+const swapParts = (pose, a, b) => {
+  const positions = Object.fromEntries(pose.keypoints.map(kp => [kp.part, kp.position]));
+  return setPart(setPart(pose, a, positions[b]), b, positions[a]);
+};
+
+const find = (pose, part) => pose.keypoints.find(kp => kp.part === part);
+
+describe('Anomaly Detection', () => {
+  test('should report nothing for clean motion', () => {
+    const report = detectAnomalies(normalizePoses(createRawPoses()));
+
+    expect(report.flagged).toEqual([]);
+    expect(report.frames).toHaveLength(8);
+    expect(report.counts).toEqual({ left_right_swap: 0, velocity_spike: 0, bone_length: 0 });
+  });
+
+  test('should flag a one-frame wrist teleport', () => {
+    const raw = createRawPoses();
+    raw[4] = setPart(raw[4], 'leftWrist', { x: 400, y: 20 });
+
+    const report = detectAnomalies(normalizePoses(raw));
+
+    expect(report.flagged).toEqual([4]);
+    expect(report.frames[4].anomalies.map(anomaly => anomaly.type)).toEqual(['velocity_spike', 'bone_length']);
+    expect(report.frames[4].anomalies[0].part).toBe('leftWrist');
+    expect(report.frames[4].anomalies[1].parts).toEqual(['leftElbow', 'leftWrist']);
+  });
+
+  test('should flag left/right swaps for every swapped frame', () => {
+    const raw = createRawPoses();
+    raw[3] = swapParts(raw[3], 'leftWrist', 'rightWrist');
+    raw[4] = swapParts(raw[4], 'leftWrist', 'rightWrist');
+
+    const report = detectAnomalies(normalizePoses(raw));
+
+    expect(report.flagged).toEqual([3, 4]);
+    expect(report.frames[3].anomalies).toEqual([{ type: 'left_right_swap', parts: ['leftWrist', 'rightWrist'] }]);
+    expect(report.counts.velocity_spike).toBe(0);
+  });
+
+  test('should repair swaps and spikes', () => {
+    const raw = createRawPoses();
+    raw[2] = swapParts(raw[2], 'leftElbow', 'rightElbow');
+    raw[5] = setPart(raw[5], 'leftWrist', { x: 400, y: 20 });
+
+    const { poses, report } = handleAnomalies(normalizePoses(raw), 'repair');
+
+    expect(report.flagged).toEqual([2, 5]);
+    expect(find(poses[2], 'leftElbow').position).toEqual({ x: 134, y: 110 });
+    expect(find(poses[5], 'leftWrist')).toMatchObject({ position: { x: 145, y: 160 }, visible: true, repaired: true });
+  });
+
+  test('should drop flagged frames', () => {
+    const raw = createRawPoses();
+    raw[5] = setPart(raw[5], 'nose', { x: 400, y: 400 });
+
+    const { poses } = handleAnomalies(normalizePoses(raw), 'drop');
+
+    expect(poses.map(pose => pose.timestamp)).toEqual([0, 33, 66, 99, 132, 198, 231]);
+  });
+
+  test('should summarize anomalies in metadata before persisting', () => {
+    const raw = createRawPoses();
+    raw[5] = setPart(raw[5], 'leftWrist', { x: 400, y: 20 });
+
+    const result = addSequence('glitches', 'seq1', raw, 'walking', null, { anomalies: 'drop' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.poses).toHaveLength(7);
+    expect(result.data.metadata.anomalies).toEqual({
+      action: 'drop',
+      max_jump: 0.25,
+      bone_tolerance: 0.4,
+      swap_ratio: 0.5,
+      flagged_frames: [5],
+      left_right_swap: 0,
+      velocity_spike: 1,
+      bone_length: 1
+    });
+  });
+
+  test('should reject invalid options', () => {
+    const result = addSequence('glitches', 'seq1', createRawPoses(), 'walking', null, { anomalies: 'ignore' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('VALIDATION_ERROR');
+    expect(result.error).toContain('anomalies action');
+  });
+});
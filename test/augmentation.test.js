@@ -0,0 +1,214 @@
+/**
+ * Augmentation tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizePoses } = require('../src/normalizer');
+const { denormalizePose } = require('../src/utils/body-normalization');
+const { augmentPoses, createRandom } = require('../src/utils/augmentation');
+const { augmentSession } = require('../src/utils/data-analytics');
+const { createPoses, createProject, removeProject } = require('./helpers/fixtures');
+
+// Person leaning right (left wrist raised), moving 10px per frame
+const createRawPoses = (count = 10) => createPoses(count, {
+  keypoints: (i) => [
+    { part: 'nose', position: { x: 100 + i * 10, y: 50 }, score: 0.9 },
+    { part: 'leftShoulder', position: { x: 80 + i * 10, y: 100 }, score: 0.9 },
+    { part: 'rightShoulder', position: { x: 120 + i * 10, y: 100 }, score: 0.9 },
+    { part: 'leftWrist', position: { x: 60 + i * 10, y: 40 }, score: 0.8 },
+    { part: 'leftHip', position: { x: 90 + i * 10, y: 200 }, score: 0.9 },
+    { part: 'rightHip', position: { x: 110 + i * 10, y: 200 }, score: 0.9 }
+  ],
+  start: 0
+});
+
+const find = (pose, part) => pose.keypoints.find(kp => kp.part === part);
+
+describe('Augmentation', () => {
+  const poses = normalizePoses(createRawPoses());
+
+  describe('augmentPoses', () => {
+    test('should mirror around the sequence center and swap left/right parts', () => {
+      const { poses: mirrored } = augmentPoses(poses, ['mirror']);
+
+      // Sequence spans x 60..210, center 135
+      expect(find(mirrored[0], 'rightWrist').position).toEqual({ x: 210, y: 40 });
+      expect(find(mirrored[0], 'rightWrist').visible).toBe(true);
+      expect(find(mirrored[0], 'leftWrist').visible).toBe(false);
+      expect(find(mirrored[0], 'leftShoulder').position.x).toBe(150);
+      expect(find(mirrored[0], 'nose').position.x).toBe(170);
+      expect(mirrored[0].bbox.x).toBe(150);
+    });
+
+    test('should rotate and scale around the sequence center', () => {
+      const { poses: rotated } = augmentPoses(poses, [{ type: 'rotate', angle: 180 }]);
+      expect(find(rotated[0], 'nose').position).toEqual({ x: 170, y: 190 });
+
+      const { poses: scaled, applied } = augmentPoses(poses, [{ type: 'scale', factor: 2 }]);
+      expect(find(scaled[0], 'nose').position).toEqual({ x: 65, y: -20 });
+      expect(applied).toEqual([{ type: 'scale', factor: 2 }]);
+    });
+
+    test('should keep body normalized poses denormalizable', () => {
+      // Body turned by 20 degrees so the transform has a rotation
+      const tilt = 20 * Math.PI / 180;
+      const raw = createRawPoses(3).map(pose => ({
+        ...pose,
+        keypoints: pose.keypoints.map(kp => ({
+          ...kp,
+          position: {
+            x: kp.position.x * Math.cos(tilt) - kp.position.y * Math.sin(tilt),
+            y: kp.position.x * Math.sin(tilt) + kp.position.y * Math.cos(tilt)
+          }
+        }))
+      }));
+      const body = normalizePoses(raw, { normalizeBody: { alignShoulders: true } });
+      const origin = body[0].transform.origin;
+      expect(body[0].transform.rotation).not.toBe(0);
+      const image = denormalizePose(body[0]);
+
+      const expectations = {
+        mirror: point => ({ x: 2 * origin.x - point.x, y: point.y }),
+        rotate: point => ({
+          x: origin.x + (point.x - origin.x) * Math.cos(Math.PI / 6) - (point.y - origin.y) * Math.sin(Math.PI / 6),
+          y: origin.y + (point.x - origin.x) * Math.sin(Math.PI / 6) + (point.y - origin.y) * Math.cos(Math.PI / 6)
+        }),
+        scale: point => ({ x: origin.x + (point.x - origin.x) * 1.5, y: origin.y + (point.y - origin.y) * 1.5 })
+      };
+      const operations = { mirror: 'mirror', rotate: { type: 'rotate', angle: 30 }, scale: { type: 'scale', factor: 1.5 } };
+
+      Object.keys(operations).forEach(type => {
+        const [augmented] = augmentPoses(body, [operations[type]]).poses;
+        const restored = denormalizePose(augmented);
+        const source = type === 'mirror' ? 'leftShoulder' : 'rightShoulder';
+        const expected = expectations[type](find(image, source).position);
+
+        expect(find(restored, 'rightShoulder').position.x).toBeCloseTo(expected.x, 1);
+        expect(find(restored, 'rightShoulder').position.y).toBeCloseTo(expected.y, 1);
+      });
+    });
+
+    test('should change speed at the same frame spacing', () => {
+      const { poses: faster } = augmentPoses(poses, [{ type: 'timeWarp', speed: 3 }]);
+
+      expect(faster.map(pose => pose.timestamp)).toEqual([0, 33, 66, 99]);
+      expect(faster.map(pose => find(pose, 'nose').position.x)).toEqual([100, 130, 160, 190]);
+    });
+
+    test('should crop in time and drop keypoints', () => {
+      const { poses: cropped, applied } = augmentPoses(poses, [{ type: 'crop', minLength: 0.5 }], { seed: 3 });
+      expect(cropped.length).toBe(applied[0].length);
+      expect(cropped[0].timestamp).toBe(applied[0].start * 33);
+
+      const { poses: dropped } = augmentPoses(poses, [{ type: 'dropout', rate: 1 }]);
+      expect(dropped[0].keypoints.every(kp => kp.confidence === 0 && !kp.visible)).toBe(true);
+      expect(find(dropped[0], 'nose').position).toEqual({ x: 0, y: 0 });
+    });
+
+    test('should be reproducible for a seed and leave placeholders alone', () => {
+      const operations = [{ type: 'jitter', sigma: 0.05 }, { type: 'rotate', maxAngle: 20 }, { type: 'mirror', probability: 0.5 }];
+
+      const first = augmentPoses(poses, operations, { seed: 7 });
+      const second = augmentPoses(poses, operations, { seed: 7 });
+      const other = augmentPoses(poses, operations, { seed: 8 });
+
+      expect(second).toEqual(first);
+      expect(other.poses).not.toEqual(first.poses);
+      expect(find(first.poses[0], 'leftKnee').position).toEqual({ x: 0, y: 0 });
+      expect(find(first.poses[0], 'nose').position).not.toEqual(find(poses[0], 'nose').position);
+    });
+
+    test('should reject unknown operations', () => {
+      expect(() => augmentPoses(poses, ['shear'])).toThrow('Invalid augmentation');
+      expect(() => augmentPoses(poses, [{ type: 'scale', min: 2, max: 1 }])).toThrow('0 < min <= max');
+    });
+  });
+
+  describe('createRandom', () => {
+    test('should give the same numbers for the same seed', () => {
+      const a = createRandom('abc');
+      const b = createRandom('abc');
+
+      const values = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(values);
+      values.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+      values.forEach(value => expect(value).toBeLessThan(1));
+    });
+  });
+
+  describe('augmentSession', () => {
+    let dataPath;
+
+    beforeEach(async () => {
+      dataPath = await createProject('augment', [
+        ['source', 'clip_a', createRawPoses(), 'jump'],
+        ['source', 'clip_b', createRawPoses(), 'walking']
+      ]);
+    });
+
+    afterEach(() => {
+      removeProject(dataPath);
+    });
+
+    const readSession = (session) => fs.readFileSync(path.join(dataPath, 'sessions', session, 'sequences.jsonl'), 'utf8')
+      .trim().split('\n').map(line => JSON.parse(line));
+
+    test('should write augmented copies with provenance into a derived session', async () => {
+      const result = await augmentSession(dataPath, 'source', 'derived', {
+        operations: ['mirror', { type: 'dropout', rate: 0.2 }],
+        copies: 2,
+        seed: 1,
+        tags: ['jump']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.created).toBe(2);
+
+      const [source] = readSession('source');
+      const copies = readSession('derived');
+      expect(copies.map(copy => copy.sequence)).toEqual(['clip_a_aug1', 'clip_a_aug2']);
+      expect(copies[0].tag).toBe('jump');
+      expect(copies[0].metadata.augmentation).toMatchObject({
+        source_id: source.id,
+        source_session: 'source',
+        copy: 1
+      });
+      expect(copies[0].metadata.augmentation.operations.map(op => op.type)).toEqual(['mirror', 'dropout']);
+      expect(copies[0].metadata.pose_count).toBe(10);
+      expect(copies[0].poses).not.toEqual(copies[1].poses);
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(dataPath, 'sessions', 'derived', 'metadata.json'), 'utf8'));
+      expect(metadata.sequence_count).toBe(2);
+    });
+
+    test('should give the same copies for the same seed', async () => {
+      const options = { operations: [{ type: 'jitter', sigma: 0.05 }], seed: 5 };
+      await augmentSession(dataPath, 'source', 'first', options);
+      await augmentSession(dataPath, 'source', 'second', options);
+
+      expect(readSession('second').map(copy => copy.poses)).toEqual(readSession('first').map(copy => copy.poses));
+    });
+
+    test('should validate sessions and operations', async () => {
+      expect((await augmentSession(dataPath, 'missing', 'derived', { operations: ['mirror'] })).code).toBe('SESSION_NOT_FOUND');
+      expect((await augmentSession(dataPath, 'source', 'source', { operations: ['mirror'] })).code).toBe('VALIDATION_ERROR');
+
+      await augmentSession(dataPath, 'source', 'derived', { operations: ['mirror'] });
+      const again = await augmentSession(dataPath, 'source', 'derived', { operations: ['mirror'] });
+      expect(again.code).toBe('VALIDATION_ERROR');
+      expect(readSession('derived')).toHaveLength(2);
+      expect((await augmentSession(dataPath, 'source', 'derived', { operations: 'mirror' })).code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject targets that map to an existing session folder', async () => {
+      await augmentSession(dataPath, 'source', 'my_aug', { operations: ['mirror'] });
+      const renamed = await augmentSession(dataPath, 'source', 'my aug', { operations: ['mirror'] });
+      expect(renamed.code).toBe('VALIDATION_ERROR');
+      expect(readSession('my_aug')).toHaveLength(2);
+
+      fs.mkdirSync(path.join(dataPath, 'sessions', 'empty'));
+      expect((await augmentSession(dataPath, 'source', 'empty', { operations: ['mirror'] })).code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
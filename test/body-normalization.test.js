@@ -0,0 +1,131 @@
+/**
+ * Body-centric normalization tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { denormalizePose, measureBody } = require('../src/utils/body-normalization');
+const { addSequence } = require('../src/tagger');
+
+// Upright person: shoulders 80px apart, torso 100px, hips centered at (cx, cy)
+const createPose = (cx, cy, { tilt = 0, size = 1 } = {}) => {
+  const place = (dx, dy) => {
+    const x = dx * size;
+    const y = dy * size;
+    return {
+      x: cx + x * Math.cos(tilt) - y * Math.sin(tilt),
+      y: cy + x * Math.sin(tilt) + y * Math.cos(tilt)
+    };
+  };
+
+  return {
+    keypoints: [
+      { part: 'nose', position: place(0, -140), score: 0.9 },
+      { part: 'leftShoulder', position: place(40, -100), score: 0.9 },
+      { part: 'rightShoulder', position: place(-40, -100), score: 0.9 },
+      { part: 'leftWrist', position: place(90, -20), score: 0.9 },
+      { part: 'leftHip', position: place(20, 0), score: 0.9 },
+      { part: 'rightHip', position: place(-20, 0), score: 0.9 }
+    ],
+    score: 0.9
+  };
+};
+
+const findPart = (pose, part) => pose.keypoints.find(kp => kp.part === part);
+
+describe('Body-centric Normalization', () => {
+  test('should center on the hip midpoint and scale by torso length', () => {
+    const [pose] = normalizePoses([createPose(300, 400)], { normalizeBody: true });
+
+    expect(findPart(pose, 'leftHip').position).toEqual({ x: 0.2, y: 0 });
+    expect(findPart(pose, 'nose').position).toEqual({ x: 0, y: -1.4 });
+    expect(pose.transform).toEqual({ origin: { x: 300, y: 400 }, scale: 100, rotation: 0, estimated: false });
+  });
+
+  test('should scale by shoulder width', () => {
+    const [pose] = normalizePoses([createPose(300, 400)], { normalizeBody: { scaleBy: 'shoulder' } });
+
+    expect(pose.transform.scale).toBe(80);
+    expect(findPart(pose, 'leftShoulder').position).toEqual({ x: 0.5, y: -1.25 });
+  });
+
+  test('should give the same coordinates regardless of size and position', () => {
+    const [near, far] = normalizePoses([createPose(300, 400, { size: 2 }), createPose(50, 120, { size: 0.5 })], {
+      normalizeBody: true
+    });
+
+    expect(near.keypoints.map(kp => kp.position)).toEqual(far.keypoints.map(kp => kp.position));
+  });
+
+  test('should align the shoulder line horizontally', () => {
+    const [pose] = normalizePoses([createPose(300, 400, { tilt: 0.3 })], {
+      normalizeBody: { alignShoulders: true }
+    });
+
+    expect(pose.transform.rotation).toBeCloseTo(0.3, 5);
+    expect(findPart(pose, 'leftShoulder').position.y).toBeCloseTo(findPart(pose, 'rightShoulder').position.y, 3);
+    expect(findPart(pose, 'nose').position.x).toBeCloseTo(0, 3);
+  });
+
+  test('should not flip a person facing away from the camera', () => {
+    const pose = createPose(300, 400);
+    const mirrored = {
+      ...pose,
+      keypoints: pose.keypoints.map(kp => ({ ...kp, position: { x: 600 - kp.position.x, y: kp.position.y } }))
+    };
+
+    expect(measureBody(normalizePoses([mirrored])[0], 'torso').rotation).toBeCloseTo(0, 6);
+  });
+
+  test('should use one median scale for the whole sequence', () => {
+    const poses = normalizePoses([createPose(300, 400), createPose(300, 400, { size: 1.1 }), createPose(300, 400, { size: 1.5 })], {
+      normalizeBody: { sequenceScale: true }
+    });
+
+    expect(poses.map(pose => pose.transform.scale)).toEqual([110, 110, 110]);
+  });
+
+  test('should reuse the last transform when hips are missing', () => {
+    const missingHips = { ...createPose(310, 400), keypoints: createPose(310, 400).keypoints.slice(0, 4) };
+    const poses = normalizePoses([createPose(300, 400), missingHips], { normalizeBody: true });
+
+    expect(poses[1].transform).toEqual({ ...poses[0].transform, estimated: true });
+  });
+
+  test('should recover the original image coordinates', () => {
+    const raw = createPose(321.5, 412.25, { tilt: -0.2, size: 1.3 });
+    const [pose] = normalizePoses([raw], { normalizeBody: { alignShoulders: true, scaleBy: 'shoulder' } });
+    const restored = denormalizePose(pose);
+
+    raw.keypoints.forEach(kp => {
+      const position = findPart(restored, kp.part).position;
+      expect(position.x).toBeCloseTo(kp.position.x, 1);
+      expect(position.y).toBeCloseTo(kp.position.y, 1);
+    });
+    expect(restored.transform).toBeUndefined();
+  });
+
+  test('should record the mode in metadata.normalization', () => {
+    const result = addSequence('body', 'seq1', [createPose(300, 400)], 'standing', null, {
+      normalizeBody: { sequenceScale: true }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.metadata.normalization.body).toEqual({
+      mode: 'body',
+      scale_by: 'torso',
+      align_shoulders: false,
+      sequence_scale: true,
+      scale: 100
+    });
+  });
+
+  test('should reject combining with normalizeScale', () => {
+    const result = addSequence('body', 'seq1', [createPose(300, 400)], 'standing', null, {
+      normalizeBody: true,
+      normalizeScale: true
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('cannot be combined');
+  });
+});
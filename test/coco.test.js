@@ -0,0 +1,165 @@
+/**
+ * COCO keypoints import / export tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCocoCategory, cocoToSequences, exportCoco, importCoco } = require('../src/utils/coco');
+const { saveSequence } = require('../src/tagger');
+const { iterateSequences } = require('../src/utils/data-analytics');
+const { createPoses, createProject, removeProject } = require('./helpers/fixtures');
+
+const collect = async (dataPath, filter = {}) => {
+  const sequences = [];
+  for await (const { sequence } of iterateSequences(dataPath, filter)) sequences.push(sequence);
+  return sequences;
+};
+
+describe('COCO Keypoints', () => {
+  let dataPath;
+
+  beforeEach(async () => {
+    dataPath = await createProject('coco', [
+      ['session_a', 'seq1', createPoses(3), 'walking', 'data:image/png;base64,iVBORw0KGgo=', { saveFrame: true }],
+      ['session_b', 'seq2', createPoses(2), 'jump']
+    ]);
+  });
+
+  afterEach(() => {
+    removeProject(dataPath);
+  });
+
+  test('should describe the skeleton as a 1-based COCO category', () => {
+    const category = createCocoCategory('posenet');
+
+    expect(category).toMatchObject({ id: 1, name: 'person', skeleton_name: 'posenet' });
+    expect(category.keypoints).toHaveLength(17);
+    expect(category.skeleton.flat().every(index => index >= 1 && index <= 17)).toBe(true);
+  });
+
+  test('should export every frame with flattened [x, y, v] keypoints', async () => {
+    const file = path.join(dataPath, 'exports', 'coco.json');
+    const result = await exportCoco(dataPath, file);
+
+    expect(result).toMatchObject({ success: true, images: 5, annotations: 5 });
+
+    const coco = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(coco.categories).toHaveLength(1);
+    expect(coco.images.map(image => image.frame_index)).toEqual([0, 1, 2, 0, 1]);
+    expect(coco.images.some(image => 'file_name' in image)).toBe(false);
+
+    const annotation = coco.annotations[1];
+    expect(annotation).toMatchObject({ image_id: 2, category_id: 1, tag: 'walking', sequence: 'seq1', num_keypoints: 3, iscrowd: 0 });
+    expect(annotation.keypoints).toHaveLength(17 * 3);
+    expect(annotation.keypoints.slice(0, 3)).toEqual([101, 50, 2]);   // nose visible
+    expect(annotation.keypoints.slice(3, 6)).toEqual([0, 0, 0]);      // leftEye missing
+    expect(annotation.keypoints.slice(27, 30)).toEqual([80, 120, 1]); // leftWrist below threshold
+    expect(annotation.bbox).toEqual([101, 50, 39, 150]);
+  });
+
+  test('should export only frames with saved images', async () => {
+    const file = path.join(dataPath, 'frames.json');
+    const result = await exportCoco(dataPath, file, { withImagesOnly: true, width: 640, height: 480 });
+
+    expect(result).toMatchObject({ success: true, images: 1, annotations: 1 });
+
+    const coco = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(coco.images[0]).toMatchObject({ width: 640, height: 480, frame_index: 2, session: 'session_a' });
+    expect(coco.images[0].file_name).toMatch(/^sessions\/session_a\/frames\/.+\.jpg$/);
+    expect(fs.existsSync(path.join(dataPath, coco.images[0].file_name))).toBe(true);
+  });
+
+  test('should reject mixed skeletons', async () => {
+    await saveSequence('session_c', 'seq3', createPoses(2), 'walking', null, { dataPath, skeleton: 'blazepose33' });
+
+    expect((await exportCoco(dataPath, path.join(dataPath, 'x.json'))).code).toBe('SKELETON_MISMATCH');
+    expect((await exportCoco(dataPath, path.join(dataPath, 'x.json'), { session: 'session_c' })).success).toBe(true);
+  });
+
+  test('should skip scale normalized sequences', async () => {
+    await saveSequence('session_c', 'seq3', createPoses(2), 'walking', null, { dataPath, normalizeScale: true });
+    const file = path.join(dataPath, 'coco.json');
+
+    const result = await exportCoco(dataPath, file);
+
+    expect(result).toMatchObject({ success: true, images: 5, annotations: 5 });
+    expect(result.skipped).toEqual([expect.objectContaining({ session: 'session_c', sequence: 'seq3' })]);
+  });
+
+  test('should only check skeletons of exported sequences', async () => {
+    await saveSequence('session_c', 'seq3', createPoses(2), 'walking', null, { dataPath, skeleton: 'blazepose33' });
+
+    const result = await exportCoco(dataPath, path.join(dataPath, 'frames.json'), { withImagesOnly: true });
+    expect(result).toMatchObject({ success: true, images: 1 });
+  });
+
+  test('should round trip exported sequences into a new session', async () => {
+    const file = path.join(dataPath, 'coco.json');
+    await exportCoco(dataPath, file);
+
+    const result = await importCoco(file, 'imported', { dataPath });
+    expect(result.success).toBe(true);
+    expect(result.imported).toHaveLength(2);
+
+    const [walking, jump] = await collect(dataPath, { sessions: ['imported'] });
+    expect(walking).toMatchObject({ sequence: 'seq1', tag: 'walking' });
+    expect(walking.poses).toHaveLength(3);
+    expect(walking.poses.map(pose => pose.timestamp)).toEqual([1000, 1033, 1066]);
+    expect(walking.poses[2].keypoints[0]).toMatchObject({ part: 'nose', position: { x: 102, y: 50 }, visible: true });
+    expect(walking.poses[2].keypoints[9]).toMatchObject({ part: 'leftWrist', confidence: 0.2, visible: false });
+    expect(jump.poses).toHaveLength(2);
+
+    const again = await importCoco(file, 'imported', { dataPath });
+    expect(again).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+    expect(await collect(dataPath, { sessions: ['imported'] })).toHaveLength(2);
+  });
+
+  test('should import plain COCO annotations through normalization', async () => {
+    const names = createCocoCategory('posenet').keypoints.map(part => part.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`));
+    const keypoints = names.flatMap((_, k) => k === 0 ? [10, 20, 2] : k === 1 ? [12, 18, 1] : [0, 0, 0]);
+    const coco = {
+      images: [{ id: 7, file_name: '7.jpg' }, { id: 8, file_name: '8.jpg' }],
+      annotations: [
+        { id: 1, image_id: 7, category_id: 1, keypoints },
+        { id: 2, image_id: 8, category_id: 1, keypoints, track_id: 3 },
+        { id: 3, image_id: 7, category_id: 1, keypoints, track_id: 3 }
+      ],
+      categories: [{ id: 1, name: 'person', keypoints: names, skeleton: [] }]
+    };
+
+    const sequences = cocoToSequences(coco);
+    expect(sequences.map(sequence => [sequence.sequence, sequence.poses.length])).toEqual([['annotation_1', 1], ['track_3', 2]]);
+    expect(sequences[0].poses[0].keypoints).toEqual([
+      { part: 'nose', position: { x: 10, y: 20 }, score: 1 },
+      { part: 'left_eye', position: { x: 12, y: 18 }, score: 0.5 }
+    ]);
+
+    const result = await importCoco(coco, 'plain', { dataPath, tag: 'standing' });
+    expect(result.success).toBe(true);
+
+    const stored = await collect(dataPath, { sessions: ['plain'] });
+    expect(stored.map(sequence => sequence.tag)).toEqual(['standing', 'standing']);
+    expect(stored[0].poses[0].keypoints[1]).toMatchObject({ part: 'leftEye', confidence: 0.5, visible: true });
+  });
+
+  test('should keep several people in one image apart', () => {
+    const names = createCocoCategory('posenet').keypoints;
+    const person = (x) => names.flatMap((_, k) => k === 0 ? [x, 20, 2] : [0, 0, 0]);
+    const sequences = cocoToSequences({
+      images: [{ id: 1, file_name: '1.jpg' }],
+      annotations: [
+        { id: 11, image_id: 1, category_id: 1, keypoints: person(10) },
+        { id: 12, image_id: 1, category_id: 1, keypoints: person(500) }
+      ],
+      categories: [{ id: 1, name: 'person', keypoints: names, skeleton: [] }]
+    });
+
+    expect(sequences.map(sequence => [sequence.sequence, sequence.poses.length])).toEqual([['annotation_11', 1], ['annotation_12', 1]]);
+    expect(sequences.map(sequence => sequence.poses[0].keypoints[0].position.x)).toEqual([10, 500]);
+  });
+
+  test('should reject files that are not COCO keypoints', async () => {
+    expect((await importCoco({ images: [] }, 'bad', { dataPath })).code).toBe('VALIDATION_ERROR');
+    expect((await importCoco(path.join(dataPath, 'missing.json'), 'bad', { dataPath })).code).toBe('VALIDATION_ERROR');
+  });
+});
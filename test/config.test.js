@@ -0,0 +1,108 @@
+/**
+ * Project configuration tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createProjectConfig,
+  loadProjectConfig,
+  configureProject,
+  getProjectConfig,
+  resetProjectConfig
+} = require('../src/config');
+const { saveSequence, generateSessionPath } = require('../src/tagger');
+const { validatePoses, validateFrame } = require('../src/utils/validation');
+const { normalizeKeypoints } = require('../src/normalizer');
+const { listSessions } = require('../src/session');
+
+describe('Project Configuration', () => {
+  const mockPose = {
+    keypoints: [{ part: 'nose', position: { x: 320, y: 240 }, score: 0.5 }],
+    score: 0.5,
+    timestamp: 1000
+  };
+
+  let dataPath;
+
+  beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-config-'));
+  });
+
+  afterEach(() => {
+    resetProjectConfig();
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  describe('createProjectConfig', () => {
+    test('should fill defaults', () => {
+      const config = createProjectConfig({ dataPath: '/tmp/project' });
+
+      expect(config.dataPath).toBe('/tmp/project');
+      expect(config.confidenceThreshold).toBe(0.3);
+      expect(config.maxSequenceLength).toBe(1000);
+    });
+
+    test('should reject invalid values', () => {
+      expect(() => createProjectConfig({ confidenceThreshold: 2 })).toThrow('confidenceThreshold');
+      expect(() => createProjectConfig({ maxSequenceLength: 0 })).toThrow('maxSequenceLength');
+    });
+  });
+
+  describe('loadProjectConfig', () => {
+    test('should read project.json from the data folder', () => {
+      fs.writeFileSync(path.join(dataPath, 'project.json'), JSON.stringify({
+        confidenceThreshold: 0.6,
+        maxSequenceLength: 50,
+        dataPath: '/ignored'
+      }));
+
+      const config = loadProjectConfig(dataPath);
+
+      expect(config.dataPath).toBe(dataPath);
+      expect(config.confidenceThreshold).toBe(0.6);
+      expect(config.maxSequenceLength).toBe(50);
+    });
+
+    test('should use defaults without project.json', () => {
+      expect(loadProjectConfig(dataPath).confidenceThreshold).toBe(0.3);
+    });
+  });
+
+  describe('configureProject', () => {
+    test('should be honoured by tagger, session and validation', async () => {
+      configureProject({ dataPath, confidenceThreshold: 0.6, maxSequenceLength: 2 });
+
+      expect(getProjectConfig().dataPath).toBe(dataPath);
+      expect(generateSessionPath('demo')).toBe(`${dataPath}/sessions/demo/sequences.jsonl`);
+      expect(validatePoses([mockPose, mockPose, mockPose]).error).toContain('maximum 2');
+      expect(normalizeKeypoints(mockPose.keypoints)[0].visible).toBe(false);
+
+      const result = await saveSequence('demo', 'seq_1', [mockPose], 'walking', 'data:image/png;base64,iVBORw0KGgo=', { saveFrame: true });
+      expect(result.success).toBe(true);
+      expect(result.data.frameReference.startsWith(`${dataPath}/sessions/demo/frames/`)).toBe(true);
+      expect(fs.existsSync(result.data.frameReference)).toBe(true);
+
+      const sessions = await listSessions();
+      expect(sessions.sessions.map(session => session.name)).toEqual(['demo']);
+      expect(sessions.sessions[0].metadata.sequence_count).toBe(1);
+    });
+
+    test('should load configuration from a data folder path', () => {
+      fs.writeFileSync(path.join(dataPath, 'project.json'), JSON.stringify({ maxImageSize: 10 }));
+      configureProject(dataPath);
+
+      expect(validateFrame('data:image/png;base64,iVBORw0KGgoAAAA=').error).toContain('too large');
+    });
+
+    test('should match configured image types literally', () => {
+      configureProject({ dataPath, supportedImageTypes: ['svg+xml', 'x.png'] });
+
+      expect(validateFrame('data:image/svg+xml;base64,PHN2Zz4=').isValid).toBe(true);
+      expect(validateFrame('data:image/svgxml;base64,PHN2Zz4=').isValid).toBe(false);
+      expect(validateFrame('data:image/svggxml;base64,PHN2Zz4=').isValid).toBe(false);
+      expect(validateFrame('data:image/x-png;base64,iVBORw0KGgo=').isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * CSV export tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exportCsv, escapeCsv } = require('../src/utils/csv-export');
+const { createPoses: createFixturePoses, createProject, removeProject } = require('./helpers/fixtures');
+
+const createPoses = (count) => createFixturePoses(count, { parts: ['nose', 'leftWrist'] });
+
+const readCsv = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => line.split(','));
+
+describe('CSV Export', () => {
+  let dataPath;
+
+  beforeEach(async () => {
+    dataPath = await createProject('csv', [
+      ['session_a', 'seq1', createPoses(2), 'walking'],
+      ['session_b', 'seq2', createPoses(3), 'jump']
+    ]);
+  });
+
+  afterEach(() => {
+    removeProject(dataPath);
+  });
+
+  test('should escape delimiters, quotes and newlines', () => {
+    expect(escapeCsv('plain')).toBe('plain');
+    expect(escapeCsv('a,b')).toBe('"a,b"');
+    expect(escapeCsv('say "hi"\n')).toBe('"say ""hi""\n"');
+    expect(escapeCsv(null)).toBe('');
+    expect(escapeCsv(0)).toBe('0');
+  });
+
+  test('should write one row per sequence, frame and keypoint in long layout', async () => {
+    const file = path.join(dataPath, 'exports', 'long.csv');
+    const result = await exportCsv(dataPath, file);
+
+    expect(result).toMatchObject({ success: true, layout: 'long', sequences: 2, rows: (2 + 3) * 17 });
+
+    const [header, ...rows] = readCsv(file);
+    expect(header).toEqual([
+      'session', 'sequence_id', 'sequence', 'tag', 'recorded_at', 'duration', 'pose_count', 'avg_confidence',
+      'keypoint_quality', 'frame_rate', 'skeleton', 'frame', 'frame_timestamp', 'part', 'x', 'y', 'confidence', 'visible'
+    ]);
+
+    const row = Object.fromEntries(header.map((column, i) => [column, rows[17][i]]));
+    expect(row).toMatchObject({
+      session: 'session_a', sequence: 'seq1', tag: 'walking', duration: '33', pose_count: '2',
+      skeleton: 'posenet', frame: '1', frame_timestamp: '1033', part: 'nose', x: '101', y: '50', visible: '1'
+    });
+
+    // Missing keypoints have empty coordinates
+    const missing = rows[1];
+    expect(missing[header.indexOf('part')]).toBe('leftEye');
+    expect(missing[header.indexOf('x')]).toBe('');
+    expect(missing[header.indexOf('confidence')]).toBe('0');
+  });
+
+  test('should write one row per frame in wide layout for a single session', async () => {
+    const file = path.join(dataPath, 'wide.csv');
+    const result = await exportCsv(dataPath, file, { layout: 'wide', session: 'session_b' });
+
+    expect(result).toMatchObject({ success: true, sequences: 1, rows: 3 });
+
+    const [header, ...rows] = readCsv(file);
+    expect(header.slice(13, 16)).toEqual(['nose_x', 'nose_y', 'nose_conf']);
+    expect(header).toHaveLength(13 + 17 * 3);
+    expect(rows[2][header.indexOf('nose_x')]).toBe('102');
+    expect(rows[2][header.indexOf('leftWrist_x')]).toBe('80');
+    expect(rows[2][header.indexOf('leftWrist_conf')]).toBe('0.2');
+    expect(rows.every(row => row[0] === 'session_b')).toBe(true);
+  });
+
+  test('should report an output path that cannot be written', async () => {
+    const result = await exportCsv(dataPath, path.join(dataPath, 'sessions'));
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('EXPORT_ERROR');
+    expect(fs.statSync(path.join(dataPath, 'sessions')).isDirectory()).toBe(true);
+  });
+
+  test('should reject unknown layouts', async () => {
+    const result = await exportCsv(dataPath, path.join(dataPath, 'x.csv'), { layout: 'pivot' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('VALIDATION_ERROR');
+  });
+});
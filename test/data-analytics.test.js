@@ -0,0 +1,191 @@
+/**
+ * Project data utilities tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { iterateSequences, collectAllTags, renameTag, mergeTags } = require('../src/utils/data-analytics');
+const { loadSessionSequences } = require('../src/session');
+
+describe('Project Data Utilities', () => {
+  let projectPath;
+
+  const writeSession = (name, lines) => {
+    const sessionDir = path.join(projectPath, 'sessions', name);
+    fs.mkdirSync(sessionDir, { recursive: true });
+    fs.writeFileSync(path.join(sessionDir, 'sequences.jsonl'), lines.join('\n') + '\n');
+    return sessionDir;
+  };
+
+  const sequenceLine = (id, tag) => JSON.stringify({ id, session: 'x', tag, poses: [] });
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-project-'));
+    writeSession('session_a', [sequenceLine('a1', 'walking'), sequenceLine('a2', 'jump')]);
+    writeSession('session_b', [sequenceLine('b1', 'walking'), '{ broken', sequenceLine('b2', 'running')]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  describe('iterateSequences', () => {
+    test('should stream sequences across sessions and report malformed lines', async () => {
+      const issues = [];
+      const ids = [];
+
+      for await (const entry of iterateSequences(projectPath, {}, { onError: issue => issues.push(issue) })) {
+        ids.push(`${entry.session}:${entry.sequence.id}`);
+      }
+
+      expect(ids).toEqual(['session_a:a1', 'session_a:a2', 'session_b:b1', 'session_b:b2']);
+      expect(issues).toHaveLength(1);
+      expect(issues[0].line).toBe(2);
+      expect(issues[0].file).toContain('session_b');
+    });
+
+    test('should apply session, tag and function filters', async () => {
+      const collect = async (filter) => {
+        const ids = [];
+        for await (const { sequence } of iterateSequences(projectPath, filter, { onError: () => {} })) {
+          ids.push(sequence.id);
+        }
+        return ids;
+      };
+
+      expect(await collect({ sessions: ['session_b'] })).toEqual(['b1', 'b2']);
+      expect(await collect({ tags: ['walking'] })).toEqual(['a1', 'b1']);
+      expect(await collect((sequence, context) => context.line === 1)).toEqual(['a1', 'b1']);
+    });
+
+    test('should resample yielded sequences without changing stored data', async () => {
+      const poses = [0, 100, 200].map(timestamp => ({
+        keypoints: [{ part: 'nose', position: { x: timestamp, y: 0 }, confidence: 0.9, visible: true }],
+        confidence: 0.9,
+        timestamp
+      }));
+      const sessionDir = writeSession('session_c', [JSON.stringify({ id: 'c1', tag: 'walking', poses, metadata: {} })]);
+      const stored = fs.readFileSync(path.join(sessionDir, 'sequences.jsonl'), 'utf8');
+
+      const counts = [];
+      for await (const { sequence } of iterateSequences(projectPath, { sessions: ['session_c'] }, { resample: { fps: 20 } })) {
+        counts.push(sequence.poses.length);
+        expect(sequence.metadata.resampling.original.frame_count).toBe(3);
+      }
+
+      expect(counts).toEqual([5]);
+      expect(fs.readFileSync(path.join(sessionDir, 'sequences.jsonl'), 'utf8')).toBe(stored);
+    });
+
+    test('should allow callers to stop early', async () => {
+      const ids = [];
+      for await (const { sequence } of iterateSequences(projectPath)) {
+        ids.push(sequence.id);
+        if (ids.length === 1) break;
+      }
+
+      expect(ids).toEqual(['a1']);
+    });
+
+    test('should yield nothing for a project without sessions', async () => {
+      const emptyPath = path.join(projectPath, 'missing');
+      const entries = [];
+      for await (const entry of iterateSequences(emptyPath)) {
+        entries.push(entry);
+      }
+
+      expect(entries).toEqual([]);
+    });
+  });
+
+  describe('collectAllTags', () => {
+    test('should collect sorted unique tags', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await collectAllTags(projectPath)).toEqual(['jump', 'running', 'walking']);
+      expect(warn).toHaveBeenCalledTimes(1);
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('loadSessionSequences', () => {
+    test('should load valid sequences and list skipped lines', async () => {
+      const result = await loadSessionSequences(path.join(projectPath, 'sessions', 'session_b'));
+
+      expect(result.success).toBe(true);
+      expect(result.sequences.map(sequence => sequence.id)).toEqual(['b1', 'b2']);
+      expect(result.malformedLines).toHaveLength(1);
+    });
+
+    test('should fail for a missing session file', async () => {
+      const result = await loadSessionSequences(path.join(projectPath, 'sessions', 'missing'));
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SEQUENCES_LOAD_ERROR');
+    });
+  });
+
+  describe('Tag rename and merge', () => {
+    beforeEach(() => {
+      writeSession('session_c', [sequenceLine('c1', 'Jump'), sequenceLine('c2', 'jumping'), sequenceLine('c3', 'walking')]);
+    });
+
+    const readTags = (session) => fs.readFileSync(path.join(projectPath, 'sessions', session, 'sequences.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .filter(line => !line.startsWith('{ broken'))
+      .map(line => JSON.parse(line).tag);
+
+    test('should merge tags across sessions and update metadata', async () => {
+      const result = await mergeTags(projectPath, ['Jump', 'jumping'], 'jump');
+
+      expect(result.success).toBe(true);
+      expect(result.totalChanged).toBe(2);
+      expect(result.sessions).toEqual([{ session: 'session_c', changed: 2 }]);
+      expect(readTags('session_c')).toEqual(['jump', 'jump', 'walking']);
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(projectPath, 'sessions', 'session_c', 'metadata.json'), 'utf8'));
+      expect(metadata.statistics.pose_distribution).toEqual({ jump: 2, walking: 1 });
+    });
+
+    test('should rename a tag in every session', async () => {
+      const result = await renameTag(projectPath, 'walking', 'walk');
+
+      expect(result.totalChanged).toBe(3);
+      expect(result.sessions.map(session => session.session)).toEqual(['session_a', 'session_b', 'session_c']);
+      expect(readTags('session_b')).toEqual(['walk', 'running']);
+    });
+
+    test('should only report changes in dry-run mode', async () => {
+      const result = await renameTag(projectPath, 'walking', 'walk', { dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.totalChanged).toBe(3);
+      expect(readTags('session_a')).toEqual(['walking', 'jump']);
+      expect(fs.existsSync(path.join(projectPath, 'sessions', 'session_a', 'metadata.json'))).toBe(false);
+    });
+
+    test('should report sessions already rewritten when one fails', async () => {
+      const brokenFile = path.join(projectPath, 'sessions', 'session_b', 'sequences.jsonl');
+      fs.rmSync(brokenFile);
+      fs.mkdirSync(brokenFile);
+
+      const result = await renameTag(projectPath, 'walking', 'walk');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TAG_MERGE_ERROR');
+      expect(result.failedSession).toBe('session_b');
+      expect(result.sessions).toEqual([{ session: 'session_a', changed: 1 }]);
+      expect(readTags('session_a')).toEqual(['walk', 'jump']);
+    });
+
+    test('should reject an invalid target tag', async () => {
+      const result = await renameTag(projectPath, 'walking', '');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
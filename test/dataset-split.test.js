@@ -0,0 +1,99 @@
+/**
+ * Dataset split tests
+ */
+
+const path = require('path');
+const {
+  validateRatios,
+  assignGroups,
+  splitProject,
+  loadSplitManifest,
+  createSplitFilter
+} = require('../src/utils/dataset-split');
+const { exportCsv } = require('../src/utils/csv-export');
+const { createPoses: createFixturePoses, createProject, removeProject } = require('./helpers/fixtures');
+
+const createPoses = () => createFixturePoses(2, { parts: ['nose'], start: 0 });
+
+describe('Dataset Splits', () => {
+  test('should validate ratios', () => {
+    expect(validateRatios({ train: 0.8, test: 0.2 }).isValid).toBe(true);
+    expect(validateRatios({ train: -1 }).isValid).toBe(false);
+    expect(validateRatios({ train: 0, test: 0 }).isValid).toBe(false);
+    expect(validateRatios(null).isValid).toBe(false);
+  });
+
+  test('should balance tags across splits while keeping groups whole', () => {
+    const groups = Array.from({ length: 20 }, (_, i) => ({
+      key: `g${i}`,
+      size: 4,
+      tags: i % 2 === 0 ? { walk: 3, jump: 1 } : { walk: 1, jump: 3 }
+    }));
+
+    const assigned = assignGroups(groups, { train: 0.5, val: 0.25, test: 0.25 }, 7);
+
+    expect(Object.values(assigned).flat().sort()).toEqual(groups.map(group => group.key).sort());
+    expect(assigned.train).toHaveLength(10);
+    expect(assigned.val).toHaveLength(5);
+    expect(assigned.test).toHaveLength(5);
+    expect(assigned).toEqual(assignGroups(groups, { train: 0.5, val: 0.25, test: 0.25 }, 7));
+  });
+
+  describe('splitProject', () => {
+    let dataPath;
+
+    beforeEach(async () => {
+      dataPath = await createProject('split', Array.from({ length: 10 }, (_, s) => [
+        [`session_${s}`, 'a', createPoses(), 'walking'],
+        [`session_${s}`, 'b', createPoses(), s < 5 ? 'walking' : 'jump']
+      ]).flat());
+    });
+
+    afterEach(() => {
+      removeProject(dataPath);
+    });
+
+    test('should write a reproducible manifest without session leakage', async () => {
+      const output = path.join(dataPath, 'exports', 'splits.json');
+      const result = await splitProject(dataPath, { seed: 42, ratios: { train: 0.6, val: 0.2, test: 0.2 }, output });
+
+      expect(result.success).toBe(true);
+      const { splits } = result.manifest;
+      expect(Object.keys(splits)).toEqual(['train', 'val', 'test']);
+      expect(splits.train.groups).toHaveLength(6);
+      expect(splits.val.groups).toHaveLength(2);
+      expect(splits.train.sequence_ids).toHaveLength(12);
+
+      // Every split sees both tags, no session is in two splits
+      Object.values(splits).forEach(split => expect(Object.keys(split.tags).sort()).toEqual(['jump', 'walking']));
+      const groups = Object.values(splits).flatMap(split => split.groups);
+      expect(new Set(groups).size).toBe(10);
+
+      const loaded = await loadSplitManifest(output);
+      expect(loaded.data.splits).toEqual(splits);
+
+      const again = await splitProject(dataPath, { seed: 42, ratios: { train: 0.6, val: 0.2, test: 0.2 } });
+      expect(again.manifest.splits).toEqual(splits);
+    });
+
+    test('should group by a custom key and feed the exporters', async () => {
+      const subject = (sequence, { session }) => Number(session.split('_')[1]) % 2 === 0 ? 'even' : 'odd';
+      const result = await splitProject(dataPath, { ratios: { train: 1, test: 1 }, groupBy: subject });
+
+      expect(result.manifest.group_by).toBe('custom');
+      expect(result.manifest.splits.train.groups.length + result.manifest.splits.test.groups.length).toBe(2);
+
+      const file = path.join(dataPath, 'train.csv');
+      const exported = await exportCsv(dataPath, file, { layout: 'wide', filter: createSplitFilter(result.manifest, 'train') });
+      expect(exported.sequences).toBe(10);
+
+      expect(() => createSplitFilter(result.manifest, 'holdout')).toThrow('Invalid split');
+    });
+
+    test('should reject bad ratios and empty selections', async () => {
+      expect((await splitProject(dataPath, { ratios: {} })).code).toBe('VALIDATION_ERROR');
+      expect((await splitProject(dataPath, { filter: { tags: ['none'] } })).code).toBe('SEQUENCES_LOAD_ERROR');
+      expect((await loadSplitManifest(path.join(dataPath, 'missing.json'))).code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Gap filling tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { fillGaps, resolveGapFilling } = require('../src/utils/gap-filling');
+const { addSequence } = require('../src/tagger');
+
+// Left wrist moving along x = 100 + 10i, y = 200 + i^2, occluded in the given frames
+const createPoses = (count, occluded = []) => Array.from({ length: count }, (_, i) => ({
+  keypoints: [
+    { part: 'nose', position: { x: 50, y: 50 }, score: 0.9 },
+    ...(occluded.includes(i) ? [] : [{ part: 'leftWrist', position: { x: 100 + i * 10, y: 200 + i * i }, score: 0.8 }])
+  ],
+  score: 0.9,
+  timestamp: 1000 + i * 33
+}));
+
+const wrist = pose => pose.keypoints.find(kp => kp.part === 'leftWrist');
+
+describe('Gap Filling', () => {
+  test('should fill gaps linearly and flag the points', () => {
+    const poses = normalizePoses(createPoses(6, [2, 3]), { fillGaps: true });
+
+    expect(wrist(poses[2])).toEqual({
+      part: 'leftWrist',
+      position: { x: 120, y: 206 },
+      confidence: 0.8,
+      visible: true,
+      interpolated: true
+    });
+    expect(wrist(poses[3]).position.x).toBe(130);
+    expect(wrist(poses[1]).interpolated).toBeUndefined();
+  });
+
+  test('should follow curved motion with cubic interpolation', () => {
+    const poses = normalizePoses(createPoses(8, [3, 4]), { fillGaps: 'cubic' });
+    const linear = normalizePoses(createPoses(8, [3, 4]), { fillGaps: 'linear' });
+
+    // True y at frame 3 is 209
+    expect(Math.abs(wrist(poses[3]).position.y - 209)).toBeLessThan(Math.abs(wrist(linear[3]).position.y - 209));
+    expect(wrist(poses[3]).interpolated).toBe(true);
+  });
+
+  test('should leave gaps longer than maxGap and sequence ends alone', () => {
+    const poses = normalizePoses(createPoses(8, [0, 3, 4, 5]), { fillGaps: { maxGap: 2 } });
+
+    expect(wrist(poses[0])).toEqual({ part: 'leftWrist', position: { x: 0, y: 0 }, confidence: 0, visible: false });
+    [3, 4, 5].forEach(index => {
+      expect(wrist(poses[index]).visible).toBe(false);
+    });
+  });
+
+  test('should fill low-confidence keypoints', () => {
+    const raw = createPoses(3);
+    raw[1].keypoints[1].score = 0.1;
+
+    const { poses, filled } = fillGaps(normalizePoses(raw));
+
+    expect(filled).toBe(1);
+    expect(wrist(poses[1]).position).toEqual({ x: 110, y: 202 });
+  });
+
+  test('should resolve defaults and reject bad settings', () => {
+    expect(resolveGapFilling(true)).toEqual({ method: 'linear', maxGap: 10 });
+    expect(resolveGapFilling('cubic')).toEqual({ method: 'cubic', maxGap: 10 });
+    expect(() => resolveGapFilling({ method: 'spline' })).toThrow('method must be one of');
+    expect(() => resolveGapFilling({ maxGap: 0 })).toThrow('maxGap');
+  });
+
+  test('should record the settings in metadata.normalization', () => {
+    const result = addSequence('gaps', 'seq1', createPoses(6, [2, 3]), 'waving', null, {
+      fillGaps: { method: 'cubic', maxGap: 4 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.metadata.normalization.gap_filling).toEqual({
+      method: 'cubic',
+      max_gap: 4,
+      interpolated_keypoints: 2
+    });
+  });
+});
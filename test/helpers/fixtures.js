@@ -0,0 +1,61 @@
+/**
+ * Shared test fixtures - pose factory and temporary projects with saved sessions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveSequence } = require('../../src/tagger');
+
+// Nose moving 1px right per frame, low score left wrist, fixed right ankle
+const defaultKeypoints = (i) => [
+  { part: 'nose', position: { x: 100 + i, y: 50 }, score: 0.9 },
+  { part: 'leftWrist', position: { x: 80, y: 120 }, score: 0.2 },
+  { part: 'rightAnkle', position: { x: 140, y: 200 }, score: 0.8 }
+];
+
+/**
+ * Create raw poses, keypoints(i) builds the keypoints of frame i
+ * @param {number} count - Number of poses
+ * @param {Object} options - { keypoints, parts, start, interval }
+ *   parts keeps only the named keypoints, timestamps run from start every interval ms
+ */
+const createPoses = (count, { keypoints = defaultKeypoints, parts = null, start = 1000, interval = 33 } = {}) => (
+  Array.from({ length: count }, (_, i) => ({
+    keypoints: keypoints(i).filter(kp => !parts || parts.includes(kp.part)),
+    score: 0.9,
+    timestamp: start + i * interval
+  }))
+);
+
+/**
+ * Create a temporary data folder and save the given sequences into it
+ * @param {string} name - Folder name prefix
+ * @param {Array} sequences - saveSequence arguments [session, sequence, poses, tag, frame, options]
+ * @returns {Promise<string>} Data path
+ */
+const createProject = async (name, sequences = []) => {
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), `zdg-${name}-`));
+
+  for (const [session, sequence, poses, tag, frame = null, options = {}] of sequences) {
+    const result = await saveSequence(session, sequence, poses, tag, frame, { ...options, dataPath });
+    if (!result.success) {
+      throw new Error(`Fixture ${session}/${sequence} not saved: ${result.error}`);
+    }
+  }
+
+  return dataPath;
+};
+
+/**
+ * Remove a data folder created by createProject
+ */
+const removeProject = (dataPath) => {
+  fs.rmSync(dataPath, { recursive: true, force: true });
+};
+
+module.exports = {
+  createPoses,
+  createProject,
+  removeProject
+};
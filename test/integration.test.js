@@ -2,7 +2,10 @@
  * Integration tests for the complete tagger workflow
  */
 
-const { addSequence } = require('../src/tagger');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addSequence, saveSequence } = require('../src/tagger');
 
 describe('Integration Tests', () => {
   const mockValidSequence = {
@@ -325,4 +328,98 @@ describe('Integration Tests', () => {
       expect(deserialized.poses[0].keypoints).toHaveLength(17);
     });
   });
+
+  describe('Node Persistence', () => {
+    const frame = 'data:image/png;base64,iVBORw0KGgo=';
+    let dataPath;
+
+    beforeEach(() => {
+      dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-integration-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('should write JSONL, frame and metadata under dataPath', async () => {
+      const result = await saveSequence(
+        mockValidSequence.session,
+        mockValidSequence.sequence,
+        mockValidSequence.poses,
+        mockValidSequence.tag,
+        frame,
+        { saveFrame: true, dataPath }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.poseCount).toBe(2);
+
+      const sessionDir = path.join(dataPath, 'sessions', 'integration_test');
+      const lines = fs.readFileSync(path.join(sessionDir, 'sequences.jsonl'), 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).id).toBe(result.data.id);
+
+      expect(fs.existsSync(result.data.frameReference)).toBe(true);
+      expect(fs.readdirSync(path.join(sessionDir, 'frames'))).toHaveLength(1);
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(sessionDir, 'metadata.json'), 'utf8'));
+      expect(metadata.sequence_count).toBe(1);
+      expect(metadata.tags).toEqual(['walking_forward']);
+      expect(metadata.statistics.total_frames).toBe(2);
+      expect(result.warnings).toBeUndefined();
+    });
+
+    test('should warn when the frame image cannot be written', async () => {
+      // The frame is the first file written
+      const writeFile = jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await saveSequence('integration_test', 'seq1', mockValidSequence.poses, 'walking', frame, {
+        saveFrame: true,
+        dataPath
+      });
+      writeFile.mockRestore();
+
+      expect(result.success).toBe(true);
+      expect(result.data.frameReference).toBeNull();
+      expect(result.warnings).toEqual(['Frame not saved: disk full']);
+
+      const stored = JSON.parse(fs.readFileSync(result.data.sessionPath, 'utf8').trim());
+      expect(stored.frame_reference).toBeNull();
+    });
+
+    test('should store 3D keypoints and declare the dimensionality', async () => {
+      const poses = [{
+        keypoints: [{ part: 'nose', position: { x: 320, y: 240, z: -5 }, worldPosition: { x: 0, y: -0.6, z: -0.1 }, score: 0.9 }],
+        timestamp: 1000
+      }];
+
+      const result = await saveSequence('depth', 'seq1', poses, 'walking', null, { dataPath });
+      expect(result.success).toBe(true);
+
+      const stored = JSON.parse(fs.readFileSync(result.data.sessionPath, 'utf8').trim());
+      expect(stored.metadata.dimensions).toBe(3);
+      expect(stored.metadata.world_coordinates).toBe(true);
+      expect(stored.poses[0].keypoints[0].position.z).toBe(-5);
+      expect(stored.poses[0].keypoints[0].worldPosition).toEqual({ x: 0, y: -0.6, z: -0.1 });
+    });
+
+    test('should append subsequent sequences to the same session', async () => {
+      const options = { saveFrame: false, dataPath };
+      await saveSequence(mockValidSequence.session, 'seq_a', mockValidSequence.poses, 'walking', null, options);
+      await saveSequence(mockValidSequence.session, 'seq_b', mockValidSequence.poses, 'running', null, options);
+
+      const sessionDir = path.join(dataPath, 'sessions', 'integration_test');
+      const metadata = JSON.parse(fs.readFileSync(path.join(sessionDir, 'metadata.json'), 'utf8'));
+      expect(metadata.sequence_count).toBe(2);
+      expect(metadata.statistics.pose_distribution).toEqual({ walking: 1, running: 1 });
+    });
+
+    test('should not write anything for invalid input', async () => {
+      const result = await saveSequence('', 'seq', mockValidSequence.poses, 'tag', null, { dataPath });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VALIDATION_ERROR');
+      expect(fs.readdirSync(dataPath)).toHaveLength(0);
+    });
+  });
 });
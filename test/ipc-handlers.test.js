@@ -0,0 +1,131 @@
+/**
+ * Electron main process IPC handler tests (no electron required)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSequenceHandlers } = require('../src/ipc-handlers');
+const { configureProject, resetProjectConfig } = require('../src/config');
+const { resolveWithinRoot } = require('../src/utils/path-guard');
+
+describe('IPC Handlers', () => {
+  const frame = 'data:image/png;base64,iVBORw0KGgo=';
+  const sequenceData = {
+    id: 'demo_seq_1',
+    session: 'demo',
+    sequence: 'seq_1',
+    tag: 'walking',
+    timestamp: 1000,
+    poses: [{ keypoints: [], confidence: 0.9, timestamp: 1000 }]
+  };
+
+  let dataPath;
+  let handlers;
+
+  beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-ipc-'));
+    configureProject({ dataPath });
+    handlers = createSequenceHandlers();
+  });
+
+  afterEach(() => {
+    resetProjectConfig();
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  describe('zdg-save-sequence', () => {
+    test('should save under the data root from identifiers only', async () => {
+      const result = await handlers['zdg-save-sequence']({}, {
+        session: 'demo',
+        sequence: 'seq_1',
+        data: sequenceData,
+        frameData: frame
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.sessionPath).toBe(path.join(dataPath, 'sessions', 'demo', 'sequences.jsonl'));
+      expect(result.data.frameReference.startsWith(path.join(dataPath, 'sessions', 'demo', 'frames'))).toBe(true);
+      expect(fs.existsSync(result.data.frameReference)).toBe(true);
+    });
+
+    test('should ignore paths sent by the renderer', async () => {
+      const outside = path.join(dataPath, '..', `zdg-outside-${process.pid}.jsonl`);
+      const result = await handlers['zdg-save-sequence']({}, {
+        session: 'demo',
+        sequence: 'seq_1',
+        sessionPath: outside,
+        frameReference: outside,
+        data: { ...sequenceData, frame_reference: outside }
+      });
+
+      expect(result.success).toBe(true);
+      expect(fs.existsSync(outside)).toBe(false);
+
+      const stored = JSON.parse(fs.readFileSync(result.data.sessionPath, 'utf8'));
+      expect(stored.frame_reference).toBeNull();
+    });
+
+    test.each([
+      ['../escape'],
+      ['..'],
+      ['a/b'],
+      ['/etc']
+    ])('should reject traversal in session name %s', async (session) => {
+      const result = await handlers['zdg-save-sequence']({}, { session, sequence: 'seq_1', data: sequenceData });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PATH_TRAVERSAL_ERROR');
+    });
+
+    test('should reject traversal in the sequence name', async () => {
+      const result = await handlers['zdg-save-sequence']({}, { session: 'demo', sequence: '../../x', data: sequenceData, frameData: frame });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PATH_TRAVERSAL_ERROR');
+    });
+
+    test('should reject invalid sequence data', async () => {
+      const result = await handlers['zdg-save-sequence']({}, { session: 'demo', sequence: 'seq_1', data: { ...sequenceData, tag: '' } });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('session channels', () => {
+    test('should read sessions and metadata by name only', async () => {
+      await handlers['zdg-save-sequence']({}, { session: 'demo', sequence: 'seq_1', data: sequenceData });
+
+      const sessions = await handlers['zdg-list-sessions']({}, '/etc');
+      expect(sessions.sessions.map(session => session.name)).toEqual(['demo']);
+
+      const metadata = await handlers['zdg-load-session-metadata']({}, 'demo');
+      expect(metadata.data.sequence_count).toBe(1);
+
+      const traversal = await handlers['zdg-load-session-metadata']({}, '../../etc');
+      expect(traversal.code).toBe('PATH_TRAVERSAL_ERROR');
+    });
+
+    test('should edit sequences by session name and id', async () => {
+      await handlers['zdg-save-sequence']({}, { session: 'demo', sequence: 'seq_1', data: sequenceData });
+
+      const retag = await handlers['zdg-retag-sequence']({}, 'demo', 'demo_seq_1', 'running');
+      expect(retag.success).toBe(true);
+
+      const traversal = await handlers['zdg-delete-sequence']({}, '..', 'demo_seq_1');
+      expect(traversal.code).toBe('PATH_TRAVERSAL_ERROR');
+
+      const deleted = await handlers['zdg-delete-sequence']({}, 'demo', 'demo_seq_1');
+      expect(deleted.success).toBe(true);
+    });
+  });
+
+  describe('resolveWithinRoot', () => {
+    test('should allow paths inside the root and reject escapes', () => {
+      expect(resolveWithinRoot(dataPath, 'sessions', 'a')).toBe(path.join(dataPath, 'sessions', 'a'));
+      expect(() => resolveWithinRoot(dataPath, '..', 'x')).toThrow('escapes the data root');
+      expect(() => resolveWithinRoot(dataPath, '/etc/passwd')).toThrow('escapes the data root');
+    });
+  });
+});
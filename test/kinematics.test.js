@@ -0,0 +1,96 @@
+/**
+ * Kinematic feature tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { computeKinematics, computeJointAngles, computeCenterOfMass } = require('../src/utils/kinematics');
+const { resampleSequence } = require('../src/utils/resampling');
+const { addSequence } = require('../src/tagger');
+
+// Left arm bent at 90 degrees, body moving 10px per frame (300px/s at 30fps)
+const createRawPoses = (count = 4) => Array.from({ length: count }, (_, i) => {
+  const x = i * 10;
+  return {
+    keypoints: [
+      { part: 'nose', position: { x: 100 + x, y: 0 }, score: 0.9 },
+      { part: 'leftShoulder', position: { x: 100 + x, y: 100 }, score: 0.9 },
+      { part: 'leftElbow', position: { x: 100 + x, y: 200 }, score: 0.9 },
+      { part: 'leftWrist', position: { x: 200 + x, y: 200 }, score: 0.9 },
+      { part: 'leftHip', position: { x: 100 + x, y: 300 }, score: 0.9 },
+      { part: 'rightHip', position: { x: 140 + x, y: 300 }, score: 0.9 }
+    ],
+    score: 0.9,
+    timestamp: Math.round(i * 1000 / 30)
+  };
+});
+
+describe('Kinematics', () => {
+  const poses = normalizePoses(createRawPoses().map(pose => ({ ...pose, timestamp: undefined })), { sourceFps: 25 });
+
+  test('should compute joint angles of visible joints', () => {
+    const angles = computeJointAngles(poses[0]);
+
+    expect(angles.leftElbow).toBe(90);
+    expect(angles.leftShoulder).toBe(0);
+    expect(angles.rightElbow).toBeNull();
+    expect(Object.keys(angles)).toEqual([
+      'leftElbow', 'rightElbow', 'leftShoulder', 'rightShoulder', 'leftHip', 'rightHip', 'leftKnee', 'rightKnee'
+    ]);
+  });
+
+  test('should use z for 3D angles', () => {
+    const pose = {
+      keypoints: [
+        { part: 'leftShoulder', position: { x: 0, y: 0, z: 0 }, visible: true },
+        { part: 'leftElbow', position: { x: 0, y: 10, z: 0 }, visible: true },
+        { part: 'leftWrist', position: { x: 0, y: 10, z: 10 }, visible: true }
+      ]
+    };
+
+    expect(computeJointAngles(pose).leftElbow).toBe(90);
+  });
+
+  test('should compute velocities and accelerations from timestamps', () => {
+    const { frames } = computeKinematics(poses);
+
+    // 10px every 40ms
+    expect(frames[0].velocities.nose).toEqual({ x: 250, y: 0, speed: 250 });
+    expect(frames[1].velocities.nose.speed).toBe(250);
+    expect(frames[1].accelerations.nose).toEqual({ x: 0, y: 0, magnitude: 0 });
+    expect(frames[0].velocities.leftKnee).toBeNull();
+    expect(frames[0].motion_energy).toBe(6 * 250 ** 2);
+  });
+
+  test('should compute a mass weighted center of mass', () => {
+    const center = computeCenterOfMass(poses[0]);
+
+    // Nose, shoulder, elbow, wrist, hips carry mass; right side parts are missing
+    const total = 0.081 + 0.12425 + 0.028 + 0.022 + 0.12425 * 2;
+    expect(center.x).toBeCloseTo((0.081 * 100 + 0.12425 * 100 + 0.028 * 100 + 0.022 * 200 + 0.12425 * 240) / total, 3);
+    expect(computeCenterOfMass({ keypoints: [] })).toBeNull();
+  });
+
+  test('should summarize the sequence', () => {
+    const { summary } = computeKinematics(poses);
+
+    expect(summary.angle_ranges.leftElbow).toEqual({ min: 90, max: 90, mean: 90 });
+    expect(summary.angle_ranges.rightKnee).toBeNull();
+    expect(summary.center_of_mass_distance).toBeCloseTo(30, 2);
+    expect(summary.mean_motion_energy).toBe(6 * 250 ** 2);
+  });
+
+  test('should append features to the record at save time only when asked', () => {
+    const plain = addSequence('kinematics', 'seq1', createRawPoses(), 'walking', null);
+    const withFeatures = addSequence('kinematics', 'seq1', createRawPoses(), 'walking', null, { features: true });
+
+    expect(plain.data.features).toBeUndefined();
+    expect(withFeatures.data.features.frames).toHaveLength(4);
+    expect(withFeatures.data.features.frames[0].angles.leftElbow).toBe(90);
+  });
+
+  test('should recompute stored features when resampling', () => {
+    const { data } = addSequence('kinematics', 'seq1', createRawPoses(), 'walking', null, { features: true });
+
+    expect(resampleSequence(data, { frames: 7 }).features.frames).toHaveLength(7);
+  });
+});
@@ -150,4 +150,52 @@ describe('Pose Normalization', () => {
       expect(normalized[2].confidence).toBe(0.85);
     });
   });
+
+  describe('3D keypoints', () => {
+    const pose3D = {
+      keypoints: [
+        { part: 'nose', position: { x: 320, y: 240, z: -10.12345 }, worldPosition: { x: 0.01, y: -0.6, z: -0.25 }, score: 0.9 },
+        { part: 'leftHip', position: { x: 290, y: 500, z: 20 }, worldPosition: { x: 0.1, y: 0, z: 0.05 }, score: 0.8 }
+      ],
+      score: 0.85
+    };
+
+    test('should keep z and world coordinates', () => {
+      const normalized = normalizeSinglePose(pose3D);
+      const nose = normalized.keypoints.find(kp => kp.part === 'nose');
+      
+      expect(nose.position).toEqual({ x: 320, y: 240, z: -10.123 });
+      expect(nose.worldPosition).toEqual({ x: 0.01, y: -0.6, z: -0.25 });
+    });
+
+    test('should give missing keypoints the same layout', () => {
+      const normalized = normalizeSinglePose(pose3D);
+      const rightEar = normalized.keypoints.find(kp => kp.part === 'rightEar');
+      
+      expect(rightEar.position).toEqual({ x: 0, y: 0, z: 0 });
+      expect(rightEar.worldPosition).toEqual({ x: 0, y: 0, z: 0 });
+    });
+
+    test('should compute a bounding volume', () => {
+      const normalized = normalizeSinglePose(pose3D);
+      
+      expect(normalized.bbox).toEqual({ x: 290, y: 240, width: 30, height: 260, z: -10.123, depth: 30.123 });
+    });
+
+    test('should use one layout for the whole sequence', () => {
+      const pose2D = { keypoints: [{ part: 'nose', position: { x: 1, y: 2 }, score: 0.9 }] };
+      const normalized = normalizePoses([pose2D, pose3D]);
+      
+      expect(normalized[0].keypoints[0].position).toEqual({ x: 1, y: 2, z: 0 });
+      expect(normalized[0].keypoints[0].worldPosition).toEqual({ x: 0, y: 0, z: 0 });
+    });
+
+    test('should keep 2D poses unchanged', () => {
+      const normalized = normalizeSinglePose(mockPoseWithExtraKeypoints);
+      
+      expect(normalized.keypoints[0].position).toEqual({ x: 320, y: 240 });
+      expect(normalized.keypoints[0].worldPosition).toBeUndefined();
+      expect(normalized.bbox.depth).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,171 @@
+/**
+ * NumPy export tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { encodeNpy, createZip, exportNumpy } = require('../src/utils/numpy-export');
+const { crc32 } = require('../src/utils/encoding');
+const { saveSequence } = require('../src/tagger');
+const { createPoses: createFixturePoses, createProject, removeProject } = require('./helpers/fixtures');
+
+// Minimal .npy reader: header dict and raw data
+const readNpy = (buffer) => {
+  const headerLength = buffer.readUInt16LE(8);
+  const header = buffer.toString('latin1', 10, 10 + headerLength);
+  const descr = header.match(/'descr': '([^']+)'/)[1];
+  const shape = header.match(/'shape': \(([^)]*)\)/)[1].split(',').filter(Boolean).map(Number);
+  const data = buffer.subarray(10 + headerLength);
+
+  let values;
+  if (descr === '<f4') values = Array.from({ length: data.length / 4 }, (_, i) => data.readFloatLE(i * 4));
+  else if (descr === '<i4') values = Array.from({ length: data.length / 4 }, (_, i) => data.readInt32LE(i * 4));
+  else {
+    const width = Number(descr.slice(2));
+    values = Array.from({ length: shape[0] }, (_, row) => Array.from({ length: width }, (_, column) =>
+      data.readUInt32LE((row * width + column) * 4)).filter(Boolean).map(code => String.fromCodePoint(code)).join(''));
+  }
+
+  return { descr, shape, values, headerLength };
+};
+
+// Minimal zip reader following local headers
+const readZip = (buffer) => {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const checksum = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const raw = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : raw;
+
+    expect(crc32(data)).toBe(checksum);
+    entries[name] = data;
+    offset += 30 + nameLength + size;
+  }
+  return entries;
+};
+
+const createPoses = (count, offset = 0) => createFixturePoses(count, {
+  keypoints: (i) => [
+    { part: 'nose', position: { x: 100 + i + offset, y: 50 }, score: 0.9 },
+    { part: 'leftWrist', position: { x: 80, y: 120 + i }, score: 0.6 }
+  ],
+  start: 0,
+  interval: 100
+});
+
+describe('NumPy Export', () => {
+  describe('encodeNpy', () => {
+    test('should write a 64 byte aligned v1.0 header', () => {
+      const buffer = encodeNpy(new Float32Array([1.5, -2, 3, 4, 5, 6]), [2, 3]);
+
+      expect(buffer.subarray(0, 8)).toEqual(Buffer.from([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]));
+      const { descr, shape, values, headerLength } = readNpy(buffer);
+      expect((10 + headerLength) % 64).toBe(0);
+      expect(descr).toBe('<f4');
+      expect(shape).toEqual([2, 3]);
+      expect(values).toEqual([1.5, -2, 3, 4, 5, 6]);
+    });
+
+    test('should write 1-D int and unicode arrays', () => {
+      expect(readNpy(encodeNpy(new Int32Array([3, 1]))).shape).toEqual([2]);
+      expect(encodeNpy(new Int32Array([3, 1])).toString('latin1')).toContain("'shape': (2,)");
+
+      const text = readNpy(encodeNpy(['walk', 'jump_ü']));
+      expect(text.descr).toBe('<U6');
+      expect(text.values).toEqual(['walk', 'jump_ü']);
+    });
+
+    test('should reject unsupported data', () => {
+      expect(() => encodeNpy(new Float64Array(2))).toThrow('NPY data');
+    });
+  });
+
+  describe('createZip', () => {
+    test('should store and deflate members with checksums', () => {
+      const entries = [{ name: 'a.npy', data: Buffer.from('aaaa') }, { name: 'b.npy', data: Buffer.from('bb') }];
+
+      expect(readZip(createZip(entries))).toEqual({ 'a.npy': Buffer.from('aaaa'), 'b.npy': Buffer.from('bb') });
+      expect(readZip(createZip(entries, { compress: true }))['a.npy']).toEqual(Buffer.from('aaaa'));
+    });
+  });
+
+  describe('exportNumpy', () => {
+    let dataPath;
+    let outputDir;
+
+    beforeEach(async () => {
+      dataPath = await createProject('numpy', [
+        ['session_a', 'seq1', createPoses(3), 'walking'],
+        ['session_a', 'seq2', createPoses(5, 10), 'jump'],
+        ['session_b', 'seq3', createPoses(2), 'walking']
+      ]);
+      outputDir = path.join(dataPath, 'exports');
+    });
+
+    afterEach(() => {
+      removeProject(dataPath);
+    });
+
+    test('should export padded tensors, labels and indices as npz', async () => {
+      const result = await exportNumpy(dataPath, outputDir);
+
+      expect(result.success).toBe(true);
+      expect(result.shape).toEqual([3, 5, 17, 2]);
+      expect(result.tags).toEqual({ jump: 0, walking: 1 });
+
+      const entries = readZip(fs.readFileSync(path.join(outputDir, 'dataset.npz')));
+      expect(Object.keys(entries)).toEqual([
+        'poses.npy', 'mask.npy', 'lengths.npy', 'labels.npy', 'tags.npy', 'sequence_ids.npy', 'sessions.npy'
+      ]);
+
+      const poses = readNpy(entries['poses.npy']);
+      const mask = readNpy(entries['mask.npy']);
+      const at = (n, t, k, c) => poses.values[((n * 5 + t) * 17 + k) * 2 + c];
+
+      expect(poses.shape).toEqual([3, 5, 17, 2]);
+      expect(at(0, 2, 0, 0)).toBe(102);                        // nose x of seq1, frame 2
+      expect(at(0, 3, 0, 0)).toBe(0);                          // padding
+      expect(mask.values[(0 * 5 + 2) * 17 + 9]).toBeCloseTo(0.6); // leftWrist confidence
+      expect(mask.values[(0 * 5 + 3) * 17]).toBe(0);
+      expect(readNpy(entries['lengths.npy']).values).toEqual([3, 5, 2]);
+      expect(readNpy(entries['labels.npy']).values).toEqual([1, 0, 1]);
+      expect(readNpy(entries['tags.npy']).values).toEqual(['jump', 'walking']);
+      expect(readNpy(entries['sessions.npy']).values).toEqual(['session_a', 'session_a', 'session_b']);
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'dataset.json'), 'utf8'));
+      expect(manifest.tag_to_index).toEqual({ jump: 0, walking: 1 });
+      expect(manifest.sequence_ids).toEqual(readNpy(entries['sequence_ids.npy']).values);
+    });
+
+    test('should resample to T frames and write separate npy files', async () => {
+      const result = await exportNumpy(dataPath, outputDir, {
+        format: 'npy',
+        frames: 4,
+        fit: 'resample',
+        filter: { sessions: ['session_a'] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.shape).toEqual([2, 4, 17, 2]);
+
+      const poses = readNpy(fs.readFileSync(path.join(outputDir, 'dataset_poses.npy')));
+      // seq1 nose x 100..102 over 4 frames
+      expect([0, 1, 2, 3].map(t => poses.values[(t * 17) * 2])).toEqual([100, 100.667, 101.333, 102].map(v => Math.fround(v)));
+      expect(readNpy(fs.readFileSync(path.join(outputDir, 'dataset_lengths.npy'))).values).toEqual([4, 4]);
+    });
+
+    test('should reject mixed skeletons and bad options', async () => {
+      await saveSequence('session_c', 'seq4', createPoses(2), 'walking', null, { dataPath, skeleton: 'blazepose33' });
+
+      expect((await exportNumpy(dataPath, outputDir)).code).toBe('SKELETON_MISMATCH');
+      expect((await exportNumpy(dataPath, outputDir, { fit: 'stretch' })).code).toBe('VALIDATION_ERROR');
+      expect((await exportNumpy(dataPath, outputDir, { filter: { tags: ['none'] } })).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * OpenPose / MediaPipe import tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  openPosePersonToPose,
+  mediaPipeFrameToPose,
+  loadLabels,
+  segmentFrames,
+  importOpenPose,
+  importMediaPipe
+} = require('../src/utils/pose-import');
+const { iterateSequences } = require('../src/utils/data-analytics');
+
+// BODY_25 person: nose, neck and shoulders detected, everything else zero
+const body25Person = (x, confidence = 0.9) => {
+  const values = new Array(25 * 3).fill(0);
+  [[0, x, 50], [1, x, 80], [2, x - 20, 80], [5, x + 20, 80]].forEach(([k, px, py]) => {
+    values.splice(k * 3, 3, px, py, confidence);
+  });
+  return { person_id: [-1], pose_keypoints_2d: values };
+};
+
+const landmarks = (offset) => Array.from({ length: 33 }, (_, k) => ({
+  x: 0.5 + offset, y: k / 40, z: -0.1, visibility: k < 25 ? 0.9 : 0.1
+}));
+
+const collect = async (dataPath, session) => {
+  const sequences = [];
+  for await (const { sequence } of iterateSequences(dataPath, { sessions: [session] })) sequences.push(sequence);
+  return sequences;
+};
+
+describe('Pose Import', () => {
+  let dataPath;
+
+  beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-import-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  describe('frame mapping', () => {
+    test('should map OpenPose BODY_25 and COCO 18 keypoints, skipping undetected points', () => {
+      const pose = openPosePersonToPose(body25Person(100));
+      expect(pose.keypoints.map(kp => kp.part)).toEqual(['nose', 'neck', 'rightShoulder', 'leftShoulder']);
+      expect(pose.keypoints[2]).toEqual({ part: 'rightShoulder', position: { x: 80, y: 80 }, score: 0.9 });
+
+      const coco18 = openPosePersonToPose({ pose_keypoints_2d: [10, 20, 0.8, ...new Array(17 * 3).fill(0)] });
+      expect(coco18.keypoints).toEqual([{ part: 'nose', position: { x: 10, y: 20 }, score: 0.8 }]);
+    });
+
+    test('should map MediaPipe landmarks with visibility, z and world landmarks', () => {
+      const pose = mediaPipeFrameToPose({
+        pose_landmarks: { landmark: landmarks(0) },
+        world_landmarks: landmarks(0).map(() => ({ x: 0.1, y: -0.4, z: 0.05 }))
+      }, { width: 200, height: 100 });
+
+      expect(pose.keypoints).toHaveLength(33);
+      expect(pose.keypoints[11]).toMatchObject({
+        part: 'leftShoulder',
+        position: { x: 100, y: expect.closeTo(27.5), z: -20 },
+        score: 0.9,
+        worldPosition: { x: 0.1, y: -0.4, z: 0.05 }
+      });
+      expect(mediaPipeFrameToPose({ landmarks: [] })).toBeNull();
+    });
+  });
+
+  describe('labels', () => {
+    test('should read CSV and JSON label files', async () => {
+      const csv = path.join(dataPath, 'labels.csv');
+      fs.writeFileSync(csv, 'start,end,tag,sequence\n10,19,jump,\n0,9,walk,warmup\n');
+      expect(await loadLabels(csv)).toEqual([
+        { start: 0, end: 9, tag: 'walk', sequence: 'warmup' },
+        { start: 10, end: 19, tag: 'jump' }
+      ]);
+
+      const json = path.join(dataPath, 'labels.json');
+      fs.writeFileSync(json, JSON.stringify([{ start: 5, end: 2, tag: 'bad' }]));
+      await expect(loadLabels(json)).rejects.toThrow('Invalid label 1');
+    });
+
+    test('should cut frames into segments timed by frame index', () => {
+      const frames = [0, 1, 3, 4, 5].map(frame => ({ frame, pose: { keypoints: [], score: 1 } }));
+      const segments = segmentFrames(frames, [{ start: 0, end: 3, tag: 'a' }, { start: 4, end: 9, tag: 'b', sequence: 'named' }], {
+        clip: 'clip', sourceFps: 25
+      });
+
+      expect(segments.map(segment => [segment.sequence, segment.tag, segment.poses.length])).toEqual([
+        ['clip_0_3', 'a', 3], ['named', 'b', 2]
+      ]);
+      expect(segments[0].poses.map(pose => pose.timestamp)).toEqual([0, 40, 120]);
+    });
+  });
+
+  describe('importOpenPose', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = path.join(dataPath, 'openpose', 'clip01');
+      fs.mkdirSync(dir, { recursive: true });
+      for (let frame = 0; frame < 6; frame++) {
+        const people = frame === 2 ? [] : [body25Person(300, 0.4), body25Person(100 + frame)];
+        fs.writeFileSync(
+          path.join(dir, `clip01_${String(frame).padStart(12, '0')}_keypoints.json`),
+          JSON.stringify({ version: 1.3, people })
+        );
+      }
+    });
+
+    test('should save labeled segments as a regular session', async () => {
+      const result = await importOpenPose(dir, 'openpose_clip01', {
+        dataPath,
+        sourceFps: 10,
+        labels: [{ start: 0, end: 2, tag: 'stand' }, { start: 3, end: 5, tag: 'wave' }]
+      });
+
+      expect(result).toMatchObject({ success: true, frames: 5, failed: [] });
+      expect(result.imported).toHaveLength(2);
+
+      const [stand, wave] = await collect(dataPath, 'openpose_clip01');
+      expect(stand).toMatchObject({ sequence: 'clip01_0_2', tag: 'stand', duration: 100 });
+      expect(stand.metadata).toMatchObject({ skeleton: 'openpose_body25', source: 'openpose', pose_count: 2 });
+      expect(stand.poses[1].keypoints[0]).toMatchObject({ part: 'nose', position: { x: 101, y: 50 }, visible: true });
+      expect(wave.poses.map(pose => pose.timestamp)).toEqual([300, 400, 500]);
+
+      const again = await importOpenPose(dir, 'openpose_clip01', { dataPath, sourceFps: 10, tag: 'stand' });
+      expect(again).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+      expect(await collect(dataPath, 'openpose_clip01')).toHaveLength(2);
+    });
+
+    test('should require labels or a tag and report empty segments', async () => {
+      expect((await importOpenPose(dir, 'x', { dataPath })).code).toBe('VALIDATION_ERROR');
+
+      const result = await importOpenPose(dir, 'x', { dataPath, labels: [{ start: 2, end: 2, tag: 'gap' }] });
+      expect(result.success).toBe(false);
+      expect(result.failed).toEqual([{ sequence: 'clip01_2_2', error: 'No frames with poses in segment', code: 'VALIDATION_ERROR' }]);
+    });
+  });
+
+  describe('importMediaPipe', () => {
+    test('should import a frame array file as one tagged 3D sequence', async () => {
+      const file = path.join(dataPath, 'clip02.json');
+      fs.writeFileSync(file, JSON.stringify([0, 0.01, 0.02].map(offset => ({ landmarks: landmarks(offset) }))));
+
+      const result = await importMediaPipe(file, 'mediapipe_clip02', { dataPath, tag: 'walking', width: 100, height: 100 });
+      expect(result.success).toBe(true);
+
+      const [sequence] = await collect(dataPath, 'mediapipe_clip02');
+      expect(sequence).toMatchObject({ sequence: 'clip02', tag: 'walking' });
+      expect(sequence.metadata).toMatchObject({ skeleton: 'blazepose33', source: 'mediapipe', dimensions: 3 });
+      expect(sequence.poses.map(pose => pose.timestamp)).toEqual([0, 33.33, 66.67]);
+      expect(sequence.poses[2].keypoints[0].position.x).toBeCloseTo(52);
+      expect(sequence.poses[0].keypoints[30]).toMatchObject({ part: 'rightHeel', visible: false });
+    });
+  });
+});
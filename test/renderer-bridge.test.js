@@ -0,0 +1,131 @@
+/**
+ * Preload bridge and renderer build tests (electron is mocked)
+ */
+
+jest.mock('electron', () => ({
+  contextBridge: { exposeInMainWorld: jest.fn() },
+  ipcRenderer: { invoke: jest.fn(async (channel, ...args) => ({ success: true, channel, args })) }
+}), { virtual: true });
+
+describe('Renderer Bridge', () => {
+  const mockPoses = [
+    {
+      keypoints: [{ part: 'nose', position: { x: 320, y: 240 }, score: 0.9 }],
+      score: 0.9,
+      timestamp: 1000
+    }
+  ];
+
+  // New sessions have no metadata.json yet
+  const loadSessionMetadata = async () => ({ success: false, error: 'ENOENT', code: 'METADATA_LOAD_ERROR' });
+
+  afterEach(() => {
+    delete global.window;
+    delete process.contextIsolated;
+    jest.resetModules();
+  });
+
+  describe('preload', () => {
+    test('should expose window.zdg only in isolated contexts', () => {
+      process.contextIsolated = true;
+      const { contextBridge } = require('electron');
+      require('../src/preload');
+
+      expect(contextBridge.exposeInMainWorld).toHaveBeenCalledWith('zdg', expect.any(Object));
+      const api = contextBridge.exposeInMainWorld.mock.calls[0][1];
+      expect(Object.keys(api).sort()).toEqual([
+        'deleteSequence', 'getProjectConfig', 'listSessions', 'loadSessionMetadata',
+        'retagSequence', 'saveSequence', 'updateSequence', 'validateSession'
+      ]);
+      expect(api.invoke).toBeUndefined();
+    });
+
+    test('should map bridge methods to fixed IPC channels', async () => {
+      const { ipcRenderer } = require('electron');
+      const { createIpcBridge } = require('../src/preload');
+      const bridge = createIpcBridge(ipcRenderer);
+
+      await bridge.retagSequence('demo', 'seq_1', 'jump');
+
+      expect(ipcRenderer.invoke).toHaveBeenLastCalledWith('zdg-retag-sequence', 'demo', 'seq_1', 'jump');
+    });
+  });
+
+  describe('renderer build', () => {
+    test('should send identifiers and normalized data through window.zdg', async () => {
+      const saveSequence = jest.fn(async () => ({
+        success: true,
+        data: { sessionPath: '/data/sessions/demo/sequences.jsonl', frameReference: null }
+      }));
+      global.window = { zdg: { saveSequence, loadSessionMetadata } };
+      const { addSequence } = require('../src/renderer-bridge');
+
+      const result = await addSequence('demo', 'seq_1', mockPoses, 'walking', null);
+
+      expect(result.success).toBe(true);
+      expect(result.data.sessionPath).toBe('/data/sessions/demo/sequences.jsonl');
+
+      const payload = saveSequence.mock.calls[0][0];
+      expect(Object.keys(payload).sort()).toEqual(['data', 'frameData', 'sequence', 'session']);
+      expect(payload.data.poses[0].keypoints).toHaveLength(17);
+    });
+
+    test('should default to the skeleton recorded for the session', async () => {
+      const saveSequence = jest.fn(async () => ({ success: true, data: {} }));
+      const loadMetadata = jest.fn(async () => ({ success: true, data: { skeleton: 'blazepose33' } }));
+      global.window = { zdg: { saveSequence, loadSessionMetadata: loadMetadata } };
+      const { addSequence } = require('../src/renderer-bridge');
+
+      await addSequence('blaze', 'seq_1', mockPoses, 'walking', null);
+      await addSequence('blaze', 'seq_2', mockPoses, 'walking', null, { skeleton: 'posenet' });
+
+      expect(loadMetadata).toHaveBeenCalledTimes(1);
+      expect(loadMetadata).toHaveBeenCalledWith('blaze');
+      expect(saveSequence.mock.calls[0][0].data.metadata.skeleton).toBe('blazepose33');
+      expect(saveSequence.mock.calls[0][0].data.poses[0].keypoints).toHaveLength(33);
+      expect(saveSequence.mock.calls[1][0].data.metadata.skeleton).toBe('posenet');
+    });
+
+    test('should build the same entry as tagger.addSequence', async () => {
+      const saveSequence = jest.fn(async () => ({ success: true, data: {} }));
+      global.window = { zdg: { saveSequence, loadSessionMetadata } };
+      const { addSequence } = require('../src/renderer-bridge');
+      const tagger = require('../src/tagger');
+      const options = { normalizeBody: { alignShoulders: true }, resample: { fps: 10 }, features: true };
+
+      await addSequence('demo', 'seq_1', mockPoses, 'walking', null, options);
+      const expected = tagger.addSequence('demo', 'seq_1', mockPoses, 'walking', null, options);
+
+      const { frame_reference, ...entry } = expected.data;
+      expect(frame_reference).toBeNull();
+      expect(saveSequence.mock.calls[0][0].data).toEqual({ ...entry, id: expect.any(String), timestamp: expect.any(Number) });
+    });
+
+    test('should validate before calling the bridge', async () => {
+      const saveSequence = jest.fn();
+      global.window = { zdg: { saveSequence, loadSessionMetadata } };
+      const { addSequence } = require('../src/renderer-bridge');
+
+      const result = await addSequence('', 'seq_1', mockPoses, 'walking', null);
+
+      expect(result.code).toBe('VALIDATION_ERROR');
+      expect(saveSequence).not.toHaveBeenCalled();
+    });
+
+    test('should report a missing bridge', async () => {
+      const { listSessions, hasBridge } = require('../src/renderer-bridge');
+
+      expect(hasBridge()).toBe(false);
+      expect((await listSessions()).code).toBe('BRIDGE_UNAVAILABLE');
+    });
+
+    test('should load without Node.js only modules', () => {
+      ['readline', 'os'].forEach(name => jest.doMock(name, () => {
+        throw new Error(`${name} is not available in the renderer`);
+      }));
+
+      expect(() => require('../src/renderer-bridge')).not.toThrow();
+      ['readline', 'os'].forEach(name => jest.dontMock(name));
+    });
+  });
+});
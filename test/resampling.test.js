@@ -0,0 +1,85 @@
+/**
+ * Resampling tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { resamplePoses, resampleSequence } = require('../src/utils/resampling');
+const { addSequence } = require('../src/tagger');
+
+// Nose moving 1px per ms, irregular capture timing
+const TIMESTAMPS = [0, 40, 70, 130, 160, 200];
+const createPoses = (timestamps = TIMESTAMPS) => timestamps.map(timestamp => ({
+  keypoints: [{ part: 'nose', position: { x: 100 + timestamp, y: 50 }, score: 0.9 }],
+  score: 0.9,
+  timestamp
+}));
+
+const nose = pose => pose.keypoints.find(kp => kp.part === 'nose');
+
+describe('Resampling', () => {
+  test('should resample to a target fps', () => {
+    const poses = resamplePoses(normalizePoses(createPoses()), { fps: 20 });
+
+    expect(poses.map(pose => pose.timestamp)).toEqual([0, 50, 100, 150, 200]);
+    expect(poses.map(pose => nose(pose).position.x)).toEqual([100, 150, 200, 250, 300]);
+  });
+
+  test('should resample to exactly N frames', () => {
+    const poses = resamplePoses(normalizePoses(createPoses()), { frames: 9 });
+
+    expect(poses).toHaveLength(9);
+    expect(poses[0].timestamp).toBe(0);
+    expect(poses[8].timestamp).toBe(200);
+    expect(nose(poses[4]).position.x).toBe(200);
+  });
+
+  test('should not blend placeholders into visible keypoints', () => {
+    const raw = createPoses([0, 100]);
+    raw[1].keypoints = [];
+
+    const poses = resamplePoses(normalizePoses(raw), { frames: 5 });
+
+    expect(nose(poses[1]).position.x).toBe(100);
+    expect(nose(poses[3])).toEqual({ part: 'nose', position: { x: 0, y: 0 }, confidence: 0, visible: false });
+  });
+
+  test('should use sourceFps for poses without timestamps', () => {
+    const raw = createPoses([0, 0, 0]).map(({ timestamp, ...pose }) => pose);
+
+    expect(normalizePoses(raw, { sourceFps: 25 }).map(pose => pose.timestamp)).toEqual([0, 40, 80]);
+    expect(normalizePoses(raw).map(pose => pose.timestamp)).toEqual([0, 33, 66]);
+  });
+
+  test('should keep the original timing in metadata at save time', () => {
+    const result = addSequence('resample', 'seq1', createPoses(), 'walking', null, { resample: { frames: 4 } });
+
+    expect(result.success).toBe(true);
+    expect(result.data.poses).toHaveLength(4);
+    expect(result.data.metadata.pose_count).toBe(4);
+    expect(result.data.metadata.resampling).toEqual({
+      target_frames: 4,
+      original: {
+        frame_count: 6,
+        frame_rate: 30,
+        start_timestamp: 0,
+        end_timestamp: 200,
+        timestamps: TIMESTAMPS
+      }
+    });
+  });
+
+  test('should resample stored sequences at export time', () => {
+    const { data } = addSequence('resample', 'seq1', createPoses(), 'walking', null, { resample: { fps: 10 } });
+    const exported = resampleSequence(data, { frames: 2 });
+
+    expect(exported.poses).toHaveLength(2);
+    expect(exported.metadata.resampling.target_frames).toBe(2);
+    expect(exported.metadata.resampling.original.timestamps).toEqual(TIMESTAMPS);
+  });
+
+  test('should reject invalid targets', () => {
+    expect(() => resamplePoses([], { fps: 10, frames: 5 })).toThrow('exactly one of fps or frames');
+    expect(addSequence('resample', 'seq1', createPoses(), 'walking', null, { resample: { frames: 0 } }).code)
+      .toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Session file operation tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  appendToSessionFile,
+  rebuildSessionMetadata,
+  verifySession,
+  updateSequence,
+  retagSequence,
+  deleteSequence
+} = require('../src/session');
+const { withSessionLock, acquireLock, releaseLock, LOCK_FILE_NAME } = require('../src/utils/file-lock');
+
+const createSequenceData = (index, tag = 'walking') => ({
+  id: `seq_${index}`,
+  session: 'concurrency',
+  sequence: `sequence_${index}`,
+  tag,
+  timestamp: 1000 + index,
+  poses: [{ keypoints: [], confidence: 0.9, timestamp: 1000 }]
+});
+
+describe('Session Files', () => {
+  let tempDir;
+  let sessionDir;
+  let sessionPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-session-'));
+    sessionDir = path.join(tempDir, 'sessions', 'concurrency');
+    sessionPath = path.join(sessionDir, 'sequences.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Concurrent writes', () => {
+    test('should keep metadata counts consistent for overlapping appends', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 20 }, (_, i) => appendToSessionFile(sessionPath, createSequenceData(i, i % 2 ? 'walking' : 'running')))
+      );
+
+      expect(results.every(result => result.success)).toBe(true);
+
+      const lines = fs.readFileSync(sessionPath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(20);
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(sessionDir, 'metadata.json'), 'utf8'));
+      expect(metadata.sequence_count).toBe(20);
+      expect(metadata.statistics.total_frames).toBe(20);
+      expect(metadata.statistics.pose_distribution).toEqual({ walking: 10, running: 10 });
+    });
+
+    test('should leave no lock or temp files behind', async () => {
+      await Promise.all([0, 1, 2].map(i => appendToSessionFile(sessionPath, createSequenceData(i))));
+
+      const files = fs.readdirSync(sessionDir).sort();
+      expect(files).toEqual(['frames', 'metadata.json', 'sequences.jsonl']);
+    });
+
+    test('should continue the queue after a failed task', async () => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const failing = withSessionLock(sessionDir, async () => {
+        throw new Error('boom');
+      });
+      const succeeding = withSessionLock(sessionDir, async () => 'done');
+
+      await expect(failing).rejects.toThrow('boom');
+      await expect(succeeding).resolves.toBe('done');
+    });
+  });
+
+  describe('Lock file', () => {
+    test('should report a session locked by a live writer', async () => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      fs.writeFileSync(path.join(sessionDir, LOCK_FILE_NAME), JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        created_at: Date.now()
+      }));
+
+      const result = await appendToSessionFile(sessionPath, createSequenceData(0), { timeout: 100 });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SESSION_LOCKED');
+      expect(fs.existsSync(sessionPath)).toBe(false);
+    });
+
+    test('should take over a stale lock', async () => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const lockPath = path.join(sessionDir, LOCK_FILE_NAME);
+      fs.writeFileSync(lockPath, '{}');
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, past, past);
+
+      const result = await appendToSessionFile(sessionPath, createSequenceData(0), { timeout: 100 });
+
+      expect(result.success).toBe(true);
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('should let only one waiter take over a stale lock', async () => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const lockPath = path.join(sessionDir, LOCK_FILE_NAME);
+      fs.writeFileSync(lockPath, '{}');
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, past, past);
+
+      const results = await Promise.allSettled([0, 1, 2].map(() => acquireLock(sessionDir, { timeout: 100 })));
+      const held = results.filter(result => result.status === 'fulfilled');
+
+      expect(held).toHaveLength(1);
+      expect(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'SESSION_LOCKED')).toBe(true);
+      expect(fs.readFileSync(lockPath, 'utf8')).toBe(held[0].value.content);
+
+      await releaseLock(held[0].value);
+      expect(fs.readdirSync(sessionDir)).toEqual([]);
+    });
+
+    test('should refresh a held lock so it never turns stale', async () => {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const lock = await acquireLock(sessionDir, { staleAfter: 60 });
+
+      const waiter = await acquireLock(sessionDir, { staleAfter: 60, timeout: 200 }).catch(error => error);
+      expect(waiter.code).toBe('SESSION_LOCKED');
+
+      await releaseLock(lock);
+    });
+
+    test('should not create a missing session directory', async () => {
+      const result = await updateSequence(sessionDir, 'seq_0', { tag: 'jump' });
+
+      expect(result.code).toBe('SESSION_NOT_FOUND');
+      expect(fs.existsSync(sessionDir)).toBe(false);
+    });
+  });
+
+  describe('Metadata rebuild and verification', () => {
+    const writeSession = (lines) => {
+      fs.mkdirSync(path.join(sessionDir, 'frames'), { recursive: true });
+      fs.writeFileSync(sessionPath, lines.join(''));
+    };
+
+    test('should report missing sessions without creating them', async () => {
+      expect((await rebuildSessionMetadata(sessionDir)).code).toBe('SESSION_NOT_FOUND');
+      expect((await verifySession(sessionDir, { repair: true })).code).toBe('SESSION_NOT_FOUND');
+      expect(fs.existsSync(sessionDir)).toBe(false);
+    });
+
+    test('should rebuild metadata from sequences.jsonl', async () => {
+      writeSession([0, 1, 2].map(i => JSON.stringify(createSequenceData(i, i === 2 ? 'jump' : 'walking')) + '\n'));
+
+      const result = await rebuildSessionMetadata(sessionDir);
+
+      expect(result.success).toBe(true);
+      expect(result.data.sequence_count).toBe(3);
+      expect(result.data.statistics.pose_distribution).toEqual({ walking: 2, jump: 1 });
+
+      const stored = JSON.parse(fs.readFileSync(path.join(sessionDir, 'metadata.json'), 'utf8'));
+      expect(stored).toEqual(result.data);
+    });
+
+    test('should report a valid session after normal appends', async () => {
+      await appendToSessionFile(sessionPath, createSequenceData(0));
+      await appendToSessionFile(sessionPath, createSequenceData(1));
+
+      const report = await verifySession(sessionDir);
+
+      expect(report.success).toBe(true);
+      expect(report.valid).toBe(true);
+    });
+
+    test('should detect drift, truncated lines and orphaned frames', async () => {
+      await appendToSessionFile(sessionPath, createSequenceData(0));
+      fs.appendFileSync(sessionPath, JSON.stringify(createSequenceData(1)) + '\n');
+      fs.appendFileSync(sessionPath, '{"id":"seq_2","tag":"walk');
+      fs.writeFileSync(path.join(sessionDir, 'frames', 'orphan.jpg'), 'x');
+
+      const report = await verifySession(sessionDir);
+
+      expect(report.valid).toBe(false);
+      expect(report.issues.truncatedLine.line).toBe(3);
+      expect(report.issues.malformedLines).toEqual([]);
+      expect(report.issues.orphanedFrames).toEqual(['orphan.jpg']);
+      expect(report.issues.metadata.map(issue => issue.field)).toContain('sequence_count');
+      expect(report.repaired).toBeNull();
+    });
+
+    test('should stream the session file and tell malformed from truncated lines', async () => {
+      await appendToSessionFile(sessionPath, createSequenceData(0));
+      fs.appendFileSync(sessionPath, '{"id":"seq_1","tag":"walk\n');
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+
+      const report = await verifySession(sessionDir);
+      const rebuilt = await rebuildSessionMetadata(sessionDir);
+
+      expect(readFile.mock.calls.map(([file]) => file)).not.toContain(sessionPath);
+      readFile.mockRestore();
+      expect(report.issues.truncatedLine).toBeNull();
+      expect(report.issues.malformedLines.map(issue => issue.line)).toEqual([2]);
+      expect(rebuilt.skippedLines).toBe(1);
+      expect(rebuilt.data.sequence_count).toBe(1);
+    });
+
+    test('should repair the session in place when requested', async () => {
+      await appendToSessionFile(sessionPath, createSequenceData(0));
+      fs.appendFileSync(sessionPath, 'not json\n');
+      fs.appendFileSync(sessionPath, JSON.stringify(createSequenceData(1, 'jump')) + '\n');
+      fs.writeFileSync(path.join(sessionDir, 'frames', 'orphan.jpg'), 'x');
+
+      const report = await verifySession(sessionDir, { repair: true, removeOrphanedFrames: true });
+
+      expect(report.repaired.droppedLines).toBe(1);
+      expect(report.repaired.metadata).toBe(true);
+      expect(report.repaired.removedFrames).toEqual(['orphan.jpg']);
+      expect(fs.existsSync(report.repaired.backup)).toBe(true);
+
+      const after = await verifySession(sessionDir);
+      expect(after.valid).toBe(true);
+      expect(after.metadata.statistics.pose_distribution).toEqual({ walking: 1, jump: 1 });
+    });
+  });
+
+  describe('Sequence editing', () => {
+    const readMetadata = () => JSON.parse(fs.readFileSync(path.join(sessionDir, 'metadata.json'), 'utf8'));
+    const readIds = () => fs.readFileSync(sessionPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).id);
+
+    beforeEach(async () => {
+      await appendToSessionFile(sessionPath, createSequenceData(0, 'jump'));
+      await appendToSessionFile(sessionPath, { ...createSequenceData(1, 'walking'), frame_reference: './data/sessions/concurrency/frames/seq_1.jpg' });
+      await appendToSessionFile(sessionPath, createSequenceData(2, 'walking'));
+      fs.writeFileSync(path.join(sessionDir, 'frames', 'seq_1.jpg'), 'x');
+    });
+
+    test('should retag a sequence and move its distribution count', async () => {
+      const result = await retagSequence(sessionDir, 'seq_0', 'walking');
+
+      expect(result.success).toBe(true);
+      expect(result.data.tag).toBe('walking');
+
+      const metadata = readMetadata();
+      expect(metadata.tags).toEqual(['walking']);
+      expect(metadata.statistics.pose_distribution).toEqual({ walking: 3 });
+      expect((await verifySession(sessionDir)).valid).toBe(true);
+    });
+
+    test('should update arbitrary fields but protect the id and poses', async () => {
+      const result = await updateSequence(sessionDir, 'seq_2', { sequence: 'renamed' });
+      expect(result.success).toBe(true);
+      expect(result.data.sequence).toBe('renamed');
+
+      const rejected = await updateSequence(sessionDir, 'seq_2', { id: 'other' });
+      expect(rejected.success).toBe(false);
+      expect(rejected.code).toBe('VALIDATION_ERROR');
+
+      const derived = await updateSequence(sessionDir, 'seq_2', { poses: [], metadata: {} });
+      expect(derived.code).toBe('VALIDATION_ERROR');
+      expect(derived.error).toContain('poses, metadata');
+
+      const badTag = await retagSequence(sessionDir, 'seq_2', '  ');
+      expect(badTag.success).toBe(false);
+      expect(badTag.error).toContain('Tag must be a non-empty string');
+    });
+
+    test('should delete a sequence with its frame image', async () => {
+      const result = await deleteSequence(sessionDir, 'seq_1');
+
+      expect(result.success).toBe(true);
+      expect(result.data.deletedFrame).toContain('seq_1.jpg');
+      expect(fs.existsSync(path.join(sessionDir, 'frames', 'seq_1.jpg'))).toBe(false);
+      expect(readIds()).toEqual(['seq_0', 'seq_2']);
+
+      const metadata = readMetadata();
+      expect(metadata.sequence_count).toBe(2);
+      expect(metadata.statistics.pose_distribution).toEqual({ jump: 1, walking: 1 });
+    });
+
+    test('should report unknown sequence ids without touching the file', async () => {
+      const before = fs.readFileSync(sessionPath, 'utf8');
+      const result = await deleteSequence(sessionDir, 'missing');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SEQUENCE_NOT_FOUND');
+      expect(fs.readFileSync(sessionPath, 'utf8')).toBe(before);
+      expect(fs.readdirSync(sessionDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('should keep unparsable lines when rewriting', async () => {
+      fs.appendFileSync(sessionPath, 'not json\n');
+
+      await deleteSequence(sessionDir, 'seq_0');
+
+      expect(fs.readFileSync(sessionPath, 'utf8')).toContain('not json');
+    });
+
+    test('should fail instead of crashing when the temp file cannot be written', async () => {
+      const before = fs.readFileSync(sessionPath, 'utf8');
+      const createWriteStream = fs.createWriteStream;
+      // The session directory itself can't be opened as a file (EISDIR)
+      const spy = jest.spyOn(fs, 'createWriteStream').mockImplementation(() => createWriteStream(sessionDir));
+
+      try {
+        const result = await retagSequence(sessionDir, 'seq_0', 'walking');
+
+        expect(result.success).toBe(false);
+        expect(result.code).toBe('SEQUENCE_UPDATE_ERROR');
+        expect(fs.readFileSync(sessionPath, 'utf8')).toBe(before);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+});
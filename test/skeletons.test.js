@@ -0,0 +1,205 @@
+/**
+ * Skeleton schema registry tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  registerSkeleton,
+  getSkeleton,
+  hasSkeleton,
+  listSkeletons,
+  resolvePartName,
+  getQualityThresholds
+} = require('../src/skeletons');
+const { normalizeKeypoints } = require('../src/normalizer');
+const { validateInputs } = require('../src/utils/validation');
+const { addSequence, saveSequence } = require('../src/tagger');
+const { renderPose } = require('../src/utils/snapshot-renderer');
+
+const createKeypoints = (parts, score = 0.9) => parts.map((part, index) => ({
+  part,
+  position: { x: 100 + index * 5, y: 200 + index * 5 },
+  score
+}));
+
+describe('Skeleton Schemas', () => {
+  describe('registry', () => {
+    test('should provide built-in schemas', () => {
+      expect(listSkeletons()).toEqual(expect.arrayContaining([
+        'posenet', 'movenet', 'blazepose33', 'coco_wholebody_body', 'openpose_body25'
+      ]));
+      expect(getSkeleton().name).toBe('posenet');
+      expect(getSkeleton('posenet').keypoints).toHaveLength(17);
+      expect(getSkeleton('blazepose33').keypoints).toHaveLength(33);
+      expect(getSkeleton('coco_wholebody_body').keypoints).toHaveLength(23);
+      expect(getSkeleton('openpose_body25').keypoints).toHaveLength(25);
+    });
+
+    test('should only connect keypoints of the schema', () => {
+      listSkeletons().forEach(name => {
+        const schema = getSkeleton(name);
+        schema.connections.flat().forEach(part => {
+          expect(schema.keypoints).toContain(part);
+        });
+      });
+    });
+
+    test('should throw for unknown names', () => {
+      expect(() => getSkeleton('nope')).toThrow('Unknown skeleton: nope');
+      expect(hasSkeleton('nope')).toBe(false);
+    });
+
+    test('should register custom schemas', () => {
+      const schema = registerSkeleton({
+        name: 'test_upper_body',
+        keypoints: ['head', 'leftHand', 'rightHand'],
+        connections: [['head', 'leftHand'], ['head', 'rightHand']]
+      });
+
+      expect(hasSkeleton('test_upper_body')).toBe(true);
+      expect(getSkeleton('test_upper_body')).toBe(schema);
+      expect(() => registerSkeleton({ name: 'broken', keypoints: ['a'], connections: [['a', 'b']] }))
+        .toThrow('Invalid skeleton schema');
+    });
+
+    test('should not let inline schemas replace registered ones', () => {
+      const keypoints = [{ part: 'nose', position: { x: 1, y: 2 }, score: 0.9 }];
+
+      expect(() => normalizeKeypoints(keypoints, { skeleton: { name: 'posenet', keypoints: ['nose'] } }))
+        .toThrow('already registered');
+      expect(getSkeleton('posenet').keypoints).toHaveLength(17);
+
+      const result = addSequence('s', 'q', [{ keypoints }], 't', null, { skeleton: { name: 'posenet', keypoints: ['nose'] } });
+      expect(result.code).toBe('VALIDATION_ERROR');
+      expect(getSkeleton('posenet').keypoints).toHaveLength(17);
+
+      // The same schema passed inline again resolves to the registered one
+      const inline = { name: 'posenet', keypoints: [...getSkeleton('posenet').keypoints], connections: getSkeleton('posenet').connections };
+      expect(getSkeleton(inline)).toBe(getSkeleton('posenet'));
+    });
+  });
+
+  describe('resolvePartName', () => {
+    test('should resolve snake_case, kebab-case and OpenPose names', () => {
+      expect(resolvePartName(getSkeleton('movenet'), 'left_shoulder')).toBe('leftShoulder');
+      expect(resolvePartName(getSkeleton('movenet'), 'right-ankle')).toBe('rightAnkle');
+      expect(resolvePartName(getSkeleton('openpose_body25'), 'RShoulder')).toBe('rightShoulder');
+      expect(resolvePartName(getSkeleton('openpose_body25'), 'MidHip')).toBe('midHip');
+      expect(resolvePartName(getSkeleton('blazepose33'), 'left_foot_index')).toBe('leftFootIndex');
+      expect(resolvePartName(getSkeleton('posenet'), 'left_foot_index')).toBeNull();
+    });
+  });
+
+  describe('normalization', () => {
+    test('should keep all 33 BlazePose keypoints in schema order', () => {
+      const schema = getSkeleton('blazepose33');
+      const input = createKeypoints([...schema.keypoints].reverse());
+
+      const result = normalizeKeypoints(input, { skeleton: 'blazepose33' });
+
+      expect(result.map(kp => kp.part)).toEqual(schema.keypoints);
+      expect(result.every(kp => kp.visible)).toBe(true);
+    });
+
+    test('should map MoveNet snake_case names', () => {
+      const result = normalizeKeypoints(createKeypoints(['nose', 'left_shoulder']), { skeleton: 'movenet' });
+
+      expect(result).toHaveLength(17);
+      expect(result.find(kp => kp.part === 'leftShoulder').visible).toBe(true);
+    });
+  });
+
+  describe('quality thresholds', () => {
+    test('should scale with keypoint count', () => {
+      expect(getQualityThresholds(getSkeleton('posenet'))).toEqual({ high: 15, medium: 10, low: 5 });
+      expect(getQualityThresholds(getSkeleton('blazepose33'))).toEqual({ high: 29, medium: 19, low: 10 });
+    });
+
+    test('should not rate 20 of 33 BlazePose keypoints as high', () => {
+      const parts = getSkeleton('blazepose33').keypoints.slice(0, 20);
+      const result = addSequence('blaze', 'seq1', [{ keypoints: createKeypoints(parts) }], 'test', null, {
+        skeleton: 'blazepose33'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.metadata.keypoint_quality).toBe('medium');
+      expect(result.data.metadata.skeleton).toBe('blazepose33');
+      expect(result.data.metadata.keypoint_count).toBe(33);
+    });
+  });
+
+  describe('validation', () => {
+    const poses = [{ keypoints: createKeypoints(['nose']) }];
+
+    test('should reject unknown skeletons', () => {
+      const result = validateInputs({
+        session: 's', sequence: 'q', poses, tag: 't', options: { skeleton: 'nope' }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Unknown skeleton: nope');
+    });
+
+    test('should reject poses without any keypoint of the skeleton', () => {
+      const result = validateInputs({
+        session: 's', sequence: 'q', poses, tag: 't', options: { skeleton: 'test_upper_body' }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('no keypoints match skeleton test_upper_body');
+    });
+  });
+
+  describe('rendering', () => {
+    test('should draw the connections of the given skeleton', () => {
+      const pose = { keypoints: createKeypoints(['head', 'leftHand']) };
+
+      const posenet = renderPose(pose, { width: 96, height: 96 });
+      const custom = renderPose(pose, { width: 96, height: 96, skeleton: 'test_upper_body' });
+
+      expect(custom.data.equals(posenet.data)).toBe(false);
+    });
+  });
+
+  describe('sessions', () => {
+    let dataPath;
+
+    beforeEach(() => {
+      dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-skeleton-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('should record the skeleton and reuse it for the session', async () => {
+      const parts = getSkeleton('openpose_body25').keypoints;
+      const first = await saveSequence('op', 'seq1', [{ keypoints: createKeypoints(parts) }], 'walk', null, {
+        dataPath,
+        skeleton: 'openpose_body25'
+      });
+      const second = await saveSequence('op', 'seq2', [{ keypoints: createKeypoints(['RShoulder']) }], 'walk', null, {
+        dataPath
+      });
+
+      expect(first.success).toBe(true);
+      expect(second.success).toBe(true);
+
+      const metadata = JSON.parse(fs.readFileSync(path.join(dataPath, 'sessions', 'op', 'metadata.json'), 'utf8'));
+      expect(metadata.skeleton).toBe('openpose_body25');
+    });
+
+    test('should reject a sequence with a different skeleton', async () => {
+      await saveSequence('mixed', 'seq1', [{ keypoints: createKeypoints(['nose']) }], 'walk', null, { dataPath });
+      const result = await saveSequence('mixed', 'seq2', [{ keypoints: createKeypoints(['nose']) }], 'walk', null, {
+        dataPath,
+        skeleton: 'blazepose33'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SKELETON_MISMATCH');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Temporal smoothing tests
+ */
+
+const { normalizePoses } = require('../src/normalizer');
+const { smoothPoses, resolveSmoothing, describeSmoothing } = require('../src/utils/smoothing');
+const { addSequence } = require('../src/tagger');
+
+// Nose moving right 10px per frame with alternating +-3px jitter
+const createPoses = (count, { confidence = () => 0.9 } = {}) => Array.from({ length: count }, (_, i) => ({
+  keypoints: [
+    { part: 'nose', position: { x: 100 + i * 10 + (i % 2 ? 3 : -3), y: 200 }, score: confidence(i) },
+    { part: 'leftEye', position: { x: 90, y: 190 }, score: 0.9 }
+  ],
+  score: 0.9,
+  timestamp: 1000 + i * 33
+}));
+
+const noseXs = poses => poses.map(pose => pose.keypoints.find(kp => kp.part === 'nose').position.x);
+
+// Roughness: mean absolute second difference (0 for constant speed)
+const jitter = xs => {
+  const secondDifferences = xs.slice(2).map((x, i) => Math.abs(x - 2 * xs[i + 1] + xs[i]));
+  return secondDifferences.reduce((sum, value) => sum + value, 0) / secondDifferences.length;
+};
+
+describe('Temporal Smoothing', () => {
+  const raw = normalizePoses(createPoses(12));
+
+  test.each(['oneEuro', 'ema', 'savitzkyGolay'])('%s should reduce jitter', (filter) => {
+    const smoothed = normalizePoses(createPoses(12), { smoothing: filter });
+
+    expect(smoothed).toHaveLength(12);
+    expect(jitter(noseXs(smoothed))).toBeLessThan(jitter(noseXs(raw)));
+  });
+
+  test('savitzkyGolay should keep a straight line exact', () => {
+    const line = normalizePoses(createPoses(9).map((pose, i) => ({
+      ...pose,
+      keypoints: [{ part: 'nose', position: { x: 100 + i * 10, y: 200 }, score: 0.9 }]
+    })));
+
+    expect(noseXs(smoothPoses(line, { filter: 'savitzkyGolay', window: 5, polyOrder: 1 })))
+      .toEqual(noseXs(line));
+  });
+
+  test('should leave constant keypoints and placeholders untouched', () => {
+    const smoothed = smoothPoses(raw, 'ema');
+
+    smoothed.forEach((pose, i) => {
+      expect(pose.keypoints.find(kp => kp.part === 'leftEye').position).toEqual({ x: 90, y: 190 });
+      expect(pose.keypoints.find(kp => kp.part === 'rightEar')).toEqual(raw[i].keypoints.find(kp => kp.part === 'rightEar'));
+    });
+  });
+
+  test('should weight samples by confidence', () => {
+    const poses = normalizePoses(createPoses(2, { confidence: i => (i === 0 ? 0.9 : 0.1) }));
+    const full = normalizePoses(createPoses(2));
+
+    const lowConfidenceStep = noseXs(smoothPoses(poses, 'ema'))[1] - 97;
+    const fullConfidenceStep = noseXs(smoothPoses(full, 'ema'))[1] - 97;
+
+    expect(lowConfidenceStep).toBeLessThan(fullConfidenceStep);
+  });
+
+  test('should smooth z and world coordinates', () => {
+    const poses = normalizePoses(createPoses(6).map((pose, i) => ({
+      ...pose,
+      keypoints: [{ ...pose.keypoints[0], position: { ...pose.keypoints[0].position, z: i % 2 ? 5 : -5 }, worldPosition: { x: 0, y: 0, z: i % 2 ? 1 : -1 } }]
+    })));
+    const smoothed = smoothPoses(poses, 'ema');
+
+    expect(Math.abs(smoothed[5].keypoints[0].position.z)).toBeLessThan(5);
+    expect(Math.abs(smoothed[5].keypoints[0].worldPosition.z)).toBeLessThan(1);
+  });
+
+  test('should resolve defaults and reject bad settings', () => {
+    expect(resolveSmoothing('oneEuro')).toEqual({ filter: 'oneEuro', minCutoff: 1, beta: 0.007, dCutoff: 1 });
+    expect(resolveSmoothing({ filter: 'ema', alpha: 0.3 })).toEqual({ filter: 'ema', alpha: 0.3 });
+    expect(() => resolveSmoothing('kalman')).toThrow('smoothing filter must be one of');
+    expect(() => resolveSmoothing({ filter: 'savitzkyGolay', window: 4 })).toThrow('odd integer window');
+  });
+
+  test('should record the filter in metadata.normalization', () => {
+    const result = addSequence('smooth', 'seq1', createPoses(5), 'walking', null, {
+      smoothing: { filter: 'savitzkyGolay', window: 7 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.metadata.normalization.smoothing).toEqual({ filter: 'savitzkyGolay', window: 7, poly_order: 2 });
+    expect(describeSmoothing('oneEuro')).toEqual({ filter: 'oneEuro', min_cutoff: 1, beta: 0.007, d_cutoff: 1 });
+  });
+
+  test('should fail validation for unknown filters', () => {
+    const result = addSequence('smooth', 'seq1', createPoses(5), 'walking', null, { smoothing: 'median' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('VALIDATION_ERROR');
+  });
+});
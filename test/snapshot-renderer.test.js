@@ -0,0 +1,107 @@
+/**
+ * Snapshot renderer tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { renderSnapshotPictures, renderPose, encodePNG } = require('../src/utils/snapshot-renderer');
+const { crc32 } = require('../src/utils/encoding');
+
+describe('Snapshot Renderer', () => {
+  const mockPose = {
+    keypoints: [
+      { part: 'nose', position: { x: 320, y: 240 }, confidence: 0.9, visible: true },
+      { part: 'leftShoulder', position: { x: 280, y: 300 }, confidence: 0.9, visible: true },
+      { part: 'rightShoulder', position: { x: 360, y: 300 }, confidence: 0.9, visible: true },
+      { part: 'leftHip', position: { x: 290, y: 500 }, confidence: 0.1, visible: false }
+    ],
+    confidence: 0.9,
+    timestamp: 1000
+  };
+
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-snapshot-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('encodePNG', () => {
+    test('should produce a valid PNG structure', () => {
+      const png = encodePNG({ width: 2, height: 1, data: Buffer.from([255, 0, 0, 255, 0, 255, 0, 255]) });
+
+      expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+      expect(png.subarray(12, 16).toString('ascii')).toBe('IHDR');
+      expect(png.readUInt32BE(16)).toBe(2);
+      expect(png.readUInt32BE(20)).toBe(1);
+
+      // IHDR CRC covers type + data
+      expect(png.readUInt32BE(29)).toBe(crc32(png.subarray(12, 29)));
+
+      // IDAT decompresses to filtered scanlines
+      const idatLength = png.readUInt32BE(33);
+      const idat = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+      expect(idat).toEqual(Buffer.from([0, 255, 0, 0, 255, 0, 255, 0, 255]));
+    });
+  });
+
+  describe('renderPose', () => {
+    test('should draw visible keypoints onto the background', () => {
+      const raster = renderPose(mockPose, { width: 64, height: 64 });
+      const colored = [];
+      for (let i = 0; i < raster.data.length; i += 4) {
+        if (raster.data[i] !== 255 || raster.data[i + 1] !== 255 || raster.data[i + 2] !== 255) {
+          colored.push(i);
+        }
+      }
+
+      expect(raster.width).toBe(64);
+      expect(raster.data).toHaveLength(64 * 64 * 4);
+      expect(colored.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('renderSnapshotPictures', () => {
+    test('should render every pose from JSONL sessions', async () => {
+      const sessionDir = path.join(tempDir, 'source', 'sessions', 'demo');
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const sequence = { id: 'demo_seq_1', poses: [mockPose, { ...mockPose, timestamp: 1033 }] };
+      fs.writeFileSync(path.join(sessionDir, 'sequences.jsonl'), JSON.stringify(sequence) + '\n');
+      fs.writeFileSync(path.join(sessionDir, 'metadata.json'), JSON.stringify({ session_id: 'demo' }));
+
+      const destDir = path.join(tempDir, 'dest');
+      const result = await renderSnapshotPictures(path.join(tempDir, 'source'), destDir);
+
+      expect(result.success).toBe(true);
+      expect(result.totalFiles).toBe(2);
+      expect(result.successfulRenders).toBe(2);
+      expect(result.failedRenders).toBe(0);
+
+      const outputs = fs.readdirSync(path.join(destDir, 'sessions', 'demo')).sort();
+      expect(outputs).toEqual(['demo_seq_1_0000.png', 'demo_seq_1_0001.png']);
+    });
+
+    test('should report files that cannot be parsed', async () => {
+      fs.writeFileSync(path.join(tempDir, 'broken.json'), '{ not json');
+
+      const result = await renderSnapshotPictures(tempDir, path.join(tempDir, 'out'));
+
+      expect(result.success).toBe(false);
+      expect(result.successfulRenders).toBe(0);
+      expect(result.files[0].success).toBe(false);
+      expect(result.files[0].error).toBeDefined();
+    });
+
+    test('should fail for a missing source folder', async () => {
+      const result = await renderSnapshotPictures(path.join(tempDir, 'missing'), tempDir);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SNAPSHOT_SOURCE_ERROR');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Multi-person tracking tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { trackPoses, splitTracks, isFrameInput } = require('../src/tracker');
+const { saveTrackedSequences } = require('../src/tagger');
+
+// Simple 5-point person standing at x, y
+const createPerson = (x, y, score = 0.9) => ({
+  keypoints: [
+    { part: 'nose', position: { x, y }, score },
+    { part: 'leftShoulder', position: { x: x - 20, y: y + 40 }, score },
+    { part: 'rightShoulder', position: { x: x + 20, y: y + 40 }, score },
+    { part: 'leftHip', position: { x: x - 15, y: y + 120 }, score },
+    { part: 'rightHip', position: { x: x + 15, y: y + 120 }, score }
+  ],
+  score
+});
+
+// Two people walking right; detection order flips every other frame
+const createFrames = (count) => Array.from({ length: count }, (_, i) => {
+  const people = [createPerson(100 + i * 4, 100), createPerson(400 + i * 4, 120)];
+  return { timestamp: 1000 + i * 33, poses: i % 2 === 0 ? people : people.reverse() };
+});
+
+describe('Multi-person Tracking', () => {
+  describe('isFrameInput', () => {
+    test('should tell frames from a flat pose list', () => {
+      expect(isFrameInput(createFrames(2))).toBe(true);
+      expect(isFrameInput([createPerson(0, 0)])).toBe(false);
+      expect(isFrameInput([])).toBe(false);
+    });
+  });
+
+  describe('trackPoses', () => {
+    test('should keep person IDs stable when detection order changes', () => {
+      const tracks = trackPoses(createFrames(6));
+
+      expect(tracks).toHaveLength(2);
+      tracks.forEach(track => {
+        expect(track.poses).toHaveLength(6);
+        const noseXs = track.poses.map(pose => pose.keypoints[0].position.x);
+        expect(Math.max(...noseXs) - Math.min(...noseXs)).toBe(20);
+      });
+      expect(tracks[0].poses[0].keypoints[0].position.x).toBe(100);
+      expect(tracks[1].poses[0].keypoints[0].position.x).toBe(400);
+    });
+
+    test('should carry frame timestamps onto poses', () => {
+      const tracks = trackPoses(createFrames(3));
+
+      expect(tracks[0].poses.map(pose => pose.timestamp)).toEqual([1000, 1033, 1066]);
+      expect(tracks[0].frameIndices).toEqual([0, 1, 2]);
+    });
+
+    test('should resume a track after a short gap', () => {
+      const frames = createFrames(6);
+      frames[2] = { timestamp: frames[2].timestamp, poses: [createPerson(408, 120)] };
+      frames[3] = { timestamp: frames[3].timestamp, poses: [createPerson(412, 120)] };
+
+      const tracks = trackPoses(frames);
+
+      expect(tracks).toHaveLength(2);
+      expect(tracks[0].frameIndices).toEqual([0, 1, 4, 5]);
+    });
+
+    test('should start a new track after maxAge frames', () => {
+      const frames = createFrames(6);
+      frames[2] = { timestamp: frames[2].timestamp, poses: [] };
+      frames[3] = { timestamp: frames[3].timestamp, poses: [] };
+
+      const tracks = trackPoses(frames, { maxAge: 1 });
+
+      expect(tracks.map(track => track.trackId)).toEqual([1, 2, 3, 4]);
+    });
+
+    test('should drop tracks shorter than minTrackLength', () => {
+      const frames = createFrames(4);
+      frames[1] = { ...frames[1], poses: [...frames[1].poses, createPerson(800, 400)] };
+
+      expect(trackPoses(frames)).toHaveLength(3);
+      expect(trackPoses(frames, { minTrackLength: 2 })).toHaveLength(2);
+    });
+
+    test('should reject flat pose input', () => {
+      expect(() => trackPoses([createPerson(0, 0)])).toThrow('Frames must be');
+    });
+  });
+
+  describe('splitTracks', () => {
+    test('should link track sequences through tracking metadata', () => {
+      const entries = splitTracks('session', 'clip', createFrames(3), { groupId: 'group_1' });
+
+      expect(entries.map(entry => entry.sequence)).toEqual(['clip_person1', 'clip_person2']);
+      expect(entries[0].tracking).toEqual({
+        group_id: 'group_1',
+        track_id: 1,
+        track_count: 2,
+        linked_sequences: ['clip_person2']
+      });
+    });
+
+    test('should select a single track', () => {
+      const entries = splitTracks('session', 'clip', createFrames(3), { trackId: 2 });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].tracking.track_count).toBe(2);
+      expect(entries[0].tracking.linked_sequences).toEqual([]);
+    });
+  });
+
+  describe('saveTrackedSequences', () => {
+    let dataPath;
+
+    beforeEach(() => {
+      dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'zdg-tracker-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('should save every track as its own sequence', async () => {
+      const result = await saveTrackedSequences('crowd', 'clip', createFrames(4), 'walking', null, { dataPath });
+
+      expect(result.success).toBe(true);
+      expect(result.data.sequences.map(saved => saved.trackId)).toEqual([1, 2]);
+
+      const lines = fs.readFileSync(path.join(dataPath, 'sessions', 'crowd', 'sequences.jsonl'), 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.sequence)).toEqual(['clip_person1', 'clip_person2']);
+      expect(lines[0].poses).toHaveLength(4);
+      expect(lines[0].metadata.tracking.group_id).toBe(result.data.groupId);
+      expect(lines[1].metadata.tracking.linked_sequences).toEqual(['clip_person1']);
+    });
+
+    test('should report unknown track IDs', async () => {
+      const result = await saveTrackedSequences('crowd', 'clip', createFrames(2), 'walking', null, {
+        dataPath,
+        trackId: 9
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TRACK_NOT_FOUND');
+    });
+
+    test('should validate frames', async () => {
+      const result = await saveTrackedSequences('crowd', 'clip', [{ poses: [{}] }], 'walking', null, { dataPath });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
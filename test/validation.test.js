@@ -64,6 +64,27 @@ describe('Validation Functions', () => {
       expect(result.isValid).toBe(false);
       expect(result.error).toContain('between 0 and 1');
     });
+
+    test('should validate 3D keypoint with world coordinates', () => {
+      const keypoint = {
+        part: 'nose',
+        position: { x: 320, y: 240, z: -12.5 },
+        worldPosition: { x: 0.01, y: -0.6, z: -0.2 },
+        score: 0.9
+      };
+      
+      expect(validateKeypoint(keypoint).isValid).toBe(true);
+    });
+
+    test('should reject non-numeric z and incomplete world coordinates', () => {
+      const badZ = validateKeypoint({ part: 'nose', position: { x: 1, y: 2, z: 'deep' } });
+      const badWorld = validateKeypoint({ part: 'nose', position: { x: 1, y: 2 }, worldPosition: { x: 1, y: 2 } });
+      
+      expect(badZ.isValid).toBe(false);
+      expect(badZ.error).toContain('z must be a finite number');
+      expect(badWorld.isValid).toBe(false);
+      expect(badWorld.error).toContain('worldPosition');
+    });
   });
 
   describe('validateSinglePose', () => {
@@ -177,6 +198,12 @@ describe('Validation Functions', () => {
       expect(result.isValid).toBe(false);
       expect(result.error).toContain('Pose at index 1');
     });
+
+    test('should point frame based input to saveTrackedSequences', () => {
+      const result = validatePoses([{ timestamp: 1000, poses: validPoses }]);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('saveTrackedSequences');
+    });
   });
 
   describe('validateInputs', () => {